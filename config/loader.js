@@ -0,0 +1,243 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CONFIG LOADER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Resolves the effective CONFIG from layers, each deep-merged over the last:
+ *
+ *   1. config/settings.js           Defaults
+ *   2. Profile                      --profile / BOT_PROFILE: a name in
+ *                                   config/profiles/ or a JSON/YAML file path
+ *   3. Config file                  --config / BOT_CONFIG (JSON or YAML)
+ *   4. Environment                  BOT__SECTION__KEY=value
+ *   5. Command line                 --set SECTION.KEY=value, --asset
+ *
+ * Objects are merged, everything else (including arrays) is replaced.
+ * Values from the environment and --set are parsed as JSON when they can
+ * be ("5", "true", "[2,3]"), and kept as strings otherwise.
+ *
+ * The CLI, BotCasino13 and the backtesters all go through resolveConfig(),
+ * so a live run and a backtest with the same flags and environment use the
+ * same settings. The result is validated against the schema and
+ * fingerprinted: the hash is logged at startup and stamped on every audited
+ * decision and backtest result.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { CONFIG } from './settings.js';
+import { validateConfig } from './schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const PROFILE_DIR = path.join(__dirname, 'profiles');
+
+const ENV_PREFIX = 'BOT__';
+
+// Profile and config file formats (by extension; a named profile is looked up in this order)
+const FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Layers applied so far (null until the first resolveConfig)
+let resolved = null;
+
+export class ConfigLoadError extends Error {}
+
+/**
+ * Apply the layers to CONFIG and validate it (once per process; later calls
+ * only re-validate)
+ *
+ * @param {Object} options
+ * @param {string} options.profile - Profile name or JSON/YAML path (default: BOT_PROFILE)
+ * @param {string} options.file - Extra JSON/YAML overrides (default: BOT_CONFIG)
+ * @param {string[]} options.set - "SECTION.KEY=value" overrides
+ * @param {Object} options.overrides - Nested overrides applied last (e.g. --asset)
+ * @param {Object} options.env - Environment (default: process.env)
+ * @returns {Object} getConfigInfo()
+ */
+export function resolveConfig(options = {}) {
+  if (resolved) {
+    validateConfig(CONFIG);
+    return getConfigInfo();
+  }
+
+  const env = options.env || process.env;
+  const sources = ['defaults'];
+
+  const profile = options.profile || env.BOT_PROFILE || null;
+  if (profile) {
+    for (const layer of loadProfile(profile)) {
+      mergeConfig(CONFIG, layer.values);
+      sources.push(`profile:${layer.name}`);
+    }
+  }
+
+  const file = options.file || env.BOT_CONFIG;
+  if (file) {
+    mergeConfig(CONFIG, readConfigFile(path.resolve(file)));
+    sources.push(`file:${file}`);
+  }
+
+  for (const [name, value] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX)) continue;
+    const keyPath = name.slice(ENV_PREFIX.length).split('__').join('.');
+    setPath(CONFIG, keyPath, parseValue(value));
+    sources.push(`env:${name}`);
+  }
+
+  for (const assignment of options.set || []) {
+    const match = /^([A-Za-z0-9_.]+)=(.*)$/s.exec(assignment);
+    if (!match) {
+      throw new ConfigLoadError(`--set needs SECTION.KEY=value, not ${assignment}`);
+    }
+    setPath(CONFIG, match[1], parseValue(match[2]));
+    sources.push(`set:${match[1]}`);
+  }
+
+  if (options.overrides && Object.keys(options.overrides).length > 0) {
+    mergeConfig(CONFIG, options.overrides);
+    sources.push('flags');
+  }
+
+  validateConfig(CONFIG);
+  resolved = { profile, sources };
+  return getConfigInfo();
+}
+
+/**
+ * Which settings are in effect
+ * @returns {Object} { profile, sources, hash }
+ */
+export function getConfigInfo() {
+  return {
+    profile: resolved?.profile ?? null,
+    sources: resolved?.sources ?? ['defaults'],
+    hash: hashConfig(CONFIG)
+  };
+}
+
+/**
+ * Short, stable fingerprint of a config (key order does not matter)
+ */
+export function hashConfig(config = CONFIG) {
+  return crypto.createHash('sha256').update(canonicalJson(config)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Plain-JSON copy of a config (RegExps as strings) for printing and storage
+ */
+export function serializeConfig(config = CONFIG) {
+  return JSON.parse(canonicalJson(config));
+}
+
+/**
+ * Profile names available in config/profiles/
+ */
+export function listProfiles() {
+  if (!fs.existsSync(PROFILE_DIR)) return [];
+  const names = fs.readdirSync(PROFILE_DIR)
+    .filter(f => FILE_EXTENSIONS.includes(path.extname(f)))
+    .map(f => path.basename(f, path.extname(f)));
+  return [...new Set(names)].sort();
+}
+
+/**
+ * Merge overrides into a config (objects merged, everything else replaced)
+ */
+export function mergeConfig(target, overrides, keyPath = '') {
+  for (const [key, value] of Object.entries(overrides)) {
+    const fullKey = keyPath ? `${keyPath}.${key}` : key;
+
+    if (!keyPath && !(key in target)) {
+      throw new ConfigLoadError(`Unknown config section: ${key}`);
+    }
+
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    if (isObject && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      mergeConfig(target[key], value, fullKey);
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Profile layers, base first ("extends" chains to another profile)
+ */
+function loadProfile(nameOrPath, seen = []) {
+  const isPath = FILE_EXTENSIONS.includes(path.extname(nameOrPath)) || nameOrPath.includes('/');
+  const file = isPath
+    ? path.resolve(nameOrPath)
+    : FILE_EXTENSIONS.map(ext => path.join(PROFILE_DIR, `${nameOrPath}${ext}`)).find(f => fs.existsSync(f));
+
+  if (!file) {
+    throw new ConfigLoadError(`Unknown profile: ${nameOrPath} (available: ${listProfiles().join(', ') || 'none'})`);
+  }
+  if (seen.includes(file)) {
+    throw new ConfigLoadError(`Profile extends itself: ${[...seen, file].join(' → ')}`);
+  }
+
+  const { extends: base, description, ...values } = readConfigFile(file);
+  const layers = base ? loadProfile(base, [...seen, file]) : [];
+  layers.push({ name: nameOrPath, values });
+  return layers;
+}
+
+/**
+ * Read a JSON or YAML (.yaml/.yml) settings file
+ */
+function readConfigFile(file) {
+  let values;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    values = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigLoadError(`Cannot read config ${file}: ${error.message}`);
+  }
+
+  if (values === null || values === undefined) return {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigLoadError(`Cannot read config ${file}: expected an object of settings`);
+  }
+  return values;
+}
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  if (keys.some(key => !key)) {
+    throw new ConfigLoadError(`Invalid config key: ${keyPath}`);
+  }
+  if (!(keys[0] in target)) {
+    throw new ConfigLoadError(`Unknown config section: ${keys[0]} (in ${keyPath})`);
+  }
+
+  let section = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!section[key] || typeof section[key] !== 'object') section[key] = {};
+    section = section[key];
+  }
+  section[keys[keys.length - 1]] = value;
+}
+
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item instanceof RegExp) return item.toString();
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      return Object.fromEntries(Object.keys(item).sort().map(k => [k, item[k]]));
+    }
+    return item;
+  });
+}
+
+export default resolveConfig;
@@ -0,0 +1,500 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CONFIG SCHEMA
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every key of CONFIG with its type, range and (for optional keys) default.
+ * validateConfig() runs (via config/loader.js) when BotCasino13, the engine
+ * and the backtesters start: it fills in defaults and throws one ConfigError
+ * listing every missing, mistyped, out-of-range or unknown key, instead of
+ * the first `undefined` surfacing halfway through a decision.
+ *
+ * Leaf: { type, min, max, values, items, default, nullable }
+ * Section: plain object of leaves/sections (keys are UPPER_CASE)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { CONFIG } from './settings.js';
+
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const string = (options = {}) => ({ type: 'string', ...options });
+const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+const time = () => ({ type: 'time' });                    // 'HH:MM' (UTC unless noted)
+const pattern = () => ({ type: 'regexp' });
+const list = (items, options = {}) => ({ type: 'array', items, ...options });
+const map = (values) => ({ type: 'map', values });         // Free keys, same shape per value
+
+const fraction = (options = {}) => number({ min: 0, max: 1, ...options });
+const percent = (options = {}) => number({ min: 0, max: 100, ...options });
+const address = () => ({ type: 'address' });
+const url = () => ({ type: 'url' });
+
+const killzone = { START: time(), END: time(), ENABLED: boolean() };
+const window = { START: time(), END: time() };
+// Unset PRIORITY / WIN_RATE_ESTIMATE fall back to the model module's own
+const entryModel = {
+  ENABLED: boolean({ default: true }),
+  PRIORITY: integer({ min: 0, nullable: true, default: null }),
+  WIN_RATE_ESTIMATE: fraction({ nullable: true, default: null })
+};
+
+const marketSeries = {
+  SLUG: string(),
+  SLUG_PATTERN: pattern(),
+  SLUG_DATE: oneOf(['START', 'END']),
+  ANCHOR: time(),
+  PERIOD_HOURS: number({ min: 0 }),
+  MIN_HOURS_TO_RESOLUTION: number({ min: 0 }),
+  MAX_HOURS_TO_EXPIRY: number({ min: 0 })
+};
+
+export const CONFIG_SCHEMA = {
+  STRATEGY: {
+    NAME: string(),
+    VERSION: string(),
+    ASSET: oneOf(['BTC', 'ETH', 'SOL']),
+    DESCRIPTION: string()
+  },
+
+  CHALLENGE: {
+    STARTING_CAPITAL: number({ min: 1 }),
+    TARGET_CAPITAL: number({ min: 1 }),
+    REQUIRED_WINS: integer({ min: 1 }),
+    POSITION_SIZE_PERCENT: percent({ min: 1 }),
+    MAX_TRADES_PER_DAY: integer({ min: 1 }),
+    ALLOW_SECOND_TRADE_IF_A_PLUS: boolean({ default: false })
+  },
+
+  KILLZONES: {
+    ASIA: killzone,
+    LONDON: killzone,
+    NEW_YORK_AM: killzone,
+    NEW_YORK_PM: killzone,
+    SILVER_BULLET: map(window),
+    DAY_FILTER: {
+      ENABLED: boolean(),
+      SKIP_FRIDAY: boolean(),
+      SKIP_THURSDAY: boolean(),
+      TRADING_DAYS: list(integer({ min: 0, max: 6 }))
+    }
+  },
+
+  ICT: {
+    FVG: {
+      MIN_SIZE_PERCENT: percent(),
+      MAX_SIZE_PERCENT: percent(),
+      LOOKBACK_CANDLES: integer({ min: 3 }),
+      REQUIRE_DISPLACEMENT: boolean(),
+      DISPLACEMENT_MIN_SIZE: percent()
+    },
+    LIQUIDITY: {
+      EQUAL_HIGHS_LOWS_TOLERANCE: percent(),
+      SESSION_LOOKBACK_HOURS: number({ min: 1 }),
+      SWEEP_CONFIRMATION_CANDLES: integer({ min: 1 }),
+      MIN_LIQUIDITY_POOL_TOUCHES: integer({ min: 1 }),
+      SWEEP_REQUIRED: boolean()
+    },
+    PREMIUM_DISCOUNT: {
+      PREMIUM_THRESHOLD: fraction(),
+      DISCOUNT_THRESHOLD: fraction(),
+      EQUILIBRIUM_BUFFER: fraction()
+    },
+    STRUCTURE: {
+      SWING_LOOKBACK: integer({ min: 1 }),
+      SWING_LOOKBACK_HTF: integer({ min: 1 }),
+      BOS_CONFIRMATION_CANDLES: integer({ min: 1 }),
+      CHOCH_REQUIRES_FVG: boolean()
+    },
+    SMT: {
+      ENABLED: boolean(),
+      REQUIRED: boolean(),
+      CORRELATION_THRESHOLD: fraction(),
+      DIVERGENCE_LOOKBACK: integer({ min: 2 }),
+      MIN_DIVERGENCE_PERCENT: percent()
+    },
+    MMXM: {
+      PHASES: list(string()),
+      MIN_MANIPULATION_PERCENT: percent(),
+      REVERSION_TARGET_FIB: fraction()
+    }
+  },
+
+  HTF_BIAS: {
+    TIMEFRAMES: list(string()),
+    REQUIRE_ALL_ALIGNED: boolean(),
+    MIN_ALIGNED_COUNT: integer({ min: 1 }),
+    ALLOW_NEUTRAL_BIAS: boolean()
+  },
+
+  ENTRY_MODELS: {
+    REQUIRE_FVG: boolean(),
+    ONLY: string({ nullable: true, default: null }),
+    MODELS: map(entryModel)
+  },
+
+  CONFLUENCE: {
+    MIN_SCORE_TO_TRADE: number({ min: 0 }),
+    A_PLUS_SCORE: number({ min: 0 }),
+    FACTORS: {
+      HTF_BIAS_ALIGNED: number({ min: 0 }),
+      KILLZONE_ACTIVE: number({ min: 0 }),
+      LIQUIDITY_SWEPT: number({ min: 0 }),
+      FVG_PRESENT: number({ min: 0 }),
+      SMT_DIVERGENCE: number({ min: 0 }),
+      PREMIUM_DISCOUNT_ZONE: number({ min: 0 }),
+      NEWS_CLEAR: number({ min: 0 }),
+      NEWS_SENTIMENT_ALIGNED: number({ min: 0 }),
+      ETF_FLOWS_ALIGNED: number({ min: 0 }),
+      ECONOMIC_BIAS_ALIGNED: number({ min: 0 })
+    }
+  },
+
+  POLYMARKET: {
+    API_URL: url(),
+    GAMMA_URL: url(),
+    DATA_API_URL: url(),
+    RPC_URL: url(),
+    USDC_ADDRESS: address(),
+    CTF_ADDRESS: address(),
+    MARKET_TYPES: { DAILY_UP_DOWN: boolean() },
+    MARKET_SERIES: {
+      DEFAULT: oneOf(['DAILY', 'HOURLY', 'FOUR_HOUR']),
+      TIMEZONE: string(),
+      ASSETS: map({ NAME: string(), TICKER: string() }),
+      DAILY: marketSeries,
+      HOURLY: marketSeries,
+      FOUR_HOUR: marketSeries
+    },
+    MIN_ODDS_PRICE: fraction(),
+    MAX_ODDS_PRICE: fraction(),
+    IDEAL_ODDS_RANGE: list(fraction(), { length: 2 }),
+    CHAIN_ID: integer({ min: 1 }),
+    EXCHANGE_ADDRESS: address(),
+    NEG_RISK_EXCHANGE_ADDRESS: address(),
+    SIGNATURE_TYPE: oneOf([0, 1, 2]),
+    ORDER_TYPE: oneOf(['FOK', 'FAK', 'GTC', 'GTD']),
+    TICK_SIZE: oneOf([0.1, 0.01, 0.001, 0.0001]),
+    FEE_RATE_BPS: integer({ min: 0, max: 10000 })
+  },
+
+  EXECUTION: {
+    RETRY_ATTEMPTS: integer({ min: 1 }),
+    RETRY_DELAY_MS: integer({ min: 0 }),
+    SLIPPAGE_TOLERANCE: fraction(),
+    SLIPPAGE_ACTION: oneOf(['SPLIT', 'REJECT']),
+    MAX_CHILD_ORDERS: integer({ min: 1 }),
+    CHILD_ORDER_DELAY_MS: integer({ min: 0 }),
+    MIN_ORDER_USD: number({ min: 0 }),
+    MAX_PRICE_DRIFT: fraction(),
+    GAS_MULTIPLIER: number({ min: 1 }),
+    ORDER_POLL_INTERVAL_MS: integer({ min: 100 }),
+    ORDER_TIMEOUT_MS: integer({ min: 1000 }),
+    BALANCE_TOLERANCE_USD: number({ min: 0 }),
+    BALANCE_TOLERANCE_PERCENT: percent(),
+    REDEEM_CONFIRMATIONS: integer({ min: 1 }),
+    REDEEM_TIMEOUT_MS: integer({ min: 1000 }),
+    ENTRY_MODE: oneOf(['TAKER', 'MAKER']),
+    MAKER: {
+      REPRICE_INTERVAL_MS: integer({ min: 1000 }),
+      CROSS_BEFORE_DEADLINE_MS: integer({ min: 0 }),
+      MAX_DURATION_MS: integer({ min: 1000 })
+    }
+  },
+
+  BACKTEST: {
+    DECISION_HOUR_UTC: integer({ min: 0, max: 23 }),
+    SLIPPAGE: {
+      ENABLED: boolean(),
+      BASE_SLIPPAGE_PERCENT: percent(),
+      VARIABLE_SLIPPAGE: boolean(),
+      MAX_SLIPPAGE_PERCENT: percent()
+    },
+    FEES: {
+      ENABLED: boolean(),
+      POLYMARKET_FEE_PERCENT: percent(),
+      GAS_FEE_USD: number({ min: 0 })
+    }
+  },
+
+  DATA: {
+    EXCHANGE: string(),
+    SYMBOLS: map(string()),
+    MULTI_ASSET: {
+      ENABLED: boolean(),
+      ASSETS: list(string(), { minLength: 1 }),
+      CAPITAL_PER_ASSET: number({ min: 1 }),
+      SMT_PAIRS: map(string())
+    },
+    TIMEFRAMES: list(oneOf(['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w'])),
+    CANDLE_LIMIT: integer({ min: 50, max: 1500 })
+  },
+
+  LOGGING: {
+    LEVEL: oneOf(['error', 'warn', 'info', 'debug']),
+    FILE_PATH: string({ nullable: true }),
+    CONSOLE: boolean(),
+    MAX_SIZE_MB: number({ min: 1 }),
+    MAX_FILES: integer({ min: 1 })
+  },
+
+  AUDIT: {
+    ENABLED: boolean(),
+    FILE_NAME: string(),
+    SNAPSHOTS: boolean({ default: true }),
+    SNAPSHOT_DIR: string({ default: 'snapshots' })
+  },
+
+  CONFIRMATION: {
+    ENABLED: boolean(),
+    MIN_CAPITAL: number({ min: 0, nullable: true }),
+    MIN_WINS: integer({ min: 0, nullable: true }),
+    TIMEOUT_MS: integer({ min: 1000 })
+  },
+
+  API: {
+    ENABLED: boolean(),
+    HOST: string(),
+    PORT: integer({ min: 0, max: 65535 }),
+    RECENT_DECISIONS: integer({ min: 1 })
+  },
+
+  TELEGRAM: {
+    COMMANDS_ENABLED: boolean(),
+    LONG_POLL_SECONDS: integer({ min: 0, max: 50 }),
+    RETRY_DELAY_MS: integer({ min: 0 }),
+    HISTORY_DEFAULT: integer({ min: 1 })
+  },
+
+  FILTERS: {
+    NEWS: {
+      ENABLED: boolean(),
+      HIGH_IMPACT_EVENTS: list(string()),
+      BLACKOUT_MINUTES_BEFORE: integer({ min: 0 }),
+      BLACKOUT_MINUTES_AFTER: integer({ min: 0 })
+    },
+    VOLATILITY: {
+      ATR_PERIOD: integer({ min: 1 }),
+      MIN_ATR_PERCENT: percent(),
+      MAX_ATR_PERCENT: percent()
+    },
+    POLYMARKET: {
+      MIN_HOURS_BEFORE_EXPIRY: number({ min: 0 }),
+      MAX_HOURS_BEFORE_EXPIRY: number({ min: 0 })
+    }
+  },
+
+  DATA_SOURCES: {
+    NEWS_SENTIMENT: { ENABLED: boolean() },
+    ETF_FLOWS: {
+      ENABLED: boolean(),
+      BLOCK_ON_STRONG_DISAGREEMENT: boolean({ default: false })
+    },
+    ECONOMIC_CALENDAR: { ENABLED: boolean() }
+  }
+};
+
+/**
+ * Relations a per-key check cannot see
+ */
+const RULES = [
+  [c => c.CHALLENGE.TARGET_CAPITAL > c.CHALLENGE.STARTING_CAPITAL,
+    'CHALLENGE.TARGET_CAPITAL must be above STARTING_CAPITAL'],
+  [c => c.KILLZONES.DAY_FILTER.TRADING_DAYS.includes(5) !== c.KILLZONES.DAY_FILTER.SKIP_FRIDAY,
+    'KILLZONES.DAY_FILTER.SKIP_FRIDAY contradicts TRADING_DAYS'],
+  [c => c.KILLZONES.DAY_FILTER.TRADING_DAYS.includes(4) !== c.KILLZONES.DAY_FILTER.SKIP_THURSDAY,
+    'KILLZONES.DAY_FILTER.SKIP_THURSDAY contradicts TRADING_DAYS'],
+  [c => c.CONFLUENCE.A_PLUS_SCORE >= c.CONFLUENCE.MIN_SCORE_TO_TRADE,
+    'CONFLUENCE.A_PLUS_SCORE must be at least MIN_SCORE_TO_TRADE'],
+  [c => c.ICT.FVG.MIN_SIZE_PERCENT < c.ICT.FVG.MAX_SIZE_PERCENT,
+    'ICT.FVG.MIN_SIZE_PERCENT must be below MAX_SIZE_PERCENT'],
+  [c => c.ICT.PREMIUM_DISCOUNT.DISCOUNT_THRESHOLD < c.ICT.PREMIUM_DISCOUNT.PREMIUM_THRESHOLD,
+    'ICT.PREMIUM_DISCOUNT.DISCOUNT_THRESHOLD must be below PREMIUM_THRESHOLD'],
+  [c => c.POLYMARKET.MIN_ODDS_PRICE < c.POLYMARKET.MAX_ODDS_PRICE,
+    'POLYMARKET.MIN_ODDS_PRICE must be below MAX_ODDS_PRICE'],
+  [c => c.FILTERS.VOLATILITY.MIN_ATR_PERCENT < c.FILTERS.VOLATILITY.MAX_ATR_PERCENT,
+    'FILTERS.VOLATILITY.MIN_ATR_PERCENT must be below MAX_ATR_PERCENT'],
+  [c => c.FILTERS.POLYMARKET.MIN_HOURS_BEFORE_EXPIRY < c.FILTERS.POLYMARKET.MAX_HOURS_BEFORE_EXPIRY,
+    'FILTERS.POLYMARKET.MIN_HOURS_BEFORE_EXPIRY must be below MAX_HOURS_BEFORE_EXPIRY'],
+  [c => !!c.DATA.SYMBOLS[c.STRATEGY.ASSET] && !!c.POLYMARKET.MARKET_SERIES.ASSETS[c.STRATEGY.ASSET],
+    'STRATEGY.ASSET needs an entry in DATA.SYMBOLS and POLYMARKET.MARKET_SERIES.ASSETS'],
+  [c => !!c.DATA.SYMBOLS[c.DATA.MULTI_ASSET.SMT_PAIRS[c.STRATEGY.ASSET]],
+    'STRATEGY.ASSET needs a DATA.MULTI_ASSET.SMT_PAIRS entry with a DATA.SYMBOLS symbol'],
+  [c => c.HTF_BIAS.TIMEFRAMES.every(tf => c.DATA.TIMEFRAMES.includes(tf)),
+    'HTF_BIAS.TIMEFRAMES must all be in DATA.TIMEFRAMES'],
+  [c => c.DATA.TIMEFRAMES.includes('5m'),
+    'DATA.TIMEFRAMES must include 5m (entry analysis)'],
+  [c => !!c.POLYMARKET.MARKET_SERIES[c.POLYMARKET.MARKET_SERIES.DEFAULT],
+    'POLYMARKET.MARKET_SERIES.DEFAULT must name a defined series']
+];
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a config against the schema, filling in defaults
+ *
+ * @param {Object} config - Defaults to the live CONFIG (modified in place)
+ * @returns {string[]} Every problem found (empty when valid)
+ */
+export function checkConfig(config = CONFIG, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  checkSection(config, schema, '', errors);
+
+  // Relations only make sense once every key has the right type
+  if (errors.length === 0) {
+    for (const [holds, message] of RULES) {
+      if (!holds(config)) errors.push(message);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate at startup
+ * @throws {ConfigError} Listing every problem
+ */
+export function validateConfig(config = CONFIG) {
+  const errors = checkConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return config;
+}
+
+function isLeaf(spec) {
+  return typeof spec.type === 'string';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+function checkSection(section, schema, keyPath, errors) {
+  for (const [key, spec] of Object.entries(schema)) {
+    const fullKey = keyPath ? `${keyPath}.${key}` : key;
+
+    if (!(key in section) || section[key] === undefined) {
+      if (!isLeaf(spec)) {
+        // Report each missing key (or build the section from defaults)
+        section[key] = {};
+      } else if ('default' in spec) {
+        section[key] = spec.default;
+        continue;
+      } else {
+        errors.push(`${fullKey}: missing (${describe(spec)})`);
+        continue;
+      }
+    }
+
+    checkValue(section[key], spec, fullKey, errors);
+  }
+
+  for (const key of Object.keys(section)) {
+    if (!(key in schema)) {
+      errors.push(`${keyPath ? `${keyPath}.${key}` : key}: unknown key`);
+    }
+  }
+}
+
+function checkValue(value, spec, fullKey, errors) {
+  if (!isLeaf(spec)) {
+    if (!isPlainObject(value)) {
+      errors.push(`${fullKey}: expected a section, got ${JSON.stringify(value)}`);
+      return;
+    }
+    checkSection(value, spec, fullKey, errors);
+    return;
+  }
+
+  if (value === null) {
+    if (!spec.nullable) errors.push(`${fullKey}: must not be null (${describe(spec)})`);
+    return;
+  }
+
+  const problem = checkLeaf(value, spec, fullKey, errors);
+  if (problem) {
+    errors.push(`${fullKey}: ${problem}, got ${JSON.stringify(value) ?? String(value)}`);
+  }
+}
+
+/**
+ * @returns {string|null} What is wrong with the value
+ */
+function checkLeaf(value, spec, fullKey, errors) {
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `expected ${spec.type}`;
+      if (spec.type === 'integer' && !Number.isInteger(value)) return 'expected integer';
+      if (spec.min !== undefined && value < spec.min) return `must be >= ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `must be <= ${spec.max}`;
+      return null;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected true/false';
+
+    case 'string':
+      return typeof value === 'string' && value.length > 0 ? null : 'expected a non-empty string';
+
+    case 'enum':
+      return spec.values.includes(value) ? null : `expected one of ${spec.values.join(', ')}`;
+
+    case 'time': {
+      const match = /^(\d{2}):(\d{2})$/.exec(value);
+      return match && Number(match[1]) < 24 && Number(match[2]) < 60 ? null : 'expected HH:MM';
+    }
+
+    case 'regexp':
+      return value instanceof RegExp ? null : 'expected a RegExp';
+
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/\S+$/.test(value) ? null : 'expected an http(s) URL';
+
+    case 'address':
+      return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value) ? null : 'expected a 0x address';
+
+    case 'array':
+      if (!Array.isArray(value)) return 'expected an array';
+      if (spec.length !== undefined && value.length !== spec.length) return `expected ${spec.length} items`;
+      if (spec.minLength !== undefined && value.length < spec.minLength) return `expected at least ${spec.minLength} item(s)`;
+      value.forEach((item, i) => checkValue(item, spec.items, `${fullKey}[${i}]`, errors));
+      return null;
+
+    case 'map':
+      if (!isPlainObject(value)) return 'expected an object';
+      for (const [key, item] of Object.entries(value)) {
+        checkValue(item, spec.values, `${fullKey}.${key}`, errors);
+      }
+      return null;
+
+    default:
+      return `unsupported schema type ${spec.type}`;
+  }
+}
+
+function describe(spec) {
+  switch (spec.type) {
+    case 'enum': return `one of ${spec.values.join(', ')}`;
+    case 'array': return `array of ${describe(spec.items)}`;
+    case 'map': return 'object';
+    case 'number':
+    case 'integer': {
+      const range = [
+        spec.min !== undefined ? `>= ${spec.min}` : null,
+        spec.max !== undefined ? `<= ${spec.max}` : null
+      ].filter(Boolean).join(', ');
+      return range ? `${spec.type} ${range}` : spec.type;
+    }
+    default: return spec.type;
+  }
+}
+
+export default validateConfig;
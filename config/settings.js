@@ -19,6 +19,10 @@
  *   ✅ SKIP_THURSDAY     - 28% win rate en 2025
  *   ✅ ETH ONLY          - BTC = 54% en 2025
  *
+ *
+ * These are the defaults. Profiles (config/profiles/*.json), BOT_CONFIG /
+ * --config files, BOT__SECTION__KEY variables and --set flags are layered
+ * on top by config/loader.js and checked against config/schema.js.
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
@@ -42,6 +46,7 @@ export const CONFIG = {
     REQUIRED_WINS: 13,
     POSITION_SIZE_PERCENT: 100,
     MAX_TRADES_PER_DAY: 1,
+    ALLOW_SECOND_TRADE_IF_A_PLUS: false,  // Exceed the daily limit for A_PLUS_SCORE setups
   },
 
   // ═══════════════════════════════════════════════════════════════════
@@ -53,7 +58,15 @@ export const CONFIG = {
     NEW_YORK_AM: { START: '13:00', END: '16:00', ENABLED: true },
     NEW_YORK_PM: { START: '18:00', END: '20:00', ENABLED: true },
 
-    // DAY OF WEEK FILTER - OPTIMIZED
+    // Silver Bullet windows (confluence bonus inside a killzone)
+    SILVER_BULLET: {
+      LONDON: { START: '09:00', END: '10:00' },
+      NEW_YORK_AM: { START: '14:00', END: '15:00' },
+      NEW_YORK_PM: { START: '19:00', END: '20:00' },
+    },
+
+    // DAY OF WEEK FILTER - OPTIMIZED (live engine and backtests;
+    // the eth13 profile trades Tue/Wed/Fri instead)
     DAY_FILTER: {
       ENABLED: true,
       SKIP_FRIDAY: true,      // 0% win rate
@@ -123,15 +136,23 @@ export const CONFIG = {
     TIMEFRAMES: ['4h', '1d'],
     REQUIRE_ALL_ALIGNED: false,
     MIN_ALIGNED_COUNT: 1,
-    ALLOW_NEUTRAL_BIAS: true,
+    ALLOW_NEUTRAL_BIAS: true,  // Neutral HTF: trade the LTF (5m) bias instead
   },
 
   // ═══════════════════════════════════════════════════════════════════
   // ENTRY MODELS - FVG REQUIRED
   // ═══════════════════════════════════════════════════════════════════
   ENTRY_MODELS: {
-    MMXM_ONLY: false,
     REQUIRE_FVG: true,  // CRITICAL: 82.4% vs 69.2% walk-forward
+    ONLY: null,         // Model id to backtest in isolation (null = all enabled)
+
+    // Registered models (src/strategy/entryModels/); all are evaluated and
+    // the valid one with the lowest PRIORITY is traded
+    MODELS: {
+      MMXM: { ENABLED: true, PRIORITY: 1, WIN_RATE_ESTIMATE: 0.70 },
+      FVG_DISPLACEMENT: { ENABLED: true, PRIORITY: 2, WIN_RATE_ESTIMATE: 0.66 },
+      JUDAS_SWING: { ENABLED: true, PRIORITY: 3, WIN_RATE_ESTIMATE: 0.63 },
+    },
   },
 
   // ═══════════════════════════════════════════════════════════════════
@@ -147,6 +168,10 @@ export const CONFIG = {
       FVG_PRESENT: 1.5,
       SMT_DIVERGENCE: 1.5,
       PREMIUM_DISCOUNT_ZONE: 1,
+      NEWS_CLEAR: 0.5,
+      NEWS_SENTIMENT_ALIGNED: 1.5,
+      ETF_FLOWS_ALIGNED: 2,
+      ECONOMIC_BIAS_ALIGNED: 1,
     }
   },
 
@@ -156,11 +181,65 @@ export const CONFIG = {
   POLYMARKET: {
     API_URL: 'https://clob.polymarket.com',
     GAMMA_URL: 'https://gamma-api.polymarket.com',
+    DATA_API_URL: 'https://data-api.polymarket.com',
+    RPC_URL: 'https://polygon-rpc.com',
+    USDC_ADDRESS: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174',  // USDC.e (Polygon)
+    CTF_ADDRESS: '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045',   // Conditional Tokens
     MARKET_TYPES: { DAILY_UP_DOWN: true },
-    OUTCOMES: { UP: 'Yes', DOWN: 'No' },
+
+    // Up/Down market series. Periods are anchored on ET wall-clock time
+    // (DST-aware) and end at the resolution instant.
+    // Slug tokens: {name} {ticker} {month} {day} {hour} (e.g. 9am)
+    // {timestamp} (period start, unix seconds). SLUG_DATE: which end of the
+    // period the date tokens describe.
+    MARKET_SERIES: {
+      DEFAULT: 'DAILY',
+      TIMEZONE: 'America/New_York',
+      ASSETS: {
+        BTC: { NAME: 'bitcoin', TICKER: 'btc' },
+        ETH: { NAME: 'ethereum', TICKER: 'eth' },
+        SOL: { NAME: 'solana', TICKER: 'sol' },
+      },
+      DAILY: {
+        SLUG: '{name}-up-or-down-on-{month}-{day}',
+        SLUG_PATTERN: /-up-or-down-on-[a-z]+-\d+$/,
+        SLUG_DATE: 'END',            // "on October 19" = resolves noon ET Oct 19
+        ANCHOR: '12:00',             // Resolution time (ET)
+        PERIOD_HOURS: 24,
+        MIN_HOURS_TO_RESOLUTION: 4,  // Skip a period that resolves sooner
+        MAX_HOURS_TO_EXPIRY: 48,
+      },
+      HOURLY: {
+        SLUG: '{name}-up-or-down-{month}-{day}-{hour}-et',
+        SLUG_PATTERN: /-up-or-down-[a-z]+-\d+-\d+(am|pm)-et$/,
+        SLUG_DATE: 'START',
+        ANCHOR: '00:00',
+        PERIOD_HOURS: 1,
+        MIN_HOURS_TO_RESOLUTION: 0.25,
+        MAX_HOURS_TO_EXPIRY: 2,
+      },
+      FOUR_HOUR: {
+        SLUG: '{ticker}-updown-4h-{timestamp}',
+        SLUG_PATTERN: /-updown-4h-\d+$/,
+        SLUG_DATE: 'START',
+        ANCHOR: '00:00',
+        PERIOD_HOURS: 4,
+        MIN_HOURS_TO_RESOLUTION: 0.5,
+        MAX_HOURS_TO_EXPIRY: 8,
+      },
+    },
     MIN_ODDS_PRICE: 0.35,
     MAX_ODDS_PRICE: 0.65,
     IDEAL_ODDS_RANGE: [0.45, 0.55],
+
+    // CLOB order signing (Polygon mainnet)
+    CHAIN_ID: 137,
+    EXCHANGE_ADDRESS: '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E',
+    NEG_RISK_EXCHANGE_ADDRESS: '0xC5d563A36AE78145C45a50134d48A1215220f80a',
+    SIGNATURE_TYPE: 0,        // 0 = EOA, 1 = Poly proxy, 2 = Gnosis safe
+    ORDER_TYPE: 'FOK',        // Fill-or-kill: all-in or nothing
+    TICK_SIZE: 0.01,
+    FEE_RATE_BPS: 0,
   },
 
   // ═══════════════════════════════════════════════════════════════════
@@ -169,8 +248,30 @@ export const CONFIG = {
   EXECUTION: {
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY_MS: 1000,
-    SLIPPAGE_TOLERANCE: 0.02,
+    SLIPPAGE_TOLERANCE: 0.02,  // Max VWAP above best ask (fraction)
+    SLIPPAGE_ACTION: 'SPLIT',  // 'SPLIT' into child orders or 'REJECT'
+    MAX_CHILD_ORDERS: 5,
+    CHILD_ORDER_DELAY_MS: 5000,
+    MIN_ORDER_USD: 1,
+    MAX_PRICE_DRIFT: 0.03,     // Abort if best ask moved more than this since the snapshot
     GAS_MULTIPLIER: 1.2,
+    ORDER_POLL_INTERVAL_MS: 2000,
+    ORDER_TIMEOUT_MS: 60000,   // Cancel resting remainder after this
+    // Refuse to trade if tracked capital and wallet USDC differ by more than
+    // max(USD, PERCENT of tracked capital)
+    BALANCE_TOLERANCE_USD: 1,
+    BALANCE_TOLERANCE_PERCENT: 2,
+    REDEEM_CONFIRMATIONS: 2,
+    REDEEM_TIMEOUT_MS: 300000,
+
+    // Entry mode: 'TAKER' crosses the spread, 'MAKER' rests a limit at/inside
+    // the best bid and only crosses near the killzone end
+    ENTRY_MODE: 'TAKER',
+    MAKER: {
+      REPRICE_INTERVAL_MS: 30000,
+      CROSS_BEFORE_DEADLINE_MS: 300000,  // Fall back to taker 5 min before deadline
+      MAX_DURATION_MS: 3600000,          // Deadline if no killzone end is known
+    },
   },
 
   // ═══════════════════════════════════════════════════════════════════
@@ -199,12 +300,13 @@ export const CONFIG = {
     SYMBOLS: {
       ETH: 'ETH/USDT',
       BTC: 'BTC/USDT',
+      SOL: 'SOL/USDT',
     },
     MULTI_ASSET: {
       ENABLED: true,
       ASSETS: ['ETH'],  // ETH ONLY - validated 87% win rate
       CAPITAL_PER_ASSET: 12,
-      SMT_PAIRS: { ETH: 'BTC' }
+      SMT_PAIRS: { ETH: 'BTC', BTC: 'ETH', SOL: 'ETH' }
     },
     TIMEFRAMES: ['5m', '15m', '1h', '4h', '1d'],
     CANDLE_LIMIT: 500,
@@ -215,8 +317,51 @@ export const CONFIG = {
   // ═══════════════════════════════════════════════════════════════════
   LOGGING: {
     LEVEL: 'info',
-    FILE_PATH: './logs/eth13.log',
+    FILE_PATH: './logs/eth13.log',   // JSON lines (BOT_LOG_FILE overrides)
     CONSOLE: true,
+    MAX_SIZE_MB: 10,                 // Rotate at this size...
+    MAX_FILES: 5,                    // ...keeping this many files
+  },
+
+  // ═══════════════════════════════════════════════════════════════════
+  // DECISION AUDIT (every decision as JSONL, in the state directory)
+  // ═══════════════════════════════════════════════════════════════════
+  AUDIT: {
+    ENABLED: true,
+    FILE_NAME: 'decisions.jsonl',
+    SNAPSHOTS: true,                 // Store the candles behind each decision for `replay`
+    SNAPSHOT_DIR: 'snapshots',       // gzip JSON per decision, under the state directory
+  },
+
+  // ═══════════════════════════════════════════════════════════════════
+  // TRADE CONFIRMATION (human approval before large stakes)
+  // ═══════════════════════════════════════════════════════════════════
+  CONFIRMATION: {
+    ENABLED: true,
+    MIN_CAPITAL: 1000,        // Ask when the stake is at least this (null = ignore)
+    MIN_WINS: 10,             // ...or the streak is at least this (null = ignore)
+    TIMEOUT_MS: 900000,       // 15 min (capped at the killzone end); no answer = reject
+  },
+
+  // ═══════════════════════════════════════════════════════════════════
+  // STATUS / CONTROL API (embedded in `run`)
+  // ═══════════════════════════════════════════════════════════════════
+  API: {
+    ENABLED: true,
+    HOST: '127.0.0.1',        // Local only; put a proxy in front to expose it
+    PORT: 8713,               // Override with BOT_API_PORT
+    RECENT_DECISIONS: 50,     // Decisions kept in memory for /decisions
+    // POST endpoints require `Authorization: Bearer $BOT_API_TOKEN`
+  },
+
+  // ═══════════════════════════════════════════════════════════════════
+  // TELEGRAM COMMANDS (two-way bot, `run` only)
+  // ═══════════════════════════════════════════════════════════════════
+  TELEGRAM: {
+    COMMANDS_ENABLED: true,   // Only TELEGRAM_CHAT_ID is obeyed
+    LONG_POLL_SECONDS: 30,
+    RETRY_DELAY_MS: 5000,     // After a failed getUpdates
+    HISTORY_DEFAULT: 5,       // Results shown by /history
   },
 
   // ═══════════════════════════════════════════════════════════════════
@@ -228,16 +373,32 @@ export const CONFIG = {
       HIGH_IMPACT_EVENTS: ['FOMC', 'CPI', 'NFP', 'PPI'],
       BLACKOUT_MINUTES_BEFORE: 120,
       BLACKOUT_MINUTES_AFTER: 60,
+    },
+
+    // ATR of the 5m candles, as % of price
+    VOLATILITY: {
+      ATR_PERIOD: 14,
+      MIN_ATR_PERCENT: 0.08,   // Quieter = no edge
+      MAX_ATR_PERCENT: 1.5,    // Wilder = too unpredictable
+    },
+
+    // Markets listed by PolymarketClient.parseMarket as tradeable
+    POLYMARKET: {
+      MIN_HOURS_BEFORE_EXPIRY: 0.25,
+      MAX_HOURS_BEFORE_EXPIRY: 48,
     }
   },
 
   // ═══════════════════════════════════════════════════════════════════
-  // ETH13 SPECIFIC SETTINGS
+  // EXTERNAL DATA (live only - blocked in backtests, see src/data/)
   // ═══════════════════════════════════════════════════════════════════
-  ETH13: {
-    TRADING_DAYS: [2, 3, 5],  // Tue, Wed, Fri
-    MIN_CONFLUENCE: 5,
-    FVG_ONLY_MODE: true,
+  DATA_SOURCES: {
+    NEWS_SENTIMENT: { ENABLED: false },  // LUNARCRUSH_API_KEY / CRYPTONEWS_API_KEY
+    ETF_FLOWS: {
+      ENABLED: false,                    // COINGLASS_API_KEY
+      BLOCK_ON_STRONG_DISAGREEMENT: false,
+    },
+    ECONOMIC_CALENDAR: { ENABLED: false },  // FINNHUB_API_KEY
   }
 };
 
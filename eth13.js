@@ -17,6 +17,7 @@
  */
 
 import { MultiAssetBacktester } from './src/backtest/multiAssetRunner.js';
+import { printMultiAssetReport } from './src/backtest/report.js';
 
 async function main() {
   const args = process.argv.slice(2);
@@ -36,14 +37,14 @@ async function main() {
 
   if (args.length >= 2) {
     // Custom date range
-    await backtester.runBacktest(args[0], args[1]);
+    printMultiAssetReport(await backtester.runBacktest(args[0], args[1]));
   } else {
     // Default: run both years
     console.log('Running 2024 backtest...');
-    await backtester.runBacktest('2024-01-01', '2024-12-31');
+    printMultiAssetReport(await backtester.runBacktest('2024-01-01', '2024-12-31'));
 
     console.log('\nRunning 2025 backtest (walk-forward validation)...');
-    await backtester.runBacktest('2025-01-01', '2025-12-31');
+    printMultiAssetReport(await backtester.runBacktest('2025-01-01', '2025-12-31'));
   }
 
   console.log('');
@@ -7,46 +7,28 @@
 cd "$(dirname "$0")/.."
 source .env
 
-# Check if bot is running
-BOT_STATUS=$(pm2 jlist 2>/dev/null | node -e "
-  let data = '';
-  process.stdin.on('data', chunk => data += chunk);
-  process.stdin.on('end', () => {
-    try {
-      const procs = JSON.parse(data);
-      const bot = procs.find(p => p.name === 'botcasino13');
-      if (bot) {
-        console.log(JSON.stringify({
-          status: bot.pm2_env.status,
-          uptime: bot.pm2_env.pm_uptime,
-          memory: bot.monit.memory,
-          restarts: bot.pm2_env.restart_time
-        }));
-      } else {
-        console.log(JSON.stringify({status: 'not_found'}));
-      }
-    } catch(e) {
-      console.log(JSON.stringify({status: 'error', error: e.message}));
-    }
-  });
-")
+# Query the bot's status API (see src/api/statusServer.js)
+API_URL="http://127.0.0.1:${BOT_API_PORT:-8713}"
+HEALTH=$(curl -s --max-time 5 "$API_URL/health" || echo '{}')
+BOT_STATUS=$(curl -s --max-time 5 "$API_URL/status" || echo '{}')
 
 # Parse bot info
-STATUS=$(echo "$BOT_STATUS" | node -e "
-  let data = '';
-  process.stdin.on('data', chunk => data += chunk);
-  process.stdin.on('end', () => {
-    const info = JSON.parse(data);
-    const running = info.status === 'online' ? '🟢 Running' : '🔴 Stopped';
-    const uptime = info.uptime ? Math.floor((Date.now() - info.uptime) / 1000) : 0;
-    const hours = Math.floor(uptime / 3600);
-    const mins = Math.floor((uptime % 3600) / 60);
-    const mem = info.memory ? (info.memory / 1024 / 1024).toFixed(1) : 'N/A';
-    console.log(running + '|' + hours + 'h ' + mins + 'm|' + mem + ' MB|' + (info.restarts || 0));
-  });
+STATUS=$(HEALTH="$HEALTH" BOT_STATUS="$BOT_STATUS" node -e "
+  const parse = (json) => { try { return JSON.parse(json); } catch (e) { return {}; } };
+  const health = parse(process.env.HEALTH);
+  const status = parse(process.env.BOT_STATUS);
+  const running = health.ok ? (health.paused ? '⏸️ Paused' : '🟢 Running') : '🔴 Not responding';
+  const uptime = health.uptimeSeconds || 0;
+  const hours = Math.floor(uptime / 3600);
+  const mins = Math.floor((uptime % 3600) / 60);
+  const mem = health.memoryMB !== undefined ? health.memoryMB + ' MB' : 'N/A';
+  const capital = status.capital !== undefined ? '\$' + status.capital.toFixed(2) + ' (' + status.consecutiveWins + '/13 wins)' : 'N/A';
+  const next = status.nextKillzone ? status.nextKillzone.name + ' in ' + status.nextKillzone.hoursUntil + 'h' : 'N/A';
+  const last = status.lastDecision ? status.lastDecision.action + ' @ ' + status.lastDecision.timestamp : 'none';
+  console.log([running, hours + 'h ' + mins + 'm', mem, capital, next, last].join('|'));
 ")
 
-IFS='|' read -r RUNNING UPTIME MEMORY RESTARTS <<< "$STATUS"
+IFS='|' read -r RUNNING UPTIME MEMORY CAPITAL NEXT_KILLZONE LAST_DECISION <<< "$STATUS"
 
 # Get system info
 DISK_USAGE=$(df -h / | awk 'NR==2 {print $5}')
@@ -58,7 +40,9 @@ MESSAGE="💓 <b>HEARTBEAT STATUS</b>
 <b>Bot:</b> $RUNNING
 <b>Uptime:</b> $UPTIME
 <b>Memory:</b> $MEMORY
-<b>Restarts:</b> $RESTARTS
+<b>Capital:</b> $CAPITAL
+<b>Next killzone:</b> $NEXT_KILLZONE
+<b>Last decision:</b> $LAST_DECISION
 
 <b>System:</b>
   Disk: $DISK_USAGE used
@@ -0,0 +1,216 @@
+/**
+ * Status / Control API
+ *
+ * Small HTTP server embedded in the running bot (BotCasino13.run):
+ *
+ *   GET  /health              Liveness: uptime, memory, mode, pause state
+ *   GET  /status              Challenge state, next killzone, last decision
+ *   GET  /decisions?limit=N   Recent analysis decisions (newest last)
+ *   GET  /trades?limit=N      Recorded results, open position, in-flight trades
+ *   GET  /confirmations       Trades awaiting operator approval
+ *   POST /pause               Stop placing trades ({ "reason": "..." })
+ *   POST /resume              Allow trading again
+ *   POST /analyze             Run an analysis now (never trades)
+ *   POST /confirm/:id         Approve a trade awaiting confirmation
+ *   POST /reject/:id          Reject a trade awaiting confirmation
+ *
+ * POST endpoints need `Authorization: Bearer <BOT_API_TOKEN>`; without a
+ * configured token they are disabled. Binds to localhost by default.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { createLogger } from '../logger.js';
+import { CONFIG } from '../../config/settings.js';
+
+const log = createLogger('api');
+
+const MAX_BODY_BYTES = 10 * 1024;
+
+export class StatusServer {
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.host = options.host || CONFIG.API.HOST;
+    this.port = options.port ?? Number(process.env.BOT_API_PORT || CONFIG.API.PORT);
+    this.token = options.token ?? process.env.BOT_API_TOKEN ?? null;
+    this.server = null;
+    this.analyzing = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {string} Base URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        log.error('Request failed', { method: req.method, url: req.url, error: error.message });
+        this.reply(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.url = `http://${this.host}:${this.server.address().port}`;
+    log.info(`Status API listening on ${this.url}${this.token ? '' : ' (control endpoints disabled: set BOT_API_TOKEN)'}`);
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Route incoming requests
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+    const limit = parseLimit(url.searchParams.get('limit'));
+
+    const confirmation = /^POST \/(confirm|reject)\/([\w-]+)$/.exec(route);
+    if (confirmation) {
+      return this.handleControl(route, req, res, {
+        approved: confirmation[1] === 'confirm',
+        id: confirmation[2]
+      });
+    }
+
+    switch (route) {
+      case 'GET /health':
+        return this.reply(res, 200, this.getHealth());
+
+      case 'GET /status':
+        return this.reply(res, 200, this.bot.getStatus());
+
+      case 'GET /decisions':
+        return this.reply(res, 200, { decisions: this.bot.decisions.slice(-limit) });
+
+      case 'GET /trades':
+        return this.reply(res, 200, {
+          openPosition: this.bot.state.openPosition,
+          inFlight: this.bot.getInFlightTrades(),
+          pendingRedemptions: this.bot.state.pendingRedemptions,
+          history: this.bot.state.tradeHistory.slice(-limit)
+        });
+
+      case 'GET /confirmations':
+        return this.reply(res, 200, { pending: this.bot.getPendingConfirmations() });
+
+      case 'POST /pause':
+      case 'POST /resume':
+      case 'POST /analyze':
+        return this.handleControl(route, req, res);
+
+      default:
+        return this.reply(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+    }
+  }
+
+  /**
+   * Authenticated control endpoints
+   */
+  async handleControl(route, req, res, confirmation = null) {
+    if (!this.token) {
+      return this.reply(res, 403, { error: 'Control endpoints disabled: BOT_API_TOKEN not set' });
+    }
+    if (!this.isAuthorized(req)) {
+      return this.reply(res, 401, { error: 'Unauthorized' });
+    }
+
+    const body = await this.readJson(req);
+    if (body === null) {
+      return this.reply(res, 400, { error: 'Body must be JSON' });
+    }
+
+    if (route === 'POST /pause') {
+      return this.reply(res, 200, this.bot.setPaused(true, body.reason || 'Paused via API'));
+    }
+
+    if (route === 'POST /resume') {
+      return this.reply(res, 200, this.bot.setPaused(false));
+    }
+
+    if (confirmation) {
+      const result = this.bot.resolveConfirmation(confirmation.id, confirmation.approved, 'api');
+      return this.reply(res, result.ok ? 200 : 404, result);
+    }
+
+    // One analysis at a time; it takes seconds (exchange and news calls)
+    if (this.analyzing) {
+      return this.reply(res, 409, { error: 'Analysis already running' });
+    }
+
+    try {
+      this.analyzing = this.bot.analyze();
+      const analysis = await this.analyzing;
+      if (!analysis) {
+        return this.reply(res, 500, { error: 'Analysis failed' });
+      }
+      return this.reply(res, 200, { decision: this.bot.summarizeDecision(analysis.decision) });
+    } finally {
+      this.analyzing = null;
+    }
+  }
+
+  getHealth() {
+    const control = this.bot.getControl();
+
+    return {
+      ok: true,
+      pid: process.pid,
+      uptimeSeconds: Math.round(process.uptime()),
+      memoryMB: Math.round(process.memoryUsage().rss / 1024 / 1024),
+      mode: this.bot.getMode(),
+      paused: control.paused,
+      challengeActive: this.bot.state.challengeActive,
+      lastAnalysis: this.bot.state.lastAnalysis
+    };
+  }
+
+  /**
+   * Constant-time bearer token check
+   */
+  isAuthorized(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(this.token).digest();
+    return crypto.timingSafeEqual(given, expected);
+  }
+
+  async readJson(req) {
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) {
+        throw new Error('Request body too large');
+      }
+    }
+
+    if (!raw.trim()) return {};
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  reply(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 2));
+  }
+}
+
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? limit : CONFIG.API.RECENT_DECISIONS;
+}
+
+export default StatusServer;
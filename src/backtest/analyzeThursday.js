@@ -3,13 +3,14 @@
  */
 
 import DataManager from '../data/dataManager.js';
-import { MarketStructure, FairValueGap, LiquidityAnalysis, MMXM } from '../ict/index.js';
+import { MarketStructure, FairValueGap, LiquidityAnalysis, MMXM, KillzoneDetector } from '../ict/index.js';
 
 const dm = new DataManager();
 const ms = new MarketStructure();
 const fvg = new FairValueGap();
 const liq = new LiquidityAnalysis();
 const mmxm = new MMXM();
+const killzones = new KillzoneDetector();
 
 async function analyzeThursday() {
   const { eth5m, eth4h, eth1d } = await dm.getETH13Data('2024-01-01', '2025-12-31');
@@ -37,10 +38,7 @@ async function analyzeThursday() {
     if (!decisionTs) continue;
 
     const available = candles.filter(c => c.timestamp <= decisionTs);
-    const kz = available.filter(c => {
-      const h = new Date(c.timestamp).getUTCHours();
-      return (h >= 7 && h <= 10) || (h >= 13 && h < decisionHour);
-    });
+    const kz = available.filter(c => killzones.isInAnyKillzone(c.timestamp).active);
     if (kz.length < 15) continue;
 
     const dayStart = candles[0].timestamp;
@@ -4,24 +4,15 @@
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
-import {
-  MarketStructure,
-  FairValueGap,
-  LiquidityAnalysis,
-  SMTDivergence,
-  MMXM,
-} from '../ict/index.js';
 import { CONFIG } from '../../config/settings.js';
+import { resolveConfig } from '../../config/loader.js';
 import DataManager from '../data/dataManager.js';
+import { simulateDay } from './daySimulation.js';
 
 class TradeAnalyzer {
   constructor() {
+    resolveConfig();
     this.dataManager = new DataManager();
-    this.marketStructure = new MarketStructure();
-    this.fvg = new FairValueGap();
-    this.liquidity = new LiquidityAnalysis();
-    this.smt = new SMTDivergence();
-    this.mmxm = new MMXM();
   }
 
   groupByDay(candles) {
@@ -44,23 +35,17 @@ class TradeAnalyzer {
     const { eth5m, eth4h, eth1d, btc5m } = await this.dataManager.getETH13Data(startDate, endDate);
 
     const dayGroups = this.groupByDay(eth5m);
-    const smtDayGroups = this.groupByDay(btc5m);
+    const history = {
+      candles5m: eth5m,
+      pairCandles5m: btc5m,
+      multiTimeframe: { '4h': eth4h, '1d': eth1d }
+    };
 
     const trades = [];
-    const decisionHour = 15;
+    const decisionHour = CONFIG.BACKTEST.DECISION_HOUR_UTC;
 
     for (const [day, candles] of Object.entries(dayGroups)) {
-      const dayDate = new Date(day);
-      if (dayDate.getUTCDay() === 0 || dayDate.getUTCDay() === 6) continue;
-
-      const dayStart = candles[0].timestamp;
-      const htfCandles = {
-        '4h': eth4h.filter(c => c.timestamp < dayStart).slice(-100),
-        '1d': eth1d.filter(c => c.timestamp < dayStart).slice(-60)
-      };
-      const smtCandles = smtDayGroups[day] || [];
-
-      const result = this.simulateDayWithDetails(candles, htfCandles, smtCandles, decisionHour);
+      const result = this.simulateDayWithDetails(candles, history, decisionHour);
       if (result.traded) {
         trades.push({ day, ...result });
       }
@@ -87,151 +72,25 @@ class TradeAnalyzer {
     return { trades, winners, losers };
   }
 
-  simulateDayWithDetails(dayCandles, htfCandles, smtDayCandles, decisionHour = 15) {
-    const decisionTimestamp = dayCandles.find(c => {
-      const hour = new Date(c.timestamp).getUTCHours();
-      return hour >= decisionHour;
-    })?.timestamp;
-
-    if (!decisionTimestamp) {
-      return { traded: false };
-    }
-
-    const availableCandles = dayCandles.filter(c => c.timestamp <= decisionTimestamp);
-    const killzoneCandles = availableCandles.filter(candle => {
-      const hour = new Date(candle.timestamp).getUTCHours();
-      return (hour >= 7 && hour <= 10) || (hour >= 13 && hour < decisionHour);
-    });
-
-    if (killzoneCandles.length < 15) {
-      return { traded: false };
-    }
-
-    // HTF Bias
-    const decisionTime = new Date(decisionTimestamp);
-    const filteredHTF = {
-      '4h': (htfCandles['4h'] || []).filter(c => {
-        const candleClose = new Date(c.timestamp + 4 * 60 * 60 * 1000);
-        return candleClose <= decisionTime;
-      }).slice(-100),
-      '1d': (htfCandles['1d'] || []).filter(c => {
-        const candleDate = new Date(c.timestamp).toISOString().split('T')[0];
-        const decisionDate = decisionTime.toISOString().split('T')[0];
-        return candleDate < decisionDate;
-      }).slice(-60)
-    };
-
-    const htfBias = this.marketStructure.getHTFBiasAlignment(filteredHTF);
-    let expectedDirection = htfBias.overallBias;
-
-    if (htfBias.overallBias === 'NEUTRAL') {
-      const ltfBias = this.marketStructure.determineBias(killzoneCandles);
-      if (ltfBias.bias !== 'NEUTRAL') {
-        expectedDirection = ltfBias.bias;
-      } else {
-        return { traded: false };
-      }
-    } else if (!htfBias.aligned) {
-      return { traded: false };
-    }
-
-    // Liquidity sweep
-    const liquiditySweep = this.liquidity.hasRecentLiquiditySweep(killzoneCandles, expectedDirection);
-
-    // Entry models
-    const fvgEntry = this.fvg.isAtFVGEntry(killzoneCandles, expectedDirection);
-    const mmxmAnalysis = this.mmxm.analyzeMMXMCycle(killzoneCandles, expectedDirection);
-
-    if (!fvgEntry.valid) {
-      return { traded: false };
-    }
-
-    // SMT
-    let hasSMT = false;
-    const smtAvailable = smtDayCandles.filter(c => c.timestamp <= decisionTimestamp);
-    const smtKillzone = smtAvailable.filter(candle => {
-      const hour = new Date(candle.timestamp).getUTCHours();
-      return (hour >= 7 && hour <= 10) || (hour >= 13 && hour < decisionHour);
+  simulateDayWithDetails(dayCandles, history, decisionHour = 15) {
+    const result = simulateDay({
+      asset: CONFIG.STRATEGY.ASSET,
+      dayCandles,
+      history,
+      decisionHour
     });
-
-    if (smtKillzone.length === killzoneCandles.length) {
-      const smtCheck = this.smt.checkSMTConfirmation(killzoneCandles, smtKillzone, expectedDirection);
-      hasSMT = smtCheck.confirmed;
-    }
-
-    // Calculate confluence
-    let confluence = 0;
-    let confluenceDetails = [];
-
-    if (htfBias.aligned && htfBias.overallBias !== 'NEUTRAL') {
-      confluence += 2;
-      confluenceDetails.push('HTF');
-    } else if (expectedDirection !== 'NEUTRAL') {
-      confluence += 1;
-      confluenceDetails.push('LTF');
-    }
-
-    if (liquiditySweep.swept) {
-      confluence += 2;
-      confluenceDetails.push('SWEEP');
-    }
-
-    if (fvgEntry.valid) {
-      confluence += 1.5;
-      confluenceDetails.push('FVG');
+    if (!result.traded) {
+      return result;
     }
-    if (mmxmAnalysis.tradeable) {
-      confluence += 2;
-      confluenceDetails.push('MMXM');
-    }
-
-    if (hasSMT) {
-      confluence += 1.5;
-      confluenceDetails.push('SMT');
-    }
-
-    const minConfluence = CONFIG.CONFLUENCE?.MIN_SCORE_TO_TRADE || 4;
-    if (confluence < minConfluence) {
-      return { traded: false };
-    }
-
-    // Entry and outcome
-    const decisionCandle = availableCandles[availableCandles.length - 1];
-    const nextCandleIndex = dayCandles.findIndex(c => c.timestamp > decisionCandle.timestamp);
-
-    let entryPrice;
-    if (nextCandleIndex !== -1 && nextCandleIndex < dayCandles.length) {
-      entryPrice = dayCandles[nextCandleIndex].open;
-    } else {
-      entryPrice = decisionCandle.close;
-    }
-
-    const dayClose = dayCandles[dayCandles.length - 1].close;
-    const dayOpen = dayCandles[0].open;
-    const actualDirection = dayClose > dayOpen ? 'BULLISH' : 'BEARISH';
-    const isWin = actualDirection === expectedDirection;
 
     // Calculate volatility (daily range as %)
     const dayHigh = Math.max(...dayCandles.map(c => c.high));
     const dayLow = Math.min(...dayCandles.map(c => c.low));
-    const volatility = ((dayHigh - dayLow) / dayOpen * 100).toFixed(2);
+    const volatility = ((dayHigh - dayLow) / result.dayOpen * 100).toFixed(2);
 
     return {
-      traded: true,
-      prediction: expectedDirection,
-      actual: actualDirection,
-      isWin,
-      entryPrice,
-      dayOpen,
-      dayClose,
-      percentMove: ((dayClose - dayOpen) / dayOpen * 100).toFixed(2),
-      confluence,
-      confluenceDetails: confluenceDetails.join('+'),
-      model: mmxmAnalysis.tradeable ? 'MMXM' : 'FVG',
-      hasSMT,
-      hasSweep: liquiditySweep.swept,
-      htfBias: htfBias.overallBias,
-      htfAligned: htfBias.aligned,
+      ...result,
+      hasSweep: result.hasLiquiditySweep,
       volatility: parseFloat(volatility),
       dayOfWeek: new Date(dayCandles[0].timestamp).getUTCDay(),
       month: new Date(dayCandles[0].timestamp).getUTCMonth() + 1
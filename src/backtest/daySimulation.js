@@ -0,0 +1,145 @@
+/**
+ * Backtest Day Simulation
+ *
+ * Runs one historical day through evaluateSetup() - the decision tree the
+ * live engine uses - at the decision hour, then scores the prediction
+ * against the day's close. Backtester, MultiAssetBacktester and
+ * TradeAnalyzer all simulate days through here.
+ *
+ * The market data is what PriceDataFetcher would have returned at the
+ * decision time (last DATA.CANDLE_LIMIT candles per series), and the news
+ * blackout is NewsFilter's scheduled calendar checked at that time. News
+ * sentiment, ETF flows and the economic calendar have no history, so in a
+ * backtest they add no confluence.
+ */
+
+import { CONFIG } from '../../config/settings.js';
+import { evaluateSetup } from '../strategy/setupEvaluator.js';
+import { alignCandles } from '../data/priceData.js';
+import { NewsFilter } from '../filters/newsFilter.js';
+import { fixedClock } from '../clock.js';
+
+/**
+ * Simulate the decision for one day
+ *
+ * @param {Object} options
+ * @param {string} options.asset - Analyzed asset
+ * @param {Array} options.dayCandles - The day's 5m candles (outcome)
+ * @param {Object} options.history - Full series: { candles5m, pairCandles5m, multiTimeframe: { '4h': [...], ... } }
+ * @param {number} options.decisionHour - UTC hour the decision is made
+ * @returns {Object} { traded, tradingDay, reason, decision, ... } plus the outcome when traded
+ */
+export function simulateDay({ asset, dayCandles, history, decisionHour }) {
+  const dayStart = new Date(dayCandles[0].timestamp);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  const now = new Date(dayStart.getTime() + decisionHour * 60 * 60 * 1000);
+
+  const entryCandle = dayCandles.find(c => c.timestamp >= now.getTime());
+  if (!entryCandle) {
+    return { traded: false, tradingDay: true, reason: 'No candle at decision hour' };
+  }
+
+  const clock = fixedClock(now);
+  const marketData = marketDataAt(asset, history, now);
+  const decision = evaluateSetup({
+    asset,
+    clock,
+    news: new NewsFilter({ clock }).getBlackoutStatus(),
+    marketData,
+    externalData: {},
+    tradesToday: 0,
+    lastTradeDate: null
+  });
+
+  const analysis = decision.analysis;
+  const details = {
+    decision,
+    confluence: decision.confluenceScore,
+    confluenceDetails: (analysis.confluence?.presentFactors || []).join('+'),
+    model: analysis.entryModels?.model ?? null,
+    matchedModels: analysis.entryModels?.matched ?? [],
+    hasSMT: !!analysis.confluence?.presentFactors.includes('SMT'),
+    hasLiquiditySweep: !!analysis.liquiditySweep?.swept,
+    htfBias: analysis.htfBias?.overallBias ?? null,
+    htfAligned: !!analysis.htfBias?.aligned,
+    candlesUsedForAnalysis: marketData.primary.candles5m.length
+  };
+
+  if (decision.action === 'NO_TRADE') {
+    return {
+      traded: false,
+      tradingDay: !analysis.day?.skip,
+      reason: decision.reasons[0],
+      ...details
+    };
+  }
+
+  // Enter at the open of the first candle after the decision; the day's
+  // close is the only future data used (to score the prediction)
+  const dayOpen = dayCandles[0].open;
+  const dayClose = dayCandles[dayCandles.length - 1].close;
+  const actualDirection = dayClose > dayOpen ? 'BULLISH' : 'BEARISH';
+
+  return {
+    traded: true,
+    tradingDay: true,
+    prediction: decision.direction,
+    actual: actualDirection,
+    isWin: actualDirection === decision.direction,
+    entryPrice: entryCandle.open,
+    entryTime: new Date(entryCandle.timestamp).toISOString(),
+    decisionHour,
+    dayOpen,
+    dayClose,
+    percentMove: ((dayClose - dayOpen) / dayOpen * 100).toFixed(2),
+    ...details
+  };
+}
+
+/**
+ * The getAnalysisData() result a live run would have seen at `now`
+ */
+export function marketDataAt(asset, history, now) {
+  const limit = CONFIG.DATA.CANDLE_LIMIT;
+  const { primary, pair } = alignCandles(
+    candlesUntil(history.candles5m, now, limit),
+    candlesUntil(history.pairCandles5m, now, limit)
+  );
+
+  const multiTimeframe = {};
+  for (const [timeframe, candles] of Object.entries(history.multiTimeframe)) {
+    multiTimeframe[timeframe] = candlesUntil(candles, now, limit);
+  }
+
+  const last = primary[primary.length - 1];
+  return {
+    asset,
+    primary: {
+      candles5m: primary,
+      multiTimeframe,
+      ticker: last ? { price: last.open } : null
+    },
+    pair: {
+      asset: CONFIG.DATA.MULTI_ASSET.SMT_PAIRS[asset],
+      candles5m: pair
+    },
+    timestamp: now.getTime()
+  };
+}
+
+/**
+ * Last `limit` candles opened at or before `now` (series sorted by time)
+ */
+function candlesUntil(candles, now, limit) {
+  const time = now.getTime();
+  let low = 0;
+  let high = candles.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (candles[mid].timestamp <= time) low = mid + 1;
+    else high = mid;
+  }
+  return candles.slice(Math.max(0, low - limit), low);
+}
+
+export default simulateDay;
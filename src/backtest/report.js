@@ -0,0 +1,99 @@
+/**
+ * Backtest Reports
+ *
+ * Human-readable output for the reports the backtesters return. The
+ * backtesters only compute; the CLI (and eth13.js) print, so `backtest
+ * --json` gets the report object alone on stdout.
+ */
+
+import { CONFIG } from '../../config/settings.js';
+
+/**
+ * Print a Backtester.runBacktest() report
+ */
+export function printBacktestReport(results) {
+  const percent = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+
+  console.log('\n═══════════════════════════════════════════════════════════════════');
+  console.log('              BACKTEST RESULTS (BIAS-FREE)                         ');
+  console.log('═══════════════════════════════════════════════════════════════════');
+  console.log('');
+  console.log('OVERVIEW:');
+  console.log(`  Total Trading Days:      ${results.totalDays}`);
+  console.log(`  Days Traded:             ${results.tradedDays}`);
+  console.log(`  Trade Frequency:         ${percent(results.tradeFrequency)}`);
+  console.log('');
+  console.log('PERFORMANCE:');
+  console.log(`  Wins:                    ${results.wins}`);
+  console.log(`  Losses:                  ${results.losses}`);
+  console.log(`  Win Rate:                ${percent(results.winRate)}`);
+  console.log('');
+  console.log('STREAKS:');
+  console.log(`  Max Consecutive Wins:    ${results.maxConsecutiveWins}`);
+  console.log(`  Max Consecutive Losses:  ${results.maxConsecutiveLosses}`);
+  console.log('');
+  console.log('CAPITAL SIMULATION:');
+  console.log(`  Starting Capital:        $${CONFIG.CHALLENGE.STARTING_CAPITAL}`);
+  console.log(`  Peak Capital Reached:    $${results.peakCapital?.toFixed(2) || 'N/A'}`);
+  console.log(`  Final Capital:           $${results.simulatedCapital?.toFixed(2) || 'N/A'}`);
+  console.log('');
+  console.log('13-WIN CHALLENGE PROBABILITY:');
+  console.log(`  P(13 consecutive wins):  ${percent(results.prob13Wins, 4)}`);
+  console.log(`  Expected attempts:       ${results.expectedAttempts ?? 'N/A'}`);
+  console.log(`  Expected cost:           ${results.expectedCost !== null ? `$${results.expectedCost.toFixed(0)}` : 'N/A'}`);
+  console.log('');
+  console.log('SKIP REASONS (why trades were not taken):');
+  for (const [reason, count] of Object.entries(results.skippedReasons)) {
+    console.log(`  ${reason}: ${count}`);
+  }
+  console.log('');
+  console.log('═══════════════════════════════════════════════════════════════════');
+
+  console.log('\nWIN RATE BY MODEL:');
+  for (const [model, stats] of Object.entries(results.byModel)) {
+    console.log(`  ${model}: ${percent(stats.winRate)} (n=${stats.trades})`);
+  }
+  if (results.withSMT) {
+    console.log(`  With SMT: ${percent(results.withSMT.winRate)} (n=${results.withSMT.trades})`);
+  }
+
+  console.log('\nWIN RATE WHEN MODEL VALID:');
+  for (const [model, stats] of Object.entries(results.byValidModel)) {
+    console.log(`  ${model}: ${percent(stats.winRate)} (n=${stats.trades})`);
+  }
+
+  console.log('\n═══════════════════════════════════════════════════════════════════');
+}
+
+/**
+ * Print a MultiAssetBacktester.runBacktest() report
+ */
+export function printMultiAssetReport({ assets, combined }) {
+  console.log('\n═══════════════════════════════════════════════════════════════════');
+  console.log('                    MULTI-ASSET RESULTS                             ');
+  console.log('═══════════════════════════════════════════════════════════════════\n');
+
+  for (const [asset, results] of Object.entries(assets)) {
+    console.log(`${asset}:`);
+    console.log(`  Trades: ${results.tradedDays} | Win Rate: ${(results.winRate * 100).toFixed(1)}%`);
+    console.log(`  Max Consecutive Wins: ${results.maxConsecutiveWins}`);
+    console.log(`  P(13 wins): ${(results.prob13Wins * 100).toFixed(4)}%`);
+    console.log('');
+  }
+
+  console.log('═══════════════════════════════════════════════════════════════════');
+  console.log('                       COMBINED STATS                               ');
+  console.log('═══════════════════════════════════════════════════════════════════\n');
+  console.log(`Total Trades (all assets): ${combined.totalTrades}`);
+  console.log(`Overall Win Rate: ${(combined.winRate * 100).toFixed(1)}%`);
+  console.log(`Best Max Streak: ${combined.bestMaxStreak} (${combined.bestAsset})`);
+  console.log('');
+  console.log('CHALLENGE PROBABILITY (at least 1 asset hits 13):');
+  console.log(`  P(success in this period): ${(combined.prob13Combined * 100).toFixed(2)}%`);
+  console.log('');
+  console.log('TIME ESTIMATES:');
+  console.log(`  Trades per month (3 assets): ~${Math.round(combined.tradesPerMonth)}`);
+  console.log(`  Months for 50% success chance: ~${combined.monthsFor50Percent?.toFixed(1) ?? 'N/A'}`);
+  console.log('');
+  console.log('═══════════════════════════════════════════════════════════════════');
+}
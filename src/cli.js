@@ -0,0 +1,450 @@
+/**
+ * Command-Line Interface
+ *
+ * node src/index.js <command> [args] [flags]
+ *
+ * Every command drives the existing classes (BotCasino13, TradeDecisionEngine,
+ * Backtester, DataManager); this module only parses arguments, applies
+ * flags to CONFIG and formats the output.
+ */
+
+import { BotCasino13 } from './index.js';
+import { TradeDecisionEngine } from './tradeDecision.js';
+import { Backtester } from './backtest/runner.js';
+import { MultiAssetBacktester } from './backtest/multiAssetRunner.js';
+import { printBacktestReport, printMultiAssetReport } from './backtest/report.js';
+import { DataManager } from './data/dataManager.js';
+import { DecisionAudit } from './state/decisionAudit.js';
+import { replayDecision } from './state/decisionReplay.js';
+import { listEntryModels } from './strategy/entryModels/index.js';
+import { configureLogging } from './logger.js';
+import { CONFIG } from '../config/settings.js';
+import { resolveConfig, serializeConfig, listProfiles, ConfigLoadError } from '../config/loader.js';
+
+const USAGE = `Usage: node src/index.js <command> [args] [flags]
+
+Commands:
+  run                          Monitor killzones and trade continuously
+  once                         Analyze now and trade if there is a signal (default)
+  analyze                      Analyze now, never trade
+  status                       Challenge, position and pause state
+  history [count]              Recorded trade results (latest last)
+  decisions [date|count]       Audited decisions with reasons (default: last 20)
+  replay [date|count]          Recompute audited decisions from their snapshots and diff (default: last 1)
+  resolve                      Check open positions for resolution, redeem winnings
+  pause [reason]               Stop placing new trades (resolution keeps running)
+  resume                       Allow trading again
+  backtest <start> <end>       Historical backtest (YYYY-MM-DD)
+  data download [start] [end]  Download and cache backtest candles
+  data list                    List cached candle files
+  data clear                   Delete cached candle files
+  config                       Effective settings, their sources and hash
+
+Flags:
+  --asset <BTC|ETH|SOL>        Asset to analyze/trade/backtest (default ${CONFIG.STRATEGY.ASSET})
+  --model <id>                 Only this entry model (${listEntryModels().join(', ')}), to backtest it in isolation
+  --paper                      Paper trading: virtual fills against live order books
+  --dry-run                    Find the market and snapshot it, but never place orders
+  --profile <name|file>        Settings profile (${listProfiles().join(', ')}; or BOT_PROFILE), JSON or YAML
+  --config <file>              Merge JSON/YAML overrides into the settings (or BOT_CONFIG)
+  --set <SECTION.KEY=value>    Override one setting (repeatable; env: BOT__SECTION__KEY)
+  --json                       Machine-readable output on stdout (logs go to stderr)
+  --help                       Show this help`;
+
+// Flags that take a value
+const VALUE_FLAGS = ['asset', 'model', 'config', 'profile'];
+// Flags that take a value and may be repeated
+const LIST_FLAGS = ['set'];
+const BOOLEAN_FLAGS = ['paper', 'dry-run', 'json', 'help'];
+
+class UsageError extends Error {}
+
+/**
+ * Split argv into command, positional args and flags
+ */
+export function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+    if (VALUE_FLAGS.includes(name) || LIST_FLAGS.includes(name)) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      if (LIST_FLAGS.includes(name)) {
+        flags[name] = [...(flags[name] || []), value];
+      } else {
+        flags[name] = value;
+      }
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else {
+      throw new UsageError(`Unknown flag: --${name}`);
+    }
+  }
+
+  const [command = 'once', ...args] = positional;
+  return { command, args, flags };
+}
+
+/**
+ * Resolve the settings (profile, --config, environment, --set, --asset, --model)
+ * before any class reads them
+ */
+function applyFlags(flags) {
+  const overrides = {};
+
+  if (flags.asset) {
+    const asset = flags.asset.toUpperCase();
+    if (!CONFIG.POLYMARKET.MARKET_SERIES.ASSETS[asset] || !CONFIG.DATA.SYMBOLS[asset]) {
+      throw new UsageError(`Unsupported asset: ${flags.asset} (${Object.keys(CONFIG.POLYMARKET.MARKET_SERIES.ASSETS).join(', ')})`);
+    }
+    overrides.STRATEGY = { ASSET: asset };
+  }
+
+  if (flags.model) {
+    const model = flags.model.toUpperCase();
+    if (!listEntryModels().includes(model)) {
+      throw new UsageError(`Unknown entry model: ${flags.model} (${listEntryModels().join(', ')})`);
+    }
+    overrides.ENTRY_MODELS = { ONLY: model };
+  }
+
+  return resolveConfig({
+    profile: flags.profile,
+    file: flags.config,
+    set: flags.set,
+    overrides
+  });
+}
+
+function createBot(flags) {
+  return new BotCasino13({ paper: flags.paper, dryRun: flags['dry-run'] });
+}
+
+const COMMANDS = {
+  async run(args, flags) {
+    await createBot(flags).run();
+    // Cron jobs keep the process alive
+  },
+
+  async once(args, flags) {
+    const { analysis, trade } = await createBot(flags).runOnce();
+    if (analysis && !flags.json) console.log(analysis.summary);
+    return { decision: analysis?.decision ?? null, trade };
+  },
+
+  async analyze(args, flags) {
+    const analysis = await new TradeDecisionEngine().getAnalysis();
+    if (!flags.json) console.log(analysis.summary);
+    return analysis.decision;
+  },
+
+  async status(args, flags) {
+    const status = createBot(flags).getStatus();
+    if (!flags.json) printStatus(status);
+    return status;
+  },
+
+  async history(args, flags) {
+    const bot = createBot(flags);
+    const count = args[0] ? parseInt(args[0], 10) : bot.state.tradeHistory.length;
+    if (!(count >= 0)) throw new UsageError(`Invalid count: ${args[0]}`);
+
+    const trades = count > 0 ? bot.state.tradeHistory.slice(-count) : [];
+    if (!flags.json) printHistory(trades);
+    return trades;
+  },
+
+  async decisions(args, flags) {
+    const entries = new DecisionAudit().read(decisionFilter('decisions', args[0], flags, 20));
+    if (!flags.json) printDecisions(entries);
+    return entries;
+  },
+
+  async replay(args, flags) {
+    const audit = new DecisionAudit();
+    const entries = audit.read(decisionFilter('replay', args[0], flags, 1));
+
+    const results = [];
+    for (const entry of entries) {
+      results.push(await replayDecision(entry, audit));
+    }
+
+    if (!flags.json) printReplays(results);
+    return results;
+  },
+
+  async resolve(args, flags) {
+    const bot = createBot(flags);
+    await bot.recoverTrades();
+    const resolved = await bot.checkResolutions();
+
+    if (!flags.json) {
+      if (resolved.length === 0) {
+        console.log(bot.state.openPosition
+          ? `Market ${bot.state.openPosition.marketId} not resolved yet`
+          : 'No open position');
+      }
+      if (bot.state.pendingRedemptions.length > 0) {
+        console.log(`${bot.state.pendingRedemptions.length} redemption(s) still pending`);
+      }
+    }
+
+    return {
+      resolved: resolved.map(r => ({ marketId: r.position.marketId, isWin: r.isWin })),
+      pendingRedemptions: bot.state.pendingRedemptions
+    };
+  },
+
+  async pause(args, flags) {
+    return createBot(flags).setPaused(true, args.join(' ') || 'Paused from CLI');
+  },
+
+  async resume(args, flags) {
+    return createBot(flags).setPaused(false);
+  },
+
+  async backtest(args, flags) {
+    const [startDate, endDate] = args;
+    if (!isDate(startDate) || !isDate(endDate)) {
+      throw new UsageError('backtest needs <startDate> <endDate> (YYYY-MM-DD)');
+    }
+
+    // runner.js is the ETH13 backtest (ETH with BTC SMT); other assets use
+    // the per-asset runner with their configured SMT pair
+    if (CONFIG.STRATEGY.ASSET === 'ETH') {
+      const report = await new Backtester().runBacktest(startDate, endDate);
+      if (!flags.json) printBacktestReport(report);
+      return report;
+    }
+
+    const backtester = new MultiAssetBacktester();
+    backtester.assets = [CONFIG.STRATEGY.ASSET];
+    const report = await backtester.runBacktest(startDate, endDate);
+    if (!flags.json) printMultiAssetReport(report);
+    return report;
+  },
+
+  async data(args, flags) {
+    const [action, startDate = '2024-01-01', endDate = '2025-12-31'] = args;
+    const dataManager = new DataManager();
+
+    switch (action) {
+      case 'download':
+        if (!isDate(startDate) || !isDate(endDate)) {
+          throw new UsageError('data download takes [startDate] [endDate] (YYYY-MM-DD)');
+        }
+        await dataManager.getETH13Data(startDate, endDate, true);
+        return { downloaded: true, startDate, endDate };
+      case 'list': {
+        const files = dataManager.listCache();
+        if (!flags.json) printCache(files);
+        return { files };
+      }
+      case 'clear':
+        dataManager.clearCache();
+        return { cleared: true };
+      default:
+        throw new UsageError('data needs download|list|clear');
+    }
+  },
+
+  async config(args, flags, configInfo) {
+    if (!flags.json) {
+      console.log(JSON.stringify(serializeConfig(), null, 2));
+      console.log('');
+      console.log(`  Profile:  ${configInfo.profile || '(defaults)'}`);
+      console.log(`  Sources:  ${configInfo.sources.join(' → ')}`);
+      console.log(`  Hash:     ${configInfo.hash}`);
+      console.log('');
+    }
+    return { ...configInfo, config: serializeConfig() };
+  }
+};
+
+/**
+ * Audit filter from a [date|count] argument
+ */
+function decisionFilter(command, selector, flags, defaultLimit) {
+  const filter = { asset: flags.asset ? CONFIG.STRATEGY.ASSET : undefined };
+
+  if (!selector) {
+    filter.limit = defaultLimit;
+  } else if (isDate(selector)) {
+    filter.from = selector;
+    filter.to = selector;
+  } else if (parseInt(selector, 10) > 0) {
+    filter.limit = parseInt(selector, 10);
+  } else {
+    throw new UsageError(`${command} takes a date (YYYY-MM-DD) or a count, not ${selector}`);
+  }
+
+  return filter;
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+}
+
+function printStatus(status) {
+  console.log('');
+  console.log(`  Mode:       ${status.mode}${status.dryRun ? ' (dry run)' : ''}`);
+  console.log(`  Asset:      ${status.asset}`);
+  console.log(`  Trading:    ${status.paused ? `PAUSED${status.pauseReason ? ` (${status.pauseReason})` : ''}` : (status.challengeActive ? 'active' : 'challenge complete')}`);
+  console.log(`  Capital:    $${status.capital.toFixed(2)}`);
+  console.log(`  Wins:       ${status.consecutiveWins}/13`);
+  console.log(`  Trades:     ${status.totalTrades}`);
+  console.log(`  Position:   ${status.openPosition
+    ? `${status.openPosition.direction} ${status.openPosition.shares.toFixed(2)} shares ($${status.openPosition.stake.toFixed(2)}) on market ${status.openPosition.marketId}`
+    : 'none'}`);
+  if (status.pendingRedemptions.length > 0) {
+    console.log(`  Redeeming:  ${status.pendingRedemptions.length} winning position(s)`);
+  }
+  if (status.inFlightTrades.length > 0) {
+    console.log(`  In flight:  ${status.inFlightTrades.map(t => `${t.tradeId} (${t.stage})`).join(', ')}`);
+  }
+  if (status.paperLedger) {
+    const ledger = status.paperLedger;
+    console.log(`  Paper:      $${ledger.usdc.toFixed(2)} USDC, P&L $${ledger.pnl.toFixed(2)} ($${ledger.toppedUp.toFixed(2)} topped up after losses)`);
+  }
+  console.log(`  Killzone:   ${status.killzone.recommendation || status.killzone.reason || 'n/a'}`);
+  if (status.nextKillzone) {
+    console.log(`  Next:       ${status.nextKillzone.name} at ${status.nextKillzone.startTime} UTC (in ${status.nextKillzone.hoursUntil}h)`);
+  }
+  console.log('');
+}
+
+function printHistory(trades) {
+  if (trades.length === 0) {
+    console.log('No recorded trades.');
+    return;
+  }
+
+  console.log('');
+  for (const trade of trades) {
+    const stake = trade.stake !== null && trade.stake !== undefined ? `$${trade.stake.toFixed(2)}` : '-';
+    console.log(`  ${trade.timestamp}  ${trade.isWin ? 'WIN ' : 'LOSS'}  ${String(trade.direction).padEnd(4)}  stake ${stake.padStart(10)}  → $${trade.capitalAfter.toFixed(2)}  (${trade.consecutiveWins} wins)`);
+  }
+  console.log('');
+}
+
+function printDecisions(entries) {
+  if (entries.length === 0) {
+    console.log('No recorded decisions.');
+    return;
+  }
+
+  console.log('');
+  for (const entry of entries) {
+    const action = entry.direction && entry.action !== 'NO_TRADE' ? `${entry.action} (${entry.direction})` : entry.action;
+    console.log(`  ${entry.timestamp}  ${entry.asset}  ${action.padEnd(16)}  confluence ${entry.confluenceScore}`);
+    for (const reason of entry.reasons) {
+      console.log(`      • ${reason}`);
+    }
+  }
+  console.log('');
+}
+
+function printReplays(results) {
+  if (results.length === 0) {
+    console.log('No recorded decisions.');
+    return;
+  }
+
+  console.log('');
+  for (const result of results) {
+    if (!result.replayable) {
+      console.log(`  ${result.timestamp}  ${result.asset}  not replayable: ${result.reason}`);
+      continue;
+    }
+
+    const data = `${result.dataMatch === false ? '  (candle hash MISMATCH)' : ''}${result.configChanged ? '  (settings changed)' : ''}`;
+    if (result.differences.length === 0) {
+      console.log(`  ${result.timestamp}  ${result.asset}  same: ${result.decision.action}${data}`);
+      continue;
+    }
+
+    console.log(`  ${result.timestamp}  ${result.asset}  CHANGED${data}`);
+    for (const { field, recorded, replayed } of result.differences) {
+      if (field === 'reasons') {
+        for (const reason of recorded.filter(r => !replayed.includes(r))) console.log(`      - ${reason}`);
+        for (const reason of replayed.filter(r => !recorded.includes(r))) console.log(`      + ${reason}`);
+      } else {
+        console.log(`      ${field}: ${JSON.stringify(recorded)} → ${JSON.stringify(replayed)}`);
+      }
+    }
+  }
+  console.log('');
+}
+
+function printCache(files) {
+  console.log('\n📁 Cached data files:');
+  for (const { file, sizeMB } of files) {
+    console.log(`  - ${file} (${sizeMB.toFixed(2)} MB)`);
+  }
+}
+
+/**
+ * Run a command line
+ * @param {string[]} argv - Arguments after the script path
+ * @returns {number} Exit code (0 ok, 1 failure, 2 usage error)
+ */
+export async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message} (see --help)`);
+    return 2;
+  }
+
+  const { command, args, flags } = parsed;
+
+  if (flags.help || command === 'help') {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  // Keep stdout for the JSON document: commands print nothing else with
+  // --json, and log lines go to stderr
+  if (flags.json) {
+    configureLogging({ stderr: true });
+  }
+
+  try {
+    const configInfo = applyFlags(flags);
+    const result = await handler(args, flags, configInfo);
+
+    if (flags.json && result !== undefined) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    }
+    return 0;
+
+  } catch (error) {
+    if (error instanceof UsageError || error instanceof ConfigLoadError) {
+      console.error(`${error.message} (see --help)`);
+      return 2;
+    }
+    console.error(`${command} failed:`, error.message);
+    return 1;
+  }
+}
+
+export default runCli;
@@ -0,0 +1,25 @@
+/**
+ * Clock
+ *
+ * Time source for anything that decides based on "now" (killzones, news
+ * blackouts, the daily trade limit, decision timestamps). Live code uses the
+ * system clock; a replay or backtest pins it to the moment of the decision.
+ */
+
+export const systemClock = {
+  now: () => new Date()
+};
+
+/**
+ * Clock frozen at one instant
+ * @param {string|number|Date} time
+ */
+export function fixedClock(time) {
+  const ms = new Date(time).getTime();
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid clock time: ${time}`);
+  }
+  return { now: () => new Date(ms) };
+}
+
+export default systemClock;
@@ -8,7 +8,9 @@ import ccxt from 'ccxt';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from '../logger.js';
 
+const log = createLogger('data-manager');
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const CACHE_DIR = path.join(__dirname, '../../data/cache');
@@ -37,9 +39,8 @@ export class DataManager {
     const filename = this.getCacheFilename(symbol, timeframe, startDate, endDate);
 
     if (fs.existsSync(filename)) {
-      console.log(`  📁 Loading ${symbol} ${timeframe} from cache...`);
       const data = JSON.parse(fs.readFileSync(filename, 'utf8'));
-      console.log(`  ✓ Loaded ${data.length} candles from cache`);
+      log.info('Loaded candles from cache', { symbol, timeframe, candles: data.length });
       return data;
     }
 
@@ -52,7 +53,7 @@ export class DataManager {
   saveToCache(symbol, timeframe, startDate, endDate, data) {
     const filename = this.getCacheFilename(symbol, timeframe, startDate, endDate);
     fs.writeFileSync(filename, JSON.stringify(data));
-    console.log(`  💾 Saved ${data.length} candles to cache`);
+    log.info('Saved candles to cache', { symbol, timeframe, candles: data.length });
   }
 
   /**
@@ -96,7 +97,7 @@ export class DataManager {
     }
 
     // Fetch from API
-    console.log(`  🌐 Fetching ${symbol} ${timeframe} from Binance API...`);
+    log.info('Fetching candles from Binance', { symbol, timeframe, startDate, endDate });
     const startTimestamp = new Date(startDate).getTime();
     const daysRequested = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
 
@@ -116,7 +117,6 @@ export class DataManager {
     }
 
     const data = await this.fetchFromAPI(symbol, timeframe, startTimestamp, candlesNeeded);
-    console.log(`  ✓ Fetched ${data.length} candles`);
 
     // Save to cache
     this.saveToCache(symbol, timeframe, startDate, endDate, data);
@@ -128,32 +128,27 @@ export class DataManager {
    * Get all required data for ETH13 backtest
    */
   async getETH13Data(startDate, endDate, forceRefresh = false) {
-    console.log('\n═══════════════════════════════════════════════════════════════════');
-    console.log('                    LOADING ETH13 DATA                              ');
-    console.log('═══════════════════════════════════════════════════════════════════\n');
+    log.info('Loading ETH13 data', { startDate, endDate, forceRefresh });
 
     const eth5m = await this.getHistoricalData('ETH/USDT', '5m', startDate, endDate, forceRefresh);
     const eth4h = await this.getHistoricalData('ETH/USDT', '4h', startDate, endDate, forceRefresh);
     const eth1d = await this.getHistoricalData('ETH/USDT', '1d', startDate, endDate, forceRefresh);
     const btc5m = await this.getHistoricalData('BTC/USDT', '5m', startDate, endDate, forceRefresh);
 
-    console.log('\n✅ All data loaded!\n');
+    log.info('All data loaded');
 
     return { eth5m, eth4h, eth1d, btc5m };
   }
 
   /**
    * List cached files
+   * @returns {Array} [{ file, sizeMB }]
    */
   listCache() {
-    const files = fs.readdirSync(CACHE_DIR);
-    console.log('\n📁 Cached data files:');
-    for (const file of files) {
-      const stats = fs.statSync(path.join(CACHE_DIR, file));
-      const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
-      console.log(`  - ${file} (${sizeMB} MB)`);
-    }
-    return files;
+    return fs.readdirSync(CACHE_DIR).map(file => ({
+      file,
+      sizeMB: Number((fs.statSync(path.join(CACHE_DIR, file)).size / 1024 / 1024).toFixed(2))
+    }));
   }
 
   /**
@@ -164,23 +159,8 @@ export class DataManager {
     for (const file of files) {
       fs.unlinkSync(path.join(CACHE_DIR, file));
     }
-    console.log(`🗑️  Cleared ${files.length} cached files`);
+    log.info('Cleared cached files', { files: files.length });
   }
 }
 
-// CLI commands
-const args = process.argv.slice(2);
-if (args[0] === 'download') {
-  const dm = new DataManager();
-  const startDate = args[1] || '2024-01-01';
-  const endDate = args[2] || '2025-12-31';
-  dm.getETH13Data(startDate, endDate, true).catch(console.error);
-} else if (args[0] === 'list') {
-  const dm = new DataManager();
-  dm.listCache();
-} else if (args[0] === 'clear') {
-  const dm = new DataManager();
-  dm.clearCache();
-}
-
 export default DataManager;
@@ -37,6 +37,9 @@
  */
 
 import { CONFIG } from '../../config/settings.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('economic-calendar');
 
 export class EconomicCalendar {
   constructor(options = {}) {
@@ -187,7 +190,7 @@ export class EconomicCalendar {
       this.setCache(cacheKey, events);
       return events;
     } catch (error) {
-      console.error('Economic calendar error:', error.message);
+      log.warn('Economic calendar fetch failed - using mock calendar', { error: error.message });
       return this.getMockCalendar();
     }
   }
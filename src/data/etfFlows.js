@@ -35,6 +35,9 @@
  */
 
 import { CONFIG } from '../../config/settings.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('etf-flows');
 
 export class ETFFlows {
   constructor(options = {}) {
@@ -93,7 +96,7 @@ export class ETFFlows {
       this.setCache(cacheKey, data);
       return data;
     } catch (error) {
-      console.error('ETF Flows error:', error.message);
+      log.warn('ETF flows fetch failed - using mock data', { error: error.message });
       return this.getMockETFData();
     }
   }
@@ -224,7 +227,7 @@ export class ETFFlows {
       return history;
 
     } catch (error) {
-      console.error('Historical flows error:', error.message);
+      log.warn('Historical flows fetch failed - using mock data', { error: error.message });
       return this.getMockHistoricalFlows();
     }
   }
@@ -31,6 +31,9 @@
  */
 
 import { CONFIG } from '../../config/settings.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('news-sentiment');
 
 export class NewsSentiment {
   constructor(options = {}) {
@@ -196,7 +199,7 @@ export class NewsSentiment {
       };
 
     } catch (error) {
-      console.error('LunarCrush API error:', error.message);
+      log.warn('LunarCrush API failed - using mock data', { error: error.message });
       return this.getMockLunarCrushData();
     }
   }
@@ -250,7 +253,7 @@ export class NewsSentiment {
       };
 
     } catch (error) {
-      console.error('CryptoNews API error:', error.message);
+      log.warn('CryptoNews API failed - using mock data', { error: error.message });
       return this.getMockCryptoNewsData();
     }
   }
@@ -312,7 +315,7 @@ export class NewsSentiment {
       };
 
     } catch (error) {
-      console.error('Social trends API error:', error.message);
+      log.warn('Social trends API failed', { error: error.message });
       return { valid: false, reason: error.message };
     }
   }
@@ -7,6 +7,9 @@
 
 import ccxt from 'ccxt';
 import { CONFIG } from '../../config/settings.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('price-data');
 
 export class PriceDataFetcher {
   constructor() {
@@ -49,7 +52,7 @@ export class PriceDataFetcher {
       return candles;
 
     } catch (error) {
-      console.error(`Error fetching ${symbol} ${timeframe}:`, error.message);
+      log.error('Candle fetch failed', { symbol, timeframe, error: error.message });
       throw error;
     }
   }
@@ -85,24 +88,23 @@ export class PriceDataFetcher {
   }
 
   /**
-   * Fetch both BTC and ETH for SMT analysis
+   * Fetch two symbols with aligned timestamps (for SMT analysis)
    */
-  async fetchForSMT(timeframe = '5m', limit) {
-    const [btc, eth] = await Promise.all([
-      this.fetchBTC(timeframe, limit),
-      this.fetchETH(timeframe, limit)
+  async fetchPair(symbol, pairSymbol, timeframe = '5m', limit) {
+    const [primary, pair] = await Promise.all([
+      this.fetchCandles(symbol, timeframe, limit),
+      this.fetchCandles(pairSymbol, timeframe, limit)
     ]);
 
-    // Align timestamps
-    const btcMap = new Map(btc.map(c => [c.timestamp, c]));
-    const ethMap = new Map(eth.map(c => [c.timestamp, c]));
-
-    const commonTimestamps = [...btcMap.keys()].filter(ts => ethMap.has(ts));
+    return alignCandles(primary, pair);
+  }
 
-    return {
-      btc: commonTimestamps.map(ts => btcMap.get(ts)),
-      eth: commonTimestamps.map(ts => ethMap.get(ts))
-    };
+  /**
+   * Fetch both BTC and ETH for SMT analysis
+   */
+  async fetchForSMT(timeframe = '5m', limit) {
+    const { primary, pair } = await this.fetchPair(CONFIG.DATA.SYMBOLS.BTC, CONFIG.DATA.SYMBOLS.ETH, timeframe, limit);
+    return { btc: primary, eth: pair };
   }
 
   /**
@@ -120,7 +122,7 @@ export class PriceDataFetcher {
         change24h: ticker.percentage
       };
     } catch (error) {
-      console.error(`Error fetching ticker for ${symbol}:`, error.message);
+      log.error('Ticker fetch failed', { symbol, error: error.message });
       throw error;
     }
   }
@@ -128,61 +130,42 @@ export class PriceDataFetcher {
   /**
    * Calculate ATR (Average True Range) for volatility filter
    */
-  calculateATR(candles, period = CONFIG.FILTERS.VOLATILITY.ATR_PERIOD) {
-    if (candles.length < period + 1) {
-      return null;
-    }
-
-    const trueRanges = [];
-
-    for (let i = 1; i < candles.length; i++) {
-      const current = candles[i];
-      const previous = candles[i - 1];
-
-      const tr = Math.max(
-        current.high - current.low,
-        Math.abs(current.high - previous.close),
-        Math.abs(current.low - previous.close)
-      );
-
-      trueRanges.push(tr);
-    }
-
-    // Calculate ATR (SMA of true ranges)
-    const recentTR = trueRanges.slice(-period);
-    const atr = recentTR.reduce((sum, tr) => sum + tr, 0) / period;
-
-    const currentPrice = candles[candles.length - 1].close;
-    const atrPercent = (atr / currentPrice) * 100;
-
-    return {
-      atr,
-      atrPercent,
-      isVolatilityOK: atrPercent >= CONFIG.FILTERS.VOLATILITY.MIN_ATR_PERCENT &&
-                      atrPercent <= CONFIG.FILTERS.VOLATILITY.MAX_ATR_PERCENT
-    };
+  calculateATR(candles, period) {
+    return calculateATR(candles, period);
   }
 
   /**
    * Get comprehensive market data for analysis
+   *
+   * @param {string} asset - Analyzed asset (the one whose market is traded)
+   * @returns {Object} { asset, primary, pair (SMT correlated asset), volatility }
    */
-  async getAnalysisData() {
+  async getAnalysisData(asset = CONFIG.STRATEGY.ASSET) {
+    const symbol = CONFIG.DATA.SYMBOLS[asset];
+    const pairAsset = CONFIG.DATA.MULTI_ASSET.SMT_PAIRS[asset];
+
+    if (!symbol || !CONFIG.DATA.SYMBOLS[pairAsset]) {
+      throw new Error(`No symbol or SMT pair configured for ${asset}`);
+    }
+
     const [smtData, multiTF, ticker] = await Promise.all([
-      this.fetchForSMT('5m'),
-      this.fetchMultiTimeframe(),
-      this.getCurrentPrice()
+      this.fetchPair(symbol, CONFIG.DATA.SYMBOLS[pairAsset], '5m'),
+      this.fetchMultiTimeframe(symbol),
+      this.getCurrentPrice(symbol)
     ]);
 
-    const atr = this.calculateATR(smtData.btc);
+    const atr = this.calculateATR(smtData.primary);
 
     return {
-      btc: {
-        candles5m: smtData.btc,
+      asset,
+      primary: {
+        candles5m: smtData.primary,
         multiTimeframe: multiTF,
         ticker
       },
-      eth: {
-        candles5m: smtData.eth
+      pair: {
+        asset: pairAsset,
+        candles5m: smtData.pair
       },
       volatility: atr,
       timestamp: Date.now()
@@ -190,4 +173,60 @@ export class PriceDataFetcher {
   }
 }
 
+/**
+ * Keep only the candles both series have (SMT compares them bar by bar)
+ *
+ * @returns {Object} { primary, pair }
+ */
+export function alignCandles(primary, pair) {
+  const primaryMap = new Map(primary.map(c => [c.timestamp, c]));
+  const pairMap = new Map(pair.map(c => [c.timestamp, c]));
+
+  const commonTimestamps = [...primaryMap.keys()].filter(ts => pairMap.has(ts));
+
+  return {
+    primary: commonTimestamps.map(ts => primaryMap.get(ts)),
+    pair: commonTimestamps.map(ts => pairMap.get(ts))
+  };
+}
+
+/**
+ * ATR (SMA of true ranges) as a percentage of the last close
+ *
+ * @returns {Object|null} { atr, atrPercent, isVolatilityOK } (null with too few candles)
+ */
+export function calculateATR(candles, period = CONFIG.FILTERS.VOLATILITY.ATR_PERIOD) {
+  if (candles.length < period + 1) {
+    return null;
+  }
+
+  const trueRanges = [];
+
+  for (let i = 1; i < candles.length; i++) {
+    const current = candles[i];
+    const previous = candles[i - 1];
+
+    const tr = Math.max(
+      current.high - current.low,
+      Math.abs(current.high - previous.close),
+      Math.abs(current.low - previous.close)
+    );
+
+    trueRanges.push(tr);
+  }
+
+  const recentTR = trueRanges.slice(-period);
+  const atr = recentTR.reduce((sum, tr) => sum + tr, 0) / period;
+
+  const currentPrice = candles[candles.length - 1].close;
+  const atrPercent = (atr / currentPrice) * 100;
+
+  return {
+    atr,
+    atrPercent,
+    isVolatilityOK: atrPercent >= CONFIG.FILTERS.VOLATILITY.MIN_ATR_PERCENT &&
+                    atrPercent <= CONFIG.FILTERS.VOLATILITY.MAX_ATR_PERCENT
+  };
+}
+
 export default PriceDataFetcher;
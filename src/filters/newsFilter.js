@@ -16,10 +16,19 @@
 
 import axios from 'axios';
 import { CONFIG } from '../../config/settings.js';
+import { systemClock } from '../clock.js';
 
 export class NewsFilter {
-  constructor() {
+  /**
+   * Checks run at `time` when given (Date or ms timestamp), at the clock's
+   * now otherwise, so a backtest sees the same blackouts as a live run.
+   *
+   * @param {Object} options
+   * @param {Object} options.clock - { now() } time source (default: system clock)
+   */
+  constructor(options = {}) {
     this.config = CONFIG.FILTERS.NEWS;
+    this.clock = options.clock || systemClock;
     this.cachedEvents = null;
     this.cacheExpiry = 0;
     this.cacheLifetime = 3600000; // 1 hour
@@ -118,8 +127,15 @@ export class NewsFilter {
   /**
    * Check if currently in news blackout period
    */
-  async checkNewsBlackout() {
-    const now = Date.now();
+  async checkNewsBlackout(time) {
+    return this.getBlackoutStatus(time);
+  }
+
+  /**
+   * Blackout status at a given time (the scheduled calendar needs no I/O)
+   */
+  getBlackoutStatus(time = this.clock.now()) {
+    const now = new Date(time).getTime();
     const blackoutBefore = this.config.BLACKOUT_MINUTES_BEFORE * 60 * 1000;
     const blackoutAfter = this.config.BLACKOUT_MINUTES_AFTER * 60 * 1000;
 
@@ -148,7 +164,7 @@ export class NewsFilter {
     }
 
     // Check for upcoming events today
-    const upcomingToday = this.getUpcomingEventsToday();
+    const upcomingToday = this.getUpcomingEventsToday(now);
 
     return {
       blackout: false,
@@ -159,8 +175,8 @@ export class NewsFilter {
   /**
    * Get upcoming high-impact events for today
    */
-  getUpcomingEventsToday() {
-    const now = new Date();
+  getUpcomingEventsToday(time = this.clock.now()) {
+    const now = new Date(time);
     const today = now.toISOString().split('T')[0];
 
     return this.scheduledEvents
@@ -179,8 +195,8 @@ export class NewsFilter {
   /**
    * Get next high-impact event
    */
-  getNextEvent() {
-    const now = Date.now();
+  getNextEvent(time = this.clock.now()) {
+    const now = new Date(time).getTime();
 
     const futureEvents = this.scheduledEvents
       .filter(event => {
@@ -234,8 +250,8 @@ export class NewsFilter {
   /**
    * Get trading calendar for the week
    */
-  getWeeklyCalendar() {
-    const now = new Date();
+  getWeeklyCalendar(time = this.clock.now()) {
+    const now = new Date(time);
     const weekStart = new Date(now);
     weekStart.setUTCDate(now.getUTCDate() - now.getUTCDay());
     weekStart.setUTCHours(0, 0, 0, 0);
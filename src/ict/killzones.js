@@ -16,10 +16,21 @@
  */
 
 import { CONFIG } from '../../config/settings.js';
+import { systemClock } from '../clock.js';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
 export class KillzoneDetector {
-  constructor() {
+  /**
+   * Every check runs at `time` when given (Date or ms timestamp), at the
+   * clock's now otherwise - the same rules for live, replay and backtests.
+   *
+   * @param {Object} options
+   * @param {Object} options.clock - { now() } time source (default: system clock)
+   */
+  constructor(options = {}) {
     this.killzones = CONFIG.KILLZONES;
+    this.clock = options.clock || systemClock;
   }
 
   /**
@@ -33,8 +44,8 @@ export class KillzoneDetector {
   /**
    * Get current time in UTC
    */
-  getCurrentUTCTime() {
-    const now = new Date();
+  getCurrentUTCTime(time = this.clock.now()) {
+    const now = new Date(time);
     return {
       hours: now.getUTCHours(),
       minutes: now.getUTCMinutes(),
@@ -47,11 +58,11 @@ export class KillzoneDetector {
   /**
    * Check if current time is within a specific killzone
    */
-  isInKillzone(killzoneName) {
+  isInKillzone(killzoneName, time) {
     const kz = this.killzones[killzoneName];
     if (!kz || !kz.ENABLED) return false;
 
-    const currentTime = this.getCurrentUTCTime();
+    const currentTime = this.getCurrentUTCTime(time);
 
     // Skip weekends
     if (currentTime.dayOfWeek === 0 || currentTime.dayOfWeek === 6) {
@@ -68,11 +79,11 @@ export class KillzoneDetector {
   /**
    * Check if currently in ANY active killzone
    */
-  isInAnyKillzone() {
+  isInAnyKillzone(time) {
     const killzoneNames = ['ASIA', 'LONDON', 'NEW_YORK_AM', 'NEW_YORK_PM'];
 
     for (const name of killzoneNames) {
-      if (this.isInKillzone(name)) {
+      if (this.isInKillzone(name, time)) {
         return {
           active: true,
           killzone: name,
@@ -87,8 +98,8 @@ export class KillzoneDetector {
   /**
    * Check if in Silver Bullet window (highest probability)
    */
-  isInSilverBullet() {
-    const currentTime = this.getCurrentUTCTime();
+  isInSilverBullet(time) {
+    const currentTime = this.getCurrentUTCTime(time);
     const silverBullets = this.killzones.SILVER_BULLET;
 
     // Skip weekends
@@ -113,11 +124,25 @@ export class KillzoneDetector {
     return { active: false };
   }
 
+  /**
+   * Get end of the active killzone as a Date (null if outside killzones)
+   */
+  getActiveKillzoneEnd(time = this.clock.now()) {
+    const inKillzone = this.isInAnyKillzone(time);
+    if (!inKillzone.active) return null;
+
+    const [hours, minutes] = this.killzones[inKillzone.killzone].END.split(':').map(Number);
+    const end = new Date(time);
+    end.setUTCHours(hours, minutes, 0, 0);
+
+    return end;
+  }
+
   /**
    * Get next killzone start time
    */
-  getNextKillzone() {
-    const currentTime = this.getCurrentUTCTime();
+  getNextKillzone(time) {
+    const currentTime = this.getCurrentUTCTime(time);
     const killzoneNames = ['LONDON', 'NEW_YORK_AM']; // Only enabled ones
 
     let nextKillzone = null;
@@ -152,8 +177,8 @@ export class KillzoneDetector {
   /**
    * Get session open time for Judas swing detection
    */
-  getSessionOpenInfo() {
-    const currentTime = this.getCurrentUTCTime();
+  getSessionOpenInfo(time) {
+    const currentTime = this.getCurrentUTCTime(time);
     const sessions = {
       LONDON: { open: '07:00', name: 'London' },
       NEW_YORK: { open: '13:00', name: 'New York' }
@@ -181,10 +206,10 @@ export class KillzoneDetector {
    * Calculate killzone quality score
    * Higher score = better time to trade
    */
-  getKillzoneQuality() {
-    const inKillzone = this.isInAnyKillzone();
-    const inSilverBullet = this.isInSilverBullet();
-    const sessionOpen = this.getSessionOpenInfo();
+  getKillzoneQuality(time) {
+    const inKillzone = this.isInAnyKillzone(time);
+    const inSilverBullet = this.isInSilverBullet(time);
+    const sessionOpen = this.getSessionOpenInfo(time);
 
     let score = 0;
     const factors = [];
@@ -194,7 +219,7 @@ export class KillzoneDetector {
         score: 0,
         tradeable: false,
         reason: 'Outside killzone',
-        nextKillzone: this.getNextKillzone()
+        nextKillzone: this.getNextKillzone(time)
       };
     }
 
@@ -234,8 +259,8 @@ export class KillzoneDetector {
   /**
    * Should we skip trading today? (Weekends, holidays)
    */
-  shouldSkipToday() {
-    const currentTime = this.getCurrentUTCTime();
+  shouldSkipToday(time) {
+    const currentTime = this.getCurrentUTCTime(time);
 
     // Skip weekends
     if (currentTime.dayOfWeek === 0 || currentTime.dayOfWeek === 6) {
@@ -245,34 +270,32 @@ export class KillzoneDetector {
       };
     }
 
-    // Major holidays (simplified list)
-    const holidays = [
-      '2025-01-01', // New Year
-      '2025-01-20', // MLK Day
-      '2025-02-17', // Presidents Day
-      '2025-04-18', // Good Friday
-      '2025-05-26', // Memorial Day
-      '2025-07-04', // Independence Day
-      '2025-09-01', // Labor Day
-      '2025-11-27', // Thanksgiving
-      '2025-12-25', // Christmas
-    ];
-
-    if (holidays.includes(currentTime.date)) {
+    // Major US holidays (computed for any year, so backtests see them too)
+    if (getMarketHolidays(Number(currentTime.date.slice(0, 4))).has(currentTime.date)) {
       return {
         skip: true,
         reason: 'Major holiday - reduced liquidity'
       };
     }
 
+    // Strategy trading days (same filter as the backtests)
+    const dayFilter = this.killzones.DAY_FILTER;
+    if (dayFilter.ENABLED && !dayFilter.TRADING_DAYS.includes(currentTime.dayOfWeek)) {
+      const days = dayFilter.TRADING_DAYS.map(d => DAY_NAMES[d]).join('/');
+      return {
+        skip: true,
+        reason: `${DAY_NAMES[currentTime.dayOfWeek]} - strategy trades ${days} only`
+      };
+    }
+
     return { skip: false };
   }
 
   /**
    * Get comprehensive trading window status
    */
-  getTradingWindowStatus() {
-    const skipCheck = this.shouldSkipToday();
+  getTradingWindowStatus(time) {
+    const skipCheck = this.shouldSkipToday(time);
     if (skipCheck.skip) {
       return {
         canTrade: false,
@@ -280,12 +303,12 @@ export class KillzoneDetector {
       };
     }
 
-    const quality = this.getKillzoneQuality();
+    const quality = this.getKillzoneQuality(time);
 
     return {
       canTrade: quality.tradeable,
       quality,
-      currentTime: this.getCurrentUTCTime(),
+      currentTime: this.getCurrentUTCTime(time),
       recommendation: quality.tradeable
         ? `ACTIVE: ${quality.factors.join(', ')}`
         : `WAIT: ${quality.reason}`
@@ -293,4 +316,72 @@ export class KillzoneDetector {
   }
 }
 
+const holidayCache = new Map();
+
+/**
+ * US market holidays of a year as 'YYYY-MM-DD' (simplified list):
+ * New Year, MLK Day, Presidents Day, Good Friday, Memorial Day,
+ * Independence Day, Labor Day, Thanksgiving, Christmas.
+ * Fixed-date holidays on a weekend are observed on the nearest weekday
+ * (a Saturday New Year is not observed: Dec 31 is in the previous year).
+ */
+export function getMarketHolidays(year) {
+  if (!holidayCache.has(year)) {
+    const easter = easterSunday(year);
+    const dates = [
+      observed(new Date(Date.UTC(year, 0, 1))),     // New Year
+      nthWeekday(year, 0, 1, 3),                     // MLK Day (3rd Mon Jan)
+      nthWeekday(year, 1, 1, 3),                     // Presidents Day (3rd Mon Feb)
+      new Date(easter.getTime() - 2 * 86400000),     // Good Friday
+      lastWeekday(year, 4, 1),                       // Memorial Day (last Mon May)
+      observed(new Date(Date.UTC(year, 6, 4))),     // Independence Day
+      nthWeekday(year, 8, 1, 1),                     // Labor Day (1st Mon Sep)
+      nthWeekday(year, 10, 4, 4),                    // Thanksgiving (4th Thu Nov)
+      observed(new Date(Date.UTC(year, 11, 25)))    // Christmas
+    ];
+    holidayCache.set(year, new Set(dates
+      .filter(d => d.getUTCFullYear() === year)
+      .map(d => d.toISOString().split('T')[0])));
+  }
+  return holidayCache.get(year);
+}
+
+function nthWeekday(year, month, weekday, n) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7));
+}
+
+function lastWeekday(year, month, weekday) {
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return new Date(Date.UTC(year, month, last.getUTCDate() - offset));
+}
+
+function observed(date) {
+  const day = date.getUTCDay();
+  if (day === 6) return new Date(date.getTime() - 86400000);
+  if (day === 0) return new Date(date.getTime() + 86400000);
+  return date;
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
 export default KillzoneDetector;
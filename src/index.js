@@ -16,22 +16,56 @@
 
 import dotenv from 'dotenv';
 import cron from 'node-cron';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 import { TradeDecisionEngine } from './tradeDecision.js';
 import { PolymarketClient } from './polymarket/client.js';
+import { OrderTracker } from './polymarket/orderTracker.js';
+import { OrderExecutor } from './polymarket/orderExecutor.js';
+import { ResolutionWatcher } from './polymarket/resolutionWatcher.js';
+import { StateStore } from './state/stateStore.js';
+import { TradeJournal } from './state/tradeJournal.js';
 import { KillzoneDetector } from './ict/killzones.js';
 import { TelegramNotifier } from './notifications/telegram.js';
+import { TelegramCommands } from './notifications/telegramCommands.js';
+import { PaperClient } from './paper/paperClient.js';
+import { StatusServer } from './api/statusServer.js';
+import { createLogger, withCorrelation, getCorrelationId } from './logger.js';
 import { CONFIG } from '../config/settings.js';
+import { resolveConfig, getConfigInfo } from '../config/loader.js';
 
 dotenv.config();
 
+const log = createLogger('bot');
+
 class BotCasino13 {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.paper - Fill against live books with a virtual balance
+   * @param {boolean} options.dryRun - Analyze and find the market, never place orders
+   */
+  constructor(options = {}) {
+    // Fail on the first line, not halfway through a decision
+    this.configInfo = resolveConfig();
+
+    this.paper = !!options.paper;
+    this.dryRun = !!options.dryRun;
     this.decisionEngine = new TradeDecisionEngine();
-    this.polymarket = new PolymarketClient(process.env.PRIVATE_KEY);
-    this.killzones = new KillzoneDetector();
+    this.polymarket = this.paper
+      ? new PaperClient()
+      : new PolymarketClient(process.env.PRIVATE_KEY);
+    this.orderTracker = new OrderTracker(this.polymarket);
+    this.executor = new OrderExecutor(this.polymarket, this.orderTracker, { clock: this.decisionEngine.clock });
+    this.resolutionWatcher = new ResolutionWatcher(this.polymarket, (result) => this.handleResolution(result));
+    this.killzones = new KillzoneDetector({ clock: this.decisionEngine.clock });
     this.telegram = new TelegramNotifier();
+    this.telegramCommands = new TelegramCommands(this);
+    // Paper runs keep their own challenge state and journal
+    this.stateStore = new StateStore(this.paper ? { fileName: 'challenge.paper.json' } : {});
+    this.journal = new TradeJournal(this.paper ? { fileName: 'journal.paper.jsonl' } : {});
 
-    // Challenge state
+    // Challenge state (defaults, overridden by the persisted state below)
     this.state = {
       currentCapital: CONFIG.CHALLENGE.STARTING_CAPITAL,
       consecutiveWins: 0,
@@ -39,8 +73,46 @@ class BotCasino13 {
       tradeHistory: [],
       startTime: new Date().toISOString(),
       challengeActive: true,
-      lastAnalysis: null
+      lastAnalysis: null,
+      openPosition: null,
+      pendingRedemptions: [],
+      walletBalance: null
     };
+
+    // Recent decision summaries (in memory, served by the status API)
+    this.decisions = [];
+    this.statusServer = null;
+
+    // Trades awaiting an operator decision: id -> { id, summary, resolve(approved, via) }
+    this.pendingConfirmations = new Map();
+    // Set while an order is being placed (maker entries and confirmations take minutes)
+    this.tradeInProgress = false;
+
+    const saved = this.stateStore.load();
+    if (saved) {
+      Object.assign(this.state, saved);
+      log.info('Resumed challenge', {
+        capital: this.state.currentCapital,
+        consecutiveWins: this.state.consecutiveWins,
+        file: this.stateStore.filePath
+      });
+
+      // An open position survives the restart, so must its resolution watch
+      if (this.state.openPosition) {
+        this.resolutionWatcher.watch(this.state.openPosition);
+      }
+    }
+  }
+
+  /**
+   * Persist challenge state (after every trade, result and redemption)
+   */
+  saveState() {
+    try {
+      this.stateStore.save(this.state);
+    } catch (error) {
+      log.error('State save failed', error);
+    }
   }
 
   /**
@@ -61,6 +133,16 @@ class BotCasino13 {
     console.log(`    Capital:  $${this.state.currentCapital.toFixed(2)}`);
     console.log(`    Wins:     ${this.state.consecutiveWins}/13`);
     console.log(`    Trades:   ${this.state.totalTrades}`);
+    if (this.paper) {
+      console.log(`    Mode:     PAPER ($${this.polymarket.ledger.usdc.toFixed(2)} virtual USDC)`);
+    }
+    if (this.dryRun) {
+      console.log('    Mode:     DRY RUN (no orders)');
+    }
+    console.log('');
+    console.log('  CONFIG:');
+    console.log(`    Profile:  ${this.configInfo.profile || 'defaults'}`);
+    console.log(`    Hash:     ${getConfigInfo().hash}`);
     console.log('');
     console.log('═══════════════════════════════════════════════════════════════════');
     console.log('');
@@ -70,20 +152,45 @@ class BotCasino13 {
    * Run single analysis cycle
    */
   async analyze() {
-    console.log(`\n[${new Date().toISOString()}] Running ICT Analysis...`);
+    return withCorrelation(async () => {
+      log.info('Running ICT analysis');
 
-    try {
-      const analysis = await this.decisionEngine.getAnalysis();
-      console.log(analysis.summary);
+      try {
+        const analysis = await this.decisionEngine.getAnalysis();
+        this.recordDecision(analysis.decision);
 
-      return analysis;
+        return analysis;
 
-    } catch (error) {
-      console.error('Analysis error:', error.message);
-      return null;
+      } catch (error) {
+        log.error('Analysis failed', error);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Keep a summary of each decision for /decisions and /status
+   */
+  recordDecision(decision) {
+    this.decisions.push(this.summarizeDecision(decision));
+    if (this.decisions.length > CONFIG.API.RECENT_DECISIONS) {
+      this.decisions.splice(0, this.decisions.length - CONFIG.API.RECENT_DECISIONS);
     }
   }
 
+  summarizeDecision(decision) {
+    return {
+      timestamp: decision.timestamp,
+      asset: decision.asset,
+      action: decision.action,
+      direction: decision.direction,
+      confidence: decision.confidence,
+      confluenceScore: decision.confluenceScore,
+      model: decision.analysis?.entryModels?.model || null,
+      reasons: decision.reasons
+    };
+  }
+
   /**
    * Execute trade on Polymarket
    */
@@ -92,104 +199,510 @@ class BotCasino13 {
       return { executed: false, reason: 'No trade signal' };
     }
 
-    console.log('\n═══════════════════════════════════════════════════════════════════');
-    console.log('                    EXECUTING TRADE                                ');
-    console.log('═══════════════════════════════════════════════════════════════════');
+    log.info('Executing trade', { action: decision.action, asset: decision.asset });
 
     try {
-      // Find today's BTC market
-      const marketSearch = await this.polymarket.findTodaysBTCMarket();
+      // Tracked capital must match what the wallet actually holds
+      const balanceCheck = await this.checkBalance();
+
+      if (!balanceCheck.ok) {
+        const reason = `Balance mismatch: wallet $${balanceCheck.usdc.toFixed(2)} vs tracked $${balanceCheck.tracked.toFixed(2)} (tolerance $${balanceCheck.tolerance.toFixed(2)})`;
+        log.warn(reason, { usdc: balanceCheck.usdc, tracked: balanceCheck.tracked });
+        await this.telegram.sendErrorAlert(new Error(reason));
+        return { executed: false, reason };
+      }
+
+      // Find the market for the asset that was analyzed
+      const asset = decision.asset || CONFIG.STRATEGY.ASSET;
+      const marketSearch = await this.polymarket.findDailyMarket(asset, new Date(decision.timestamp));
 
       if (!marketSearch.found) {
-        console.log(`Market not found: ${marketSearch.reason}`);
+        log.warn('Market not found', { asset, reason: marketSearch.reason });
         return { executed: false, reason: marketSearch.reason };
       }
 
       const market = marketSearch.market;
-      console.log(`Market: ${market.question}`);
-      console.log(`Expiry: ${market.endDateISO} (${market.hoursUntilExpiry.toFixed(1)}h)`);
+      log.info(`Market: ${market.question}`, {
+        marketId: market.id,
+        expiry: market.endDateISO,
+        hoursUntilExpiry: Number(market.hoursUntilExpiry.toFixed(1)),
+        marketDate: market.marketDate
+      });
 
       // Check odds
       const direction = decision.action === 'LONG' ? 'UP' : 'DOWN';
       const price = direction === 'UP' ? market.outcomes.yes.price : market.outcomes.no.price;
-      const oddsCheck = this.polymarket.checkOddsAcceptable(price, direction);
+      // checkOddsAcceptable takes the YES price and inverts it for DOWN
+      const oddsCheck = this.polymarket.checkOddsAcceptable(market.outcomes.yes.price, direction);
 
       if (!oddsCheck.acceptable) {
-        console.log(`Odds not acceptable: ${oddsCheck.reason}`);
+        log.warn('Odds not acceptable', { reason: oddsCheck.reason });
         return { executed: false, reason: oddsCheck.reason };
       }
 
-      console.log(`Direction: ${direction}`);
-      console.log(`Price: ${price.toFixed(4)}`);
-      console.log(`Potential Return: ${(oddsCheck.potentialReturn * 100).toFixed(0)}%`);
+      log.info('Odds accepted', {
+        direction,
+        price,
+        potentialReturnPercent: Math.round(oddsCheck.potentialReturn * 100)
+      });
+
+      // Snapshot prices and books; submission aborts if the price drifts from it
+      const snapshot = await this.polymarket.getMarketSnapshot(market, direction);
+      log.info('Market snapshot', {
+        ask: snapshot.effectivePrice,
+        spreadPercent: snapshot.books[direction === 'UP' ? 'yes' : 'no'].spread.spreadPercent
+      });
+
+      // Execute ALL-IN against the order book (signed CLOB orders; simulation if no wallet)
+      log.info('Staking 100% ALL-IN', { amount: this.state.currentCapital });
+
+      if (this.dryRun) {
+        log.info('DRY RUN - order not placed');
+        return { executed: false, dryRun: true, reason: 'Dry run', market: market.id, direction, snapshot };
+      }
+
+      const confirmationId = this.requiresConfirmation() ? this.createConfirmationId() : null;
 
-      // Prepare order (ALL-IN)
-      const order = this.polymarket.prepareOrder(market, direction, this.state.currentCapital);
+      // Write-ahead: the intent is durable before any order can reach the CLOB
+      const tokenId = direction === 'UP' ? market.outcomes.yes.tokenId : market.outcomes.no.tokenId;
+      const tradeId = this.journal.begin({
+        direction,
+        amount: this.state.currentCapital,
+        asset,
+        marketId: market.id,
+        conditionId: market.conditionId,
+        tokenId,
+        decisionTimestamp: decision.timestamp,
+        cycleId: getCorrelationId(),
+        confirmationId
+      });
+      const tradeLog = log.child({ tradeId });
 
-      console.log('');
-      console.log(`Amount: $${order.amount.toFixed(2)} (100% ALL-IN)`);
-      console.log(`Shares: ${order.shares.toFixed(4)}`);
-      console.log(`Potential Payout: $${order.potentialPayout.toFixed(2)}`);
+      // Large stakes wait for an operator; the drift guard re-checks the book afterwards
+      let confirmation = null;
+      if (confirmationId) {
+        confirmation = await this.requestConfirmation(confirmationId, { decision, market, direction, snapshot });
 
-      // Execute (simulation mode for now)
-      const result = await this.polymarket.executeOrder(order);
+        if (!confirmation.approved) {
+          tradeLog.warn('Trade not confirmed', { reason: confirmation.reason, via: confirmation.via });
+          this.journal.append(tradeId, 'aborted', { reason: confirmation.reason, confirmation });
+          return { executed: false, reason: confirmation.reason, confirmation };
+        }
+      }
+
+      // Maker entries must cross the spread before the killzone closes
+      const result = await this.executor.execute(market, direction, this.state.currentCapital, {
+        deadline: this.killzones.getActiveKillzoneEnd(),
+        snapshot,
+        onSubmitted: (order) => this.journal.append(tradeId, 'submitted', {
+          orderId: order.orderId,
+          orderStatus: order.status
+        })
+      });
+      const fill = result.fill;
+
+      if (fill.filledSize > 0) {
+        tradeLog.info('Order filled', {
+          shares: fill.filledSize,
+          notional: fill.filledNotional,
+          status: fill.finalStatus
+        });
+
+        this.state.openPosition = {
+          tradeId,
+          direction,
+          orderId: fill.orderId,
+          orderIds: fill.orderIds,
+          tokenId,
+          marketId: market.id,
+          conditionId: market.conditionId,
+          stake: fill.filledNotional,
+          shares: fill.filledSize,
+          avgPrice: fill.avgPrice,
+          snapshot: result.snapshot,
+          drift: result.drift,
+          confirmation,
+          cycleId: getCorrelationId(),
+          openedAt: new Date().toISOString()
+        };
+        this.journal.append(tradeId, 'filled', { position: this.state.openPosition });
+        this.decisionEngine.recordTrade();
+        this.resolutionWatcher.watch(this.state.openPosition);
+        this.saveState();
 
-      // Send Telegram alert for trade execution
-      if (result.executed || result.simulated) {
         await this.telegram.sendTradeAlert({
           action: decision.action,
           model: decision.analysis?.entryModels?.model || 'ICT',
           confluence: decision.confluenceScore,
           confidence: decision.confidence,
-          amount: order.amount,
-          potentialPayout: order.potentialPayout,
+          amount: fill.filledNotional,
+          potentialPayout: fill.filledSize,
           wins: this.state.consecutiveWins,
           capital: this.state.currentCapital,
           market: market.question
         });
+      } else {
+        tradeLog.warn('Order not filled', { reason: result.reason || fill.finalStatus });
+        this.journal.append(tradeId, 'aborted', { reason: result.reason || fill.finalStatus });
       }
 
       return result;
 
     } catch (error) {
-      console.error('Trade execution error:', error.message);
+      log.error('Trade execution failed', error);
       await this.telegram.sendErrorAlert(error);
       return { executed: false, error: error.message };
     }
   }
 
+  /**
+   * Compare tracked capital with the wallet's real USDC balance
+   */
+  async checkBalance() {
+    if (!this.polymarket.tradingEnabled) {
+      return { ok: true, skipped: true, reason: 'No wallet (simulation mode)' };
+    }
+
+    const balance = await this.polymarket.getBalance();
+    const tracked = this.state.currentCapital;
+    const tolerance = Math.max(
+      CONFIG.EXECUTION.BALANCE_TOLERANCE_USD,
+      tracked * CONFIG.EXECUTION.BALANCE_TOLERANCE_PERCENT / 100
+    );
+    const difference = balance.usdc - tracked;
+
+    return {
+      ok: Math.abs(difference) <= tolerance,
+      usdc: balance.usdc,
+      tracked,
+      difference,
+      tolerance,
+      openPositions: balance.positions.length
+    };
+  }
+
+  /**
+   * Market resolved for a watched position
+   */
+  async handleResolution({ position, isWin }) {
+    // Winning shares must become USDC before the next all-in trade.
+    // Queued before recordResult so the result and the redemption are saved together.
+    const redeem = !!(isWin && this.polymarket.tradingEnabled);
+    if (redeem) {
+      this.state.pendingRedemptions.push({
+        tradeId: position.tradeId,
+        marketId: position.marketId,
+        conditionId: position.conditionId
+      });
+    }
+
+    if (position.tradeId) {
+      this.journal.append(position.tradeId, 'resolved', { isWin, redeemRequired: redeem });
+    }
+
+    if (!isWin) {
+      await this.settlePaperLoss(position);
+    }
+
+    await this.recordResult(isWin, position.direction);
+
+    if (redeem) {
+      await this.redeemPending();
+    }
+  }
+
+  /**
+   * Paper loss: take the worthless shares off the ledger (at zero value)
+   * before the restart top-up, so the paper P&L shows the loss
+   */
+  async settlePaperLoss(position) {
+    if (!this.paper) return;
+
+    try {
+      await this.polymarket.redeemPositions(position.conditionId);
+    } catch (error) {
+      log.error('Paper loss settlement failed', { tradeId: position.tradeId, error: error.message });
+    }
+  }
+
+  /**
+   * Redeem winning positions awaiting redemption
+   * Failed redemptions stay pending and are retried on the next check
+   */
+  async redeemPending() {
+    // Proxy wallets redeem through the Polymarket UI: hand the winnings
+    // over instead of holding up every following trade
+    if (!this.polymarket.canRedeem) {
+      for (const pending of this.state.pendingRedemptions) {
+        await this.requestManualRedemption(pending);
+      }
+      this.state.pendingRedemptions = [];
+      this.saveState();
+      return true;
+    }
+
+    for (const pending of [...this.state.pendingRedemptions]) {
+      try {
+        const redemption = await this.polymarket.redeemPositions(pending.conditionId, { txHash: pending.txHash });
+
+        this.state.pendingRedemptions = this.state.pendingRedemptions.filter(p => p !== pending);
+        this.state.walletBalance = redemption.balanceAfter;
+
+        log.info('Redeemed winning position', {
+          tradeId: pending.tradeId,
+          redeemed: redemption.redeemed,
+          txHash: redemption.txHash,
+          walletBalance: redemption.balanceAfter
+        });
+        if (pending.tradeId) {
+          this.journal.append(pending.tradeId, 'redeemed', {
+            txHash: redemption.txHash,
+            redeemed: redemption.redeemed
+          });
+        }
+        this.saveState();
+
+      } catch (error) {
+        // A transaction still pending is waited for next time, never resent
+        if (error.txHash && pending.txHash !== error.txHash) {
+          pending.txHash = error.txHash;
+          this.saveState();
+        }
+        log.error('Redemption failed', { tradeId: pending.tradeId, marketId: pending.marketId, txHash: error.txHash, error: error.message });
+        await this.telegram.sendErrorAlert(error);
+      }
+    }
+
+    return this.state.pendingRedemptions.length === 0;
+  }
+
+  /**
+   * Winnings left for the user to redeem: close the trade in the journal
+   * and alert
+   */
+  async requestManualRedemption(pending) {
+    log.warn('Winning position must be redeemed manually (proxy wallet)', {
+      tradeId: pending.tradeId,
+      marketId: pending.marketId,
+      conditionId: pending.conditionId
+    });
+    if (pending.tradeId) {
+      this.journal.append(pending.tradeId, 'resolved', { redeemRequired: false, manualRedemption: true });
+    }
+    await this.telegram.sendManualRedemptionAlert(pending);
+  }
+
+  /**
+   * Poll watched positions for market resolution
+   */
+  async checkResolutions() {
+    if (this.state.pendingRedemptions.length > 0) {
+      await this.redeemPending();
+    }
+
+    if (this.resolutionWatcher.getWatched().length === 0) return [];
+
+    try {
+      return await this.resolutionWatcher.checkAll();
+    } catch (error) {
+      log.error('Resolution check failed', error);
+      await this.telegram.sendErrorAlert(error);
+      return [];
+    }
+  }
+
+  /**
+   * Replay the trade journal and resume unfinished trades
+   *
+   * Idempotent: each step checks what is already recorded (state, CLOB
+   * fills) so running it again never places or records a trade twice.
+   */
+  async recoverTrades() {
+    for (const trade of this.journal.getUnfinished()) {
+      log.info('Recovering trade', { tradeId: trade.tradeId, stage: trade.stage });
+
+      try {
+        if (trade.stage === 'intent' || trade.stage === 'submitted') {
+          await this.recoverInFlight(trade);
+        } else if (trade.stage === 'filled') {
+          this.resumePosition(trade.position);
+        } else if (trade.stage === 'resolved') {
+          await this.resumeResolved(trade);
+        }
+      } catch (error) {
+        log.error('Trade recovery failed', { tradeId: trade.tradeId, error: error.message });
+        await this.telegram.sendErrorAlert(error);
+      }
+    }
+
+    // The daily limit counts filled trades across restarts; counted after
+    // recovery so in-flight trades it aborts do not use up the day
+    const today = this.decisionEngine.clock.now().toISOString().split('T')[0];
+    this.decisionEngine.restoreTradeCount(this.journal.countTradesOn(today), today);
+
+    this.saveState();
+    return this.journal.getUnfinished().length === 0;
+  }
+
+  /**
+   * Journaled trades with orders that may still be unreconciled
+   */
+  getInFlightTrades() {
+    return this.journal.getUnfinished().filter(t => t.stage === 'intent' || t.stage === 'submitted');
+  }
+
+  /**
+   * Trade interrupted between intent and fill: reconcile with the CLOB
+   */
+  async recoverInFlight(trade) {
+    const orderIds = trade.orderIds || [];
+
+    let shares = 0;
+    let stake = 0;
+
+    for (const orderId of orderIds) {
+      let snapshot = await this.orderTracker.pollOrder(orderId);
+
+      // Resting remainder of an interrupted order must not fill later
+      if (snapshot && (snapshot.status === 'LIVE' || snapshot.status === 'DELAYED')) {
+        await this.polymarket.cancelOrder(orderId);
+        snapshot = await this.orderTracker.pollOrder(orderId) || snapshot;
+      }
+
+      if (!snapshot) {
+        throw new Error(`Order ${orderId} status unavailable - cannot reconcile yet`);
+      }
+
+      shares += snapshot.sizeMatched;
+      stake += snapshot.sizeMatched * snapshot.price;
+    }
+
+    // Crashed before the submission was journaled: the wallet is the record
+    if (orderIds.length === 0 && this.polymarket.tradingEnabled) {
+      const position = (await this.polymarket.getPositions()).find(p => p.tokenId === trade.tokenId);
+      if (position) {
+        shares = position.size;
+        stake = position.size * position.avgPrice;
+      }
+    }
+
+    if (shares === 0) {
+      this.journal.append(trade.tradeId, 'aborted', { reason: 'Recovered: nothing filled' });
+      return;
+    }
+
+    const position = {
+      tradeId: trade.tradeId,
+      direction: trade.direction,
+      orderId: orderIds[0] || null,
+      orderIds,
+      tokenId: trade.tokenId,
+      marketId: trade.marketId,
+      conditionId: trade.conditionId,
+      stake,
+      shares,
+      avgPrice: stake / shares,
+      snapshot: null,
+      drift: null,
+      openedAt: trade.startedAt,
+      recovered: true
+    };
+
+    this.journal.append(trade.tradeId, 'filled', { position });
+    this.resumePosition(position);
+  }
+
+  /**
+   * Filled trade: make sure it is the open position and watched
+   */
+  resumePosition(position) {
+    if (this.state.tradeHistory.some(t => t.tradeId === position.tradeId)) return;
+
+    this.state.openPosition = position;
+    this.resolutionWatcher.watch(position);
+  }
+
+  /**
+   * Resolved trade: record the result if the crash beat recordResult,
+   * then make sure the winnings are queued for redemption
+   */
+  async resumeResolved(trade) {
+    if (!this.state.tradeHistory.some(t => t.tradeId === trade.tradeId)) {
+      this.state.openPosition = trade.position;
+      if (!trade.isWin) {
+        await this.settlePaperLoss(trade.position);
+      }
+      await this.recordResult(trade.isWin, trade.position.direction);
+    }
+
+    if (trade.redeemRequired && !this.state.pendingRedemptions.some(p => p.tradeId === trade.tradeId)) {
+      this.state.pendingRedemptions.push({
+        tradeId: trade.tradeId,
+        marketId: trade.marketId,
+        conditionId: trade.conditionId
+      });
+    }
+  }
+
   /**
    * Record trade result (for simulation/tracking)
    */
   async recordResult(isWin, direction = 'N/A') {
+    const position = this.state.openPosition;
+
     if (isWin) {
-      this.state.currentCapital *= 2;
+      // Each filled share pays $1; capital that never filled was not at risk
+      this.state.currentCapital = position
+        ? this.state.currentCapital - position.stake + position.shares
+        : this.state.currentCapital * 2;
       this.state.consecutiveWins++;
 
-      console.log('\n✓ WIN! Capital doubled.');
-      console.log(`  New Capital: $${this.state.currentCapital.toFixed(2)}`);
-      console.log(`  Wins: ${this.state.consecutiveWins}/13`);
+      log.info('WIN', {
+        tradeId: position?.tradeId,
+        capital: this.state.currentCapital,
+        consecutiveWins: this.state.consecutiveWins
+      });
 
       if (this.state.consecutiveWins >= 13) {
-        console.log('\n🎉 CHALLENGE COMPLETE! 🎉');
-        console.log(`Final Capital: $${this.state.currentCapital.toFixed(2)}`);
+        log.info('CHALLENGE COMPLETE', { capital: this.state.currentCapital });
         this.state.challengeActive = false;
       }
     } else {
-      console.log('\n✗ LOSS. Challenge failed.');
-      console.log('  Resetting to $12...');
+      log.info('LOSS - challenge failed, resetting', {
+        tradeId: position?.tradeId,
+        capital: CONFIG.CHALLENGE.STARTING_CAPITAL
+      });
 
       this.state.currentCapital = CONFIG.CHALLENGE.STARTING_CAPITAL;
       this.state.consecutiveWins = 0;
+
+      // Paper restart: fund the virtual wallet back up to the starting stake
+      if (this.paper) {
+        const ledger = this.polymarket.ledger;
+        if (ledger.usdc < CONFIG.CHALLENGE.STARTING_CAPITAL) {
+          ledger.topUp(CONFIG.CHALLENGE.STARTING_CAPITAL - ledger.usdc);
+          ledger.save();
+        }
+      }
     }
 
     this.state.totalTrades++;
     this.state.tradeHistory.push({
+      tradeId: position?.tradeId ?? null,
       timestamp: new Date().toISOString(),
       isWin,
+      direction,
+      stake: position?.stake ?? null,
+      shares: position?.shares ?? null,
+      snapshot: position?.snapshot ?? null,
+      drift: position?.drift ?? null,
+      confirmation: position?.confirmation ?? null,
+      cycleId: position?.cycleId ?? null,
       capitalAfter: this.state.currentCapital,
       consecutiveWins: this.state.consecutiveWins
     });
+    this.state.openPosition = null;
+    this.saveState();
 
     // Send result alert to Telegram
     await this.telegram.sendResultAlert({
@@ -206,22 +719,46 @@ class BotCasino13 {
   async run() {
     this.printBanner();
 
-    console.log('Starting bot in monitoring mode...');
-    console.log('Will analyze during London (07:00-10:00 UTC) and NY (13:00-16:00 UTC) killzones.\n');
+    log.info('Starting bot in monitoring mode (London 07:00-10:00 UTC, NY 13:00-16:00 UTC killzones)');
+    log.info('Effective config', getConfigInfo());
 
     // Send startup notification
     await this.telegram.sendStartupAlert({
       version: '1.0.0',
-      mode: 'Production',
+      mode: this.paper ? 'Paper' : 'Production',
       capital: this.state.currentCapital
     });
 
-    // Check immediately
-    await this.checkAndTrade();
+    // Resume anything a crash or restart interrupted before trading again
+    await this.recoverTrades();
+
+    // Local status/control API (a busy port must not stop trading)
+    if (CONFIG.API.ENABLED) {
+      try {
+        this.statusServer = new StatusServer(this);
+        await this.statusServer.start();
+      } catch (error) {
+        log.error('Status API not started', error);
+        this.statusServer = null;
+      }
+    }
+
+    // Two-way Telegram: commands from the configured chat
+    if (CONFIG.TELEGRAM.COMMANDS_ENABLED) {
+      this.telegram.startPolling((command, args) => this.telegramCommands.handle(command, args));
+    }
+
+    // Check immediately (each cycle gets its own correlation id)
+    await withCorrelation(() => this.checkAndTrade());
 
     // Schedule checks every 5 minutes
     cron.schedule('*/5 * * * *', async () => {
-      await this.checkAndTrade();
+      await withCorrelation(() => this.checkAndTrade());
+    });
+
+    // Poll open positions for market resolution
+    cron.schedule('*/5 * * * *', async () => {
+      await withCorrelation(() => this.checkResolutions());
     });
 
     // Schedule hourly heartbeat
@@ -231,17 +768,21 @@ class BotCasino13 {
 
     // Handle graceful shutdown
     process.on('SIGTERM', async () => {
+      await this.statusServer?.stop();
+      this.telegram.stopPolling();
       await this.telegram.sendShutdownAlert('SIGTERM received');
       process.exit(0);
     });
 
     process.on('SIGINT', async () => {
+      await this.statusServer?.stop();
+      this.telegram.stopPolling();
       await this.telegram.sendShutdownAlert('SIGINT received (Ctrl+C)');
       process.exit(0);
     });
 
     // Keep process alive
-    console.log('Bot running. Press Ctrl+C to stop.\n');
+    log.info('Bot running. Press Ctrl+C to stop.');
   }
 
   /**
@@ -265,12 +806,235 @@ class BotCasino13 {
     });
   }
 
+  /**
+   * Operator controls, re-read each cycle so a pause from another process applies
+   */
+  getControl() {
+    try {
+      return this.stateStore.loadControl();
+    } catch (error) {
+      // An unreadable control file must not let the bot trade
+      log.error('Control file unreadable - treating as paused', error);
+      return { paused: true, reason: `Unreadable control file: ${error.message}` };
+    }
+  }
+
+  /**
+   * Pause or resume trading (resolution checks and redemptions keep running)
+   */
+  setPaused(paused, reason = null) {
+    this.stateStore.saveControl({ paused, reason: paused ? reason : null });
+    log.info(paused ? 'Trading paused' : 'Trading resumed', { reason: paused ? reason : null });
+    return this.getControl();
+  }
+
+  /**
+   * Whether the current stake needs operator approval (capital or streak threshold)
+   */
+  requiresConfirmation() {
+    const { ENABLED, MIN_CAPITAL, MIN_WINS } = CONFIG.CONFIRMATION;
+    if (!ENABLED) return false;
+
+    return (MIN_CAPITAL !== null && this.state.currentCapital >= MIN_CAPITAL) ||
+           (MIN_WINS !== null && this.state.consecutiveWins >= MIN_WINS);
+  }
+
+  /**
+   * Short id that is easy to type on a phone
+   */
+  createConfirmationId() {
+    return crypto.randomBytes(3).toString('hex');
+  }
+
+  /**
+   * Send the full decision for approval and wait for /confirm or /reject
+   * (Telegram or the status API) until the deadline
+   *
+   * @returns {Object} { id, approved, reason, via, requestedAt, decidedAt }
+   */
+  async requestConfirmation(id, { decision, market, direction, snapshot }) {
+    const requestedAt = new Date();
+    const killzoneEnd = this.killzones.getActiveKillzoneEnd();
+    const deadline = new Date(Math.min(
+      requestedAt.getTime() + CONFIG.CONFIRMATION.TIMEOUT_MS,
+      killzoneEnd ? killzoneEnd.getTime() : Infinity
+    ));
+
+    const record = (approved, reason, via) => ({
+      id,
+      approved,
+      reason,
+      via,
+      requestedAt: requestedAt.toISOString(),
+      decidedAt: new Date().toISOString()
+    });
+
+    // Outside `run` nothing listens for replies: poll Telegram for the wait
+    const startedPolling = CONFIG.TELEGRAM.COMMANDS_ENABLED &&
+      this.telegram.startPolling((command, args) => this.telegramCommands.handle(command, args));
+
+    if (!this.telegram.polling && !this.statusServer?.token) {
+      return record(false, 'No confirmation channel (Telegram commands or status API)', null);
+    }
+
+    const side = direction === 'UP' ? 'yes' : 'no';
+    const confluence = decision.analysis?.confluence || {};
+    const summary = {
+      ...this.summarizeDecision(decision),
+      direction,
+      stake: this.state.currentCapital,
+      consecutiveWins: this.state.consecutiveWins,
+      maxScore: confluence.maxScore,
+      presentFactors: confluence.presentFactors || [],
+      missingFactors: confluence.missingFactors || [],
+      market: {
+        id: market.id,
+        question: market.question,
+        marketDate: market.marketDate,
+        resolvesAt: market.resolvesAt
+      },
+      odds: {
+        yes: snapshot.prices.yes,
+        no: snapshot.prices.no,
+        ask: snapshot.effectivePrice,
+        spreadPercent: snapshot.books[side].spread.spreadPercent
+      },
+      potentialPayout: this.state.currentCapital / snapshot.effectivePrice,
+      requestedAt: requestedAt.toISOString(),
+      deadline: deadline.toISOString()
+    };
+
+    try {
+      const outcome = new Promise(resolve => {
+        const timer = setTimeout(() => {
+          this.pendingConfirmations.delete(id);
+          resolve(record(false, 'Confirmation timed out', null));
+        }, Math.max(0, deadline.getTime() - Date.now()));
+
+        this.pendingConfirmations.set(id, {
+          id,
+          summary,
+          resolve: (approved, via) => {
+            clearTimeout(timer);
+            resolve(record(approved, approved ? null : 'Rejected by operator', via));
+          }
+        });
+      });
+
+      log.info('Awaiting confirmation', { confirmationId: id, deadline: summary.deadline });
+      await this.telegram.sendConfirmationRequest({ id, ...summary });
+
+      const result = await outcome;
+      if (result.reason === 'Confirmation timed out') {
+        await this.telegram.send(`⌛ <b>Trade ${id} expired</b> - not placed`);
+      }
+      return result;
+
+    } finally {
+      if (startedPolling) this.telegram.stopPolling();
+    }
+  }
+
+  /**
+   * Approve or reject a trade awaiting confirmation
+   * @param {string} via - Channel the answer came from (telegram, api)
+   */
+  resolveConfirmation(id, approved, via = null) {
+    const pending = this.pendingConfirmations.get(id);
+    if (!pending) {
+      return { ok: false, reason: `No trade awaiting confirmation with id ${id}` };
+    }
+
+    this.pendingConfirmations.delete(id);
+    pending.resolve(approved, via);
+    log.info(approved ? 'Trade confirmed' : 'Trade rejected', { confirmationId: id, via });
+
+    return { ok: true, id, approved, ...pending.summary };
+  }
+
+  getPendingConfirmations() {
+    return [...this.pendingConfirmations.values()].map(p => ({ id: p.id, ...p.summary }));
+  }
+
+  /**
+   * Snapshot of challenge, position and control state (no network calls)
+   */
+  getStatus() {
+    const control = this.getControl();
+
+    return {
+      mode: this.getMode(),
+      dryRun: this.dryRun,
+      asset: CONFIG.STRATEGY.ASSET,
+      config: { profile: this.configInfo.profile, hash: getConfigInfo().hash },
+      challengeActive: this.state.challengeActive,
+      paused: control.paused,
+      pauseReason: control.reason || null,
+      capital: this.state.currentCapital,
+      consecutiveWins: this.state.consecutiveWins,
+      totalTrades: this.state.totalTrades,
+      startTime: this.state.startTime,
+      lastAnalysis: this.state.lastAnalysis,
+      openPosition: this.state.openPosition,
+      pendingRedemptions: this.state.pendingRedemptions,
+      pendingConfirmations: this.getPendingConfirmations(),
+      inFlightTrades: this.getInFlightTrades().map(t => ({ tradeId: t.tradeId, stage: t.stage, startedAt: t.startedAt })),
+      walletBalance: this.state.walletBalance,
+      paperLedger: this.paper ? this.polymarket.ledger.getSummary() : null,
+      killzone: this.killzones.getTradingWindowStatus(),
+      nextKillzone: this.killzones.getNextKillzone(),
+      lastDecision: this.decisions[this.decisions.length - 1] || null
+    };
+  }
+
+  getMode() {
+    if (this.paper) return 'paper';
+    return this.polymarket.tradingEnabled ? 'live' : 'simulation';
+  }
+
   /**
    * Check conditions and potentially trade
    */
   async checkAndTrade() {
     if (!this.state.challengeActive) {
-      console.log('Challenge complete or paused.');
+      log.info('Challenge complete or paused');
+      return;
+    }
+
+    const control = this.getControl();
+    if (control.paused) {
+      log.info('Trading paused', { reason: control.reason });
+      return;
+    }
+
+    // A maker entry or confirmation wait outlasts the 5-minute schedule
+    if (this.tradeInProgress) {
+      log.info('Trade in progress');
+      return;
+    }
+
+    // ALL-IN: capital is tied up until the open position resolves
+    if (this.state.openPosition) {
+      log.info('Awaiting resolution', {
+        tradeId: this.state.openPosition.tradeId,
+        marketId: this.state.openPosition.marketId
+      });
+      return;
+    }
+
+    // An interrupted order must be reconciled before a new one is placed
+    if (this.getInFlightTrades().length > 0) {
+      await this.recoverTrades();
+      const inFlight = this.getInFlightTrades();
+      if (inFlight.length > 0) {
+        log.warn('Awaiting reconciliation of interrupted trades', { count: inFlight.length });
+        return;
+      }
+    }
+
+    // Winnings must be redeemed before they can be re-staked
+    if (this.state.pendingRedemptions.length > 0 && !(await this.redeemPending())) {
+      log.warn('Awaiting redemption of winning positions', { count: this.state.pendingRedemptions.length });
       return;
     }
 
@@ -279,7 +1043,7 @@ class BotCasino13 {
     if (!killzoneStatus.canTrade) {
       const next = killzoneStatus.quality?.nextKillzone;
       if (next) {
-        console.log(`[${new Date().toISOString()}] Outside killzone. Next: ${next.name} in ${next.hoursUntil}h`);
+        log.info(`Outside killzone. Next: ${next.name} in ${next.hoursUntil}h`);
       }
       return;
     }
@@ -289,11 +1053,19 @@ class BotCasino13 {
     this.state.lastAnalysis = new Date().toISOString();
 
     if (analysis && analysis.decision.action !== 'NO_TRADE') {
-      const tradeResult = await this.executeTrade(analysis.decision);
-      console.log('Trade result:', tradeResult);
+      this.tradeInProgress = true;
+      try {
+        const tradeResult = await this.executeTrade(analysis.decision);
+        log.info('Trade result', {
+          executed: tradeResult.executed,
+          reason: tradeResult.reason,
+          error: tradeResult.error
+        });
+      } finally {
+        this.tradeInProgress = false;
+      }
 
-      // In simulation mode, we can't know actual result
-      // In live mode, you would wait for market resolution
+      // Filled positions are recorded by the resolution watcher once the market resolves
     }
   }
 
@@ -302,23 +1074,41 @@ class BotCasino13 {
    */
   async runOnce() {
     this.printBanner();
-    const analysis = await this.analyze();
 
-    if (analysis && analysis.decision.action !== 'NO_TRADE') {
-      await this.executeTrade(analysis.decision);
-    }
-  }
-}
+    return withCorrelation(async () => {
+      await this.recoverTrades();
 
-// Entry point
-const bot = new BotCasino13();
+      const analysis = await this.analyze();
+      let trade = null;
 
-const mode = process.argv[2] || 'once';
+      if (analysis && analysis.decision.action !== 'NO_TRADE') {
+        if (this.getControl().paused) {
+          log.info('Trading paused - not placing the trade');
+          return { analysis, trade };
+        }
+        if (this.state.openPosition || this.getInFlightTrades().length > 0) {
+          log.info('Open or interrupted trade in the journal - not placing another');
+          return { analysis, trade };
+        }
+        trade = await this.executeTrade(analysis.decision);
+      }
 
-if (mode === 'run') {
-  bot.run().catch(console.error);
-} else {
-  bot.runOnce().catch(console.error);
+      return { analysis, trade };
+    });
+  }
+}
+
+// Entry point: `node src/index.js <command>` (commands in cli.js)
+if (process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1])) {
+  // Loaded after this module finishes evaluating (cli.js imports BotCasino13)
+  import('./cli.js')
+    .then(({ runCli }) => runCli(process.argv.slice(2)))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
 }
 
+export { BotCasino13 };
 export default BotCasino13;
@@ -0,0 +1,140 @@
+/**
+ * Logging
+ *
+ * One winston logger for the whole bot, configured from CONFIG.LOGGING:
+ * - JSON lines to FILE_PATH, rotated by size (MAX_SIZE_MB × MAX_FILES)
+ * - Readable console output (stderr with --json, so stdout stays clean)
+ * - Per-module child loggers: createLogger('polymarket')
+ * - Correlation ids: everything logged inside withCorrelation() carries the
+ *   same `cycleId`, so an analysis cycle and the trade it places can be
+ *   followed end to end (`grep <cycleId> logs/eth13.log`)
+ *
+ * The root logger is built on first use, after the CLI has applied
+ * --config, so importing a module never opens the log file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import winston from 'winston';
+import { CONFIG } from '../config/settings.js';
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const correlation = new AsyncLocalStorage();
+
+let root = null;
+let consoleToStderr = false;
+
+/**
+ * Console output options; call before the first log line
+ * @param {Object} options - { stderr: true } sends console output to stderr
+ */
+export function configureLogging(options = {}) {
+  consoleToStderr = !!options.stderr;
+  if (root) {
+    root.close();
+    root = null;
+  }
+}
+
+/**
+ * Run `fn` with every log line inside it tagged with one correlation id
+ * (nested calls keep the outer cycle's id)
+ */
+export function withCorrelation(fn, id = getCorrelationId() ?? createCorrelationId()) {
+  return correlation.run({ id }, fn);
+}
+
+export function getCorrelationId() {
+  return correlation.getStore()?.id ?? null;
+}
+
+export function createCorrelationId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+const addCorrelation = winston.format(info => {
+  const id = getCorrelationId();
+  if (id && !info.cycleId) info.cycleId = id;
+  return info;
+});
+
+/**
+ * "12:00:01 info  [polymarket] (3f9a1c0d) Order placed orderId=0x12 status=matched"
+ * Nested objects stay in the JSON file only.
+ */
+const consoleLine = winston.format.printf(({ timestamp, level, message, module, cycleId, stack, ...meta }) => {
+  const fields = Object.entries(meta)
+    .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+    .map(([key, value]) => `${key}=${value}`);
+
+  const prefix = `${timestamp.slice(11, 19)} ${level.padEnd(5)} ${module ? `[${module}] ` : ''}${cycleId ? `(${cycleId}) ` : ''}`;
+  const suffix = fields.length > 0 ? ` ${fields.join(' ')}` : '';
+  return `${prefix}${message}${suffix}${stack ? `\n${stack}` : ''}`;
+});
+
+function buildRoot() {
+  const settings = CONFIG.LOGGING;
+  const level = process.env.BOT_LOG_LEVEL || settings.LEVEL;
+  const filePath = process.env.BOT_LOG_FILE || settings.FILE_PATH;
+  const transports = [];
+
+  if (settings.CONSOLE) {
+    transports.push(new winston.transports.Console({
+      stderrLevels: consoleToStderr ? LEVELS : ['error'],
+      format: winston.format.combine(winston.format.timestamp(), consoleLine)
+    }));
+  }
+
+  if (filePath) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    transports.push(new winston.transports.File({
+      filename: filePath,
+      maxsize: settings.MAX_SIZE_MB * 1024 * 1024,
+      maxFiles: settings.MAX_FILES,
+      tailable: true,
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json())
+    }));
+  }
+
+  return winston.createLogger({
+    level,
+    levels: winston.config.npm.levels,
+    format: winston.format.combine(addCorrelation(), winston.format.errors({ stack: true })),
+    transports,
+    // A logger without transports warns on every line
+    silent: transports.length === 0
+  });
+}
+
+function getRoot() {
+  if (!root) root = buildRoot();
+  return root;
+}
+
+/**
+ * Logger for one module
+ *
+ * @param {string} module - Tag added to every line (e.g. 'polymarket')
+ * @param {Object} defaults - Extra fields added to every line
+ * @returns {Object} { error, warn, info, debug, child(fields) }
+ */
+export function createLogger(module, defaults = {}) {
+  const logger = {
+    child: fields => createLogger(module, { ...defaults, ...fields })
+  };
+
+  for (const level of LEVELS) {
+    logger[level] = (message, meta = {}) => {
+      // log.error('Trade failed', error) keeps the stack in the file
+      const fields = meta instanceof Error ? { error: meta.message, stack: meta.stack } : meta;
+      getRoot().log(level, message, { module, ...defaults, ...fields });
+    };
+  }
+
+  return logger;
+}
+
+export default createLogger;
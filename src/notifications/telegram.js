@@ -1,9 +1,14 @@
 /**
  * Telegram Notification Service
- * Sends alerts for trades, heartbeats, and system events
+ * Sends alerts for trades, heartbeats, and system events, and receives
+ * commands (long-polled getUpdates) from the configured chat only
  */
 
 import axios from 'axios';
+import { createLogger } from '../logger.js';
+import { CONFIG } from '../../config/settings.js';
+
+const log = createLogger('telegram');
 
 export class TelegramNotifier {
   constructor() {
@@ -11,6 +16,10 @@ export class TelegramNotifier {
     this.chatId = process.env.TELEGRAM_CHAT_ID;
     this.enabled = !!(this.botToken && this.chatId);
     this.apiUrl = `https://api.telegram.org/bot${this.botToken}`;
+
+    this.polling = false;
+    this.updateOffset = undefined;
+    this.pollController = null;
   }
 
   /**
@@ -18,7 +27,7 @@ export class TelegramNotifier {
    */
   async send(message, options = {}) {
     if (!this.enabled) {
-      console.log('[Telegram] Notifications disabled (missing token/chatId)');
+      log.debug('Notifications disabled (missing token/chatId)');
       return { success: false, reason: 'disabled' };
     }
 
@@ -32,7 +41,7 @@ export class TelegramNotifier {
 
       return { success: true, messageId: response.data.result.message_id };
     } catch (error) {
-      console.error('[Telegram] Send error:', error.message);
+      log.error('Send failed', { error: error.message });
       return { success: false, error: error.message };
     }
   }
@@ -86,6 +95,25 @@ ${emoji} <b>TRADE RESULT: ${status}</b> ${emoji}
 ${result.isWin && result.consecutiveWins >= 13 ? '🎉🎉🎉 CHALLENGE COMPLETE! 🎉🎉🎉' : ''}
 ${!result.isWin ? '🔄 Resetting to $12...' : ''}
 
+⏰ ${new Date().toISOString()}
+    `.trim();
+
+    return this.send(message);
+  }
+
+  /**
+   * Winnings the bot cannot redeem itself (proxy wallet)
+   */
+  async sendManualRedemptionAlert(pending) {
+    const message = `
+💰 <b>REDEEM MANUALLY</b>
+
+Winning position held by a proxy wallet: redeem it in the Polymarket UI
+before the next trade stakes the balance.
+
+<b>Market:</b> ${pending.marketId || 'N/A'}
+<b>Condition:</b> <code>${pending.conditionId}</code>
+
 ⏰ ${new Date().toISOString()}
     `.trim();
 
@@ -182,6 +210,39 @@ Bot will auto-restart via PM2.
     return this.send(message);
   }
 
+  /**
+   * Ask the operator to approve a trade
+   */
+  async sendConfirmationRequest(request) {
+    const emoji = request.direction === 'UP' ? '🟢' : '🔴';
+    const reasons = request.reasons.slice(0, 6).map(r => `• ${escapeHtml(r)}`).join('\n');
+
+    const message = `
+✋ <b>CONFIRM TRADE ${request.id}</b> ${emoji}
+
+<b>Direction:</b> ${request.direction} (${request.action}) - ${request.asset}
+<b>Stake:</b> $${request.stake.toFixed(2)} (ALL-IN, ${request.consecutiveWins}/13 wins)
+<b>Model:</b> ${request.model || 'N/A'}
+<b>Confluence:</b> ${request.confluenceScore}/${request.maxScore ?? 10}
+<b>Confidence:</b> ${(request.confidence * 100).toFixed(0)}%
+
+<b>Factors:</b> ${request.presentFactors.join(', ') || 'N/A'}
+<b>Missing:</b> ${request.missingFactors.join(', ') || 'None'}
+
+<b>Market:</b> ${escapeHtml(request.market.question)}
+<b>Odds:</b> YES ${request.odds.yes.toFixed(3)} / NO ${request.odds.no.toFixed(3)}
+<b>Ask:</b> ${request.odds.ask.toFixed(3)} (spread ${request.odds.spreadPercent.toFixed(1)}%)
+<b>Potential Payout:</b> $${request.potentialPayout.toFixed(2)}
+
+${reasons}
+
+Reply /confirm ${request.id} or /reject ${request.id}
+No answer by ${request.deadline} = rejected
+    `.trim();
+
+    return this.send(message);
+  }
+
   /**
    * Send analysis alert (no trade)
    */
@@ -202,6 +263,108 @@ ${analysis.reasons?.slice(1, 4).map(r => `• ${r}`).join('\n') || ''}
     return this.send(message);
   }
 
+  /**
+   * Start receiving commands
+   *
+   * @param {Function} handler - (command, args) => reply HTML (or null for no reply)
+   * @returns {boolean} Whether polling started
+   */
+  startPolling(handler) {
+    if (!this.enabled || this.polling) return false;
+
+    this.polling = true;
+    // Commands queued while the bot was down are stale (e.g. an old /pause)
+    this.pollStartedAt = Math.floor(Date.now() / 1000);
+    this.pollLoop(handler);
+
+    log.info('Listening for commands');
+    return true;
+  }
+
+  stopPolling() {
+    this.polling = false;
+    this.pollController?.abort();
+  }
+
+  async pollLoop(handler) {
+    while (this.polling) {
+      try {
+        const updates = await this.getUpdates();
+
+        for (const update of updates) {
+          // Acknowledged on the next getUpdates call
+          this.updateOffset = update.update_id + 1;
+          await this.handleUpdate(update, handler);
+        }
+      } catch (error) {
+        if (!this.polling) break;
+        log.error('Polling failed', { error: error.message });
+        await new Promise(resolve => setTimeout(resolve, CONFIG.TELEGRAM.RETRY_DELAY_MS));
+      }
+    }
+  }
+
+  /**
+   * Long-poll for new messages
+   */
+  async getUpdates() {
+    const { LONG_POLL_SECONDS } = CONFIG.TELEGRAM;
+    this.pollController = new AbortController();
+
+    const response = await axios.get(`${this.apiUrl}/getUpdates`, {
+      params: {
+        offset: this.updateOffset,
+        timeout: LONG_POLL_SECONDS,
+        allowed_updates: JSON.stringify(['message'])
+      },
+      timeout: (LONG_POLL_SECONDS + 10) * 1000,
+      signal: this.pollController.signal
+    });
+
+    return response.data.result || [];
+  }
+
+  /**
+   * Run a command from the configured chat and send the reply
+   */
+  async handleUpdate(update, handler) {
+    const message = update.message;
+    if (!message?.text) return;
+
+    if (String(message.chat?.id) !== String(this.chatId)) {
+      log.warn('Ignoring message from unauthorized chat', { chatId: message.chat?.id });
+      return;
+    }
+
+    if (message.date < this.pollStartedAt) return;
+
+    const parsed = this.parseCommand(message.text);
+    if (!parsed) return;
+
+    log.info(`Command: /${parsed.command}`, { args: parsed.args || null });
+
+    let reply;
+    try {
+      reply = await handler(parsed.command, parsed.args);
+    } catch (error) {
+      reply = `⚠️ <b>/${parsed.command} failed:</b> ${escapeHtml(error.message)}`;
+    }
+
+    if (reply) {
+      await this.send(reply);
+    }
+  }
+
+  /**
+   * "/pause CPI at 8:30" → { command: 'pause', args: 'CPI at 8:30' }
+   */
+  parseCommand(text) {
+    const match = /^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/.exec(text.trim());
+    if (!match) return null;
+
+    return { command: match[1].toLowerCase(), args: (match[2] || '').trim() };
+  }
+
   /**
    * Format uptime
    */
@@ -217,4 +380,14 @@ ${analysis.reasons?.slice(1, 4).map(r => `• ${r}`).join('\n') || ''}
   }
 }
 
+/**
+ * Escape text for parse_mode HTML
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 export default TelegramNotifier;
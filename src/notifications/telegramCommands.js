@@ -0,0 +1,159 @@
+/**
+ * Telegram Commands
+ *
+ * Maps chat commands onto BotCasino13 methods and formats the replies:
+ *
+ *   /status          Challenge, position, pause state, next killzone
+ *   /analyze         Run an analysis now (never trades)
+ *   /pause [reason]  Stop placing trades
+ *   /resume          Allow trading again
+ *   /history [n]     Last n results
+ *   /confirm <id>    Approve a trade awaiting confirmation
+ *   /reject <id>     Reject a trade awaiting confirmation
+ */
+
+import { CONFIG } from '../../config/settings.js';
+import { escapeHtml } from './telegram.js';
+
+const HELP = `
+🤖 <b>COMMANDS</b>
+
+/status - Challenge and position
+/analyze - Run an analysis now
+/pause [reason] - Stop placing trades
+/resume - Allow trading again
+/history [n] - Last results
+/confirm &lt;id&gt; - Approve a pending trade
+/reject &lt;id&gt; - Reject a pending trade
+`.trim();
+
+export class TelegramCommands {
+  constructor(bot) {
+    this.bot = bot;
+  }
+
+  /**
+   * @returns {string} Reply (HTML)
+   */
+  async handle(command, args) {
+    switch (command) {
+      case 'status': return this.status();
+      case 'analyze': return this.analyze();
+      case 'pause': return this.pause(args);
+      case 'resume': return this.resume();
+      case 'history': return this.history(args);
+      case 'confirm': return this.confirm(args, true);
+      case 'reject': return this.confirm(args, false);
+      case 'start':
+      case 'help': return HELP;
+      default: return `Unknown command /${escapeHtml(command)}\n\n${HELP}`;
+    }
+  }
+
+  status() {
+    const status = this.bot.getStatus();
+    const position = status.openPosition;
+    const next = status.nextKillzone;
+
+    const trading = status.paused
+      ? `⏸️ Paused${status.pauseReason ? ` (${escapeHtml(status.pauseReason)})` : ''}`
+      : (status.challengeActive ? '🟢 Active' : '🏁 Challenge complete');
+
+    const lines = [
+      '📋 <b>STATUS</b>',
+      '',
+      `<b>Mode:</b> ${status.mode}${status.dryRun ? ' (dry run)' : ''} - ${status.asset}`,
+      `<b>Trading:</b> ${trading}`,
+      `<b>Capital:</b> $${status.capital.toFixed(2)}`,
+      `<b>Wins:</b> ${status.consecutiveWins}/13`,
+      `<b>Position:</b> ${position
+        ? `${position.direction} ${position.shares.toFixed(2)} shares ($${position.stake.toFixed(2)})`
+        : 'None'}`
+    ];
+
+    if (status.pendingRedemptions.length > 0) {
+      lines.push(`<b>Redeeming:</b> ${status.pendingRedemptions.length} winning position(s)`);
+    }
+    if (status.inFlightTrades.length > 0) {
+      lines.push(`<b>In flight:</b> ${status.inFlightTrades.length} interrupted trade(s)`);
+    }
+    for (const pending of status.pendingConfirmations) {
+      lines.push(`<b>Awaiting /confirm ${pending.id}:</b> ${pending.direction} $${pending.stake.toFixed(2)} until ${pending.deadline.slice(11, 16)} UTC`);
+    }
+    if (status.paperLedger) {
+      lines.push(`<b>Paper P&amp;L:</b> $${status.paperLedger.pnl.toFixed(2)}`);
+    }
+
+    lines.push(`<b>Next Killzone:</b> ${next ? `${next.name} in ${next.hoursUntil}h` : 'N/A'}`);
+    lines.push(`<b>Last Decision:</b> ${status.lastDecision
+      ? `${status.lastDecision.action} (${status.lastDecision.timestamp})`
+      : 'None'}`);
+
+    return lines.join('\n');
+  }
+
+  async analyze() {
+    const analysis = await this.bot.analyze();
+    if (!analysis) {
+      return '⚠️ Analysis failed - see logs';
+    }
+
+    const decision = this.bot.summarizeDecision(analysis.decision);
+    const reasons = decision.reasons.slice(0, 5).map(r => `• ${escapeHtml(r)}`).join('\n');
+
+    return [
+      '📊 <b>ANALYSIS</b>',
+      '',
+      `<b>Asset:</b> ${decision.asset}`,
+      `<b>Action:</b> ${decision.action}${decision.direction ? ` (${decision.direction})` : ''}`,
+      `<b>Confluence:</b> ${decision.confluenceScore}/10`,
+      `<b>Confidence:</b> ${(decision.confidence * 100).toFixed(0)}%`,
+      '',
+      reasons || 'No reasons recorded',
+      '',
+      'Analysis only - no trade placed.'
+    ].join('\n');
+  }
+
+  pause(reason) {
+    const control = this.bot.setPaused(true, reason || 'Paused from Telegram');
+    return `⏸️ <b>Trading paused</b>\n${escapeHtml(control.reason)}\n\nResolution checks and redemptions keep running.`;
+  }
+
+  resume() {
+    this.bot.setPaused(false);
+    return '▶️ <b>Trading resumed</b>';
+  }
+
+  history(args) {
+    const count = parseInt(args, 10) > 0 ? parseInt(args, 10) : CONFIG.TELEGRAM.HISTORY_DEFAULT;
+    const trades = this.bot.state.tradeHistory.slice(-count);
+
+    if (trades.length === 0) {
+      return 'No recorded trades.';
+    }
+
+    const lines = trades.map(t =>
+      `${t.isWin ? '✅' : '❌'} ${t.timestamp.slice(0, 16).replace('T', ' ')} ${t.direction} → $${t.capitalAfter.toFixed(2)} (${t.consecutiveWins} wins)`
+    );
+
+    return `📜 <b>LAST ${trades.length} RESULTS</b>\n\n${lines.join('\n')}`;
+  }
+
+  confirm(id, approved) {
+    if (!id) {
+      return `Usage: /${approved ? 'confirm' : 'reject'} &lt;id&gt;`;
+    }
+
+    const result = this.bot.resolveConfirmation(id, approved, 'telegram');
+    if (!result.ok) {
+      return `⚠️ ${escapeHtml(result.reason)}`;
+    }
+
+    return approved
+      ? `👍 <b>Trade ${escapeHtml(id)} confirmed</b> - placing the order`
+      : `👎 <b>Trade ${escapeHtml(id)} rejected</b>`;
+  }
+}
+
+export default TelegramCommands;
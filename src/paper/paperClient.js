@@ -0,0 +1,303 @@
+/**
+ * Paper Trading Client
+ *
+ * Drop-in PolymarketClient for paper mode: market discovery, order books
+ * and snapshots are real (Gamma/CLOB reads), but orders fill virtually
+ * against the fetched book and settle into a PaperLedger.
+ *
+ * - FOK orders walk the asks up to the limit price, all or nothing
+ * - GTC orders take what crosses, then rest; they fill at their limit once
+ *   the live best ask trades through it
+ * - Markets resolve from the asset's Binance 1m closes at the period start
+ *   and end (the Up/Down resolution source), not from Gamma
+ */
+
+import crypto from 'crypto';
+import { PolymarketClient } from '../polymarket/client.js';
+import { PriceDataFetcher } from '../data/priceData.js';
+import { PaperLedger } from './paperLedger.js';
+import { createLogger } from '../logger.js';
+import { CONFIG } from '../../config/settings.js';
+
+const log = createLogger('paper');
+
+// Binance publishes a 1m candle once the minute has closed
+const CANDLE_SETTLE_MS = 60 * 1000;
+
+export class PaperClient extends PolymarketClient {
+  constructor(options = {}) {
+    super(null, options);
+    this.paper = true;
+    this.ledger = options.ledger || new PaperLedger(options);
+    this.priceData = options.priceData || new PriceDataFetcher();
+  }
+
+  get tradingEnabled() {
+    return true;
+  }
+
+  get canRedeem() {
+    return true;
+  }
+
+  /**
+   * Fill a BUY order against the current order book
+   */
+  async executeOrder(order) {
+    log.info('Paper order', {
+      marketId: order.market.id,
+      direction: order.direction,
+      outcome: order.outcome,
+      amount: order.amount,
+      price: order.price,
+      shares: order.shares,
+      orderType: order.orderType
+    });
+
+    if (!order.tokenId) {
+      return { success: false, executed: false, reason: 'Missing outcome token id', order };
+    }
+
+    // Same rounding as the signed order: price to the tick, size down to 0.01
+    const tick = CONFIG.POLYMARKET.TICK_SIZE;
+    const price = parseFloat((Math.round(order.price / tick) * tick).toFixed(6));
+    const requestedSize = Math.floor(order.shares * 100 + 1e-9) / 100;
+    const orderType = order.orderType || CONFIG.POLYMARKET.ORDER_TYPE;
+
+    if (requestedSize * price > this.ledger.usdc + 1e-9) {
+      return {
+        success: false,
+        executed: false,
+        reason: `Insufficient paper balance ($${this.ledger.usdc.toFixed(2)})`,
+        order
+      };
+    }
+
+    const book = await this.getOrderBook(order.tokenId);
+    const { size, cost } = this.matchAsks(book.asks, price, requestedSize);
+
+    const orderId = `paper-${crypto.randomUUID()}`;
+    this.rememberMarket(order.market);
+
+    let status;
+    if (orderType === 'FOK' && size < requestedSize - 1e-6) {
+      // Fill-or-kill: nothing trades unless the whole size is available
+      status = 'unmatched';
+    } else {
+      if (size > 0) this.ledger.recordFill(orderId, this.marketRef(order.market), order.tokenId, size, cost);
+      status = size >= requestedSize - 1e-6 ? 'matched' : 'live';
+    }
+
+    const filled = status === 'unmatched' ? { size: 0, cost: 0 } : { size, cost };
+
+    this.ledger.data.orders[orderId] = {
+      orderId,
+      tokenId: order.tokenId,
+      marketId: order.market.id,
+      price,
+      originalSize: requestedSize,
+      sizeMatched: filled.size,
+      status: status.toUpperCase(),
+      createdAt: this.now().toISOString()
+    };
+    this.ledger.save();
+
+    log.info('Paper fill', { orderId, size: filled.size, requestedSize, cost: filled.cost, status });
+
+    return this.normalizeOrderResult({
+      success: true,
+      orderID: orderId,
+      status,
+      makingAmount: filled.cost.toString(),
+      takingAmount: filled.size.toString(),
+      errorMsg: status === 'unmatched' ? 'FOK order not fully fillable at limit' : ''
+    }, { takerAmount: Math.round(requestedSize * 1e6) }, order);
+  }
+
+  /**
+   * Walk asks (best first) up to the limit price
+   */
+  matchAsks(asks, limitPrice, size) {
+    let remaining = size;
+    let cost = 0;
+
+    for (const level of asks) {
+      if (remaining <= 1e-9 || level.price > limitPrice + 1e-9) break;
+      const take = Math.min(remaining, level.size);
+      cost += take * level.price;
+      remaining -= take;
+    }
+
+    return { size: size - Math.max(remaining, 0), cost };
+  }
+
+  /**
+   * Order status in the CLOB /data/order shape
+   * A resting order fills at its limit once the best ask reaches it.
+   */
+  async getOrder(orderId) {
+    const order = this.ledger.data.orders[orderId];
+    if (!order) {
+      throw new Error(`Unknown paper order: ${orderId}`);
+    }
+
+    if (order.status === 'LIVE') {
+      const book = await this.getOrderBook(order.tokenId);
+      const bestAsk = book.asks[0]?.price;
+
+      if (bestAsk !== undefined && bestAsk <= order.price + 1e-9) {
+        const size = order.originalSize - order.sizeMatched;
+        const market = this.ledger.data.markets[order.marketId];
+
+        try {
+          this.ledger.recordFill(orderId, market, order.tokenId, size, size * order.price);
+          order.sizeMatched = order.originalSize;
+          order.status = 'MATCHED';
+        } catch (error) {
+          log.error('Paper order cannot fill', { orderId, error: error.message });
+          order.status = 'CANCELED';
+        }
+        this.ledger.save();
+      }
+    }
+
+    return {
+      id: orderId,
+      status: order.status,
+      original_size: order.originalSize.toString(),
+      size_matched: order.sizeMatched.toString(),
+      price: order.price.toString()
+    };
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.ledger.data.orders[orderId];
+    if (!order || order.status !== 'LIVE') {
+      return { cancelled: false, reason: order ? `Order is ${order.status.toLowerCase()}` : 'Unknown order' };
+    }
+
+    order.status = 'CANCELED';
+    this.ledger.save();
+    return { cancelled: true, reason: null };
+  }
+
+  async getUsdcBalance() {
+    return this.ledger.usdc;
+  }
+
+  async getPositions() {
+    return Object.values(this.ledger.data.positions).map(p => ({
+      tokenId: p.tokenId,
+      conditionId: p.conditionId,
+      size: p.size,
+      avgPrice: p.size > 0 ? p.cost / p.size : 0,
+      redeemable: !!this.ledger.data.markets[p.marketId]?.resolution
+    }));
+  }
+
+  /**
+   * Resolve from the asset's close at the end of the period vs its start
+   * (Up wins ties, as in the Up/Down market rules)
+   */
+  async getMarketResolution(marketId) {
+    const market = this.ledger.data.markets[marketId];
+
+    // Not traded on paper: fall back to Gamma
+    if (!market?.resolvesAt) {
+      return super.getMarketResolution(marketId);
+    }
+
+    if (market.resolution) {
+      return market.resolution;
+    }
+
+    const unresolved = { marketId, closed: false, resolved: false, umaStatus: null, winningTokenId: null, winningOutcome: null };
+    const endMs = new Date(market.resolvesAt).getTime();
+    if (this.now().getTime() < endMs + CANDLE_SETTLE_MS) {
+      return unresolved;
+    }
+
+    const symbol = CONFIG.DATA.SYMBOLS[market.asset];
+    const [startClose, endClose] = await Promise.all([
+      this.fetchClose(symbol, new Date(market.periodStart).getTime()),
+      this.fetchClose(symbol, endMs)
+    ]);
+
+    if (startClose === null || endClose === null) {
+      return unresolved;
+    }
+
+    const up = endClose >= startClose;
+    market.resolution = {
+      marketId,
+      closed: true,
+      resolved: true,
+      umaStatus: 'paper',
+      winningTokenId: up ? market.yesTokenId : market.noTokenId,
+      winningOutcome: up ? 'Up' : 'Down',
+      startClose,
+      endClose
+    };
+    this.ledger.save();
+
+    log.info(`Paper resolution: ${market.resolution.winningOutcome}`, { marketId, asset: market.asset, startClose, endClose });
+    return market.resolution;
+  }
+
+  /**
+   * Close of the 1m candle opening at `timestamp`
+   */
+  async fetchClose(symbol, timestamp) {
+    const [candle] = await this.priceData.exchange.fetchOHLCV(symbol, '1m', timestamp, 1);
+    return candle && candle[0] === timestamp ? candle[4] : null;
+  }
+
+  /**
+   * Pay $1 per winning share of a resolved market
+   */
+  async redeemPositions(conditionId) {
+    const market = Object.values(this.ledger.data.markets).find(m => m.conditionId === conditionId);
+    if (!market?.resolution) {
+      throw new Error(`Paper market ${conditionId} is not resolved yet`);
+    }
+
+    const balanceBefore = this.ledger.usdc;
+    const redeemed = this.ledger.redeem(conditionId, market.resolution.winningTokenId);
+    this.ledger.save();
+
+    return {
+      success: true,
+      conditionId,
+      txHash: null,
+      blockNumber: null,
+      gasUsed: '0',
+      balanceBefore,
+      balanceAfter: this.ledger.usdc,
+      redeemed
+    };
+  }
+
+  /**
+   * Keep what resolution needs about a traded market
+   */
+  rememberMarket(market) {
+    if (this.ledger.data.markets[market.id]) return;
+
+    this.ledger.data.markets[market.id] = {
+      ...this.marketRef(market),
+      asset: market.asset || CONFIG.STRATEGY.ASSET,
+      question: market.question,
+      periodStart: market.periodStart,
+      resolvesAt: market.resolvesAt,
+      yesTokenId: market.outcomes.yes.tokenId,
+      noTokenId: market.outcomes.no.tokenId,
+      resolution: null
+    };
+  }
+
+  marketRef(market) {
+    return { marketId: market.id, conditionId: market.conditionId };
+  }
+}
+
+export default PaperClient;
@@ -0,0 +1,120 @@
+/**
+ * Paper Trading Ledger
+ *
+ * Virtual USDC balance, outcome-token positions, orders and the markets
+ * they belong to, persisted (atomically) next to the bot state so a paper
+ * run survives restarts like a live one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from '../../config/settings.js';
+import { writeJsonAtomic } from '../state/stateStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data/state');
+
+export class PaperLedger {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.BOT_DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, options.fileName || 'paper-ledger.json');
+
+    const startingBalance = options.startingBalance ?? CONFIG.CHALLENGE.STARTING_CAPITAL;
+    this.data = {
+      startingBalance,
+      toppedUp: 0,    // Virtual USDC added by challenge restarts (not P&L)
+      usdc: startingBalance,
+      positions: {},  // tokenId -> { tokenId, marketId, conditionId, size, cost }
+      orders: {},     // orderId -> { tokenId, marketId, price, originalSize, sizeMatched, status }
+      markets: {},    // marketId -> { asset, conditionId, periodStart, resolvesAt, tokens, resolution }
+      fills: []
+    };
+
+    if (fs.existsSync(this.filePath)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+    }
+  }
+
+  save() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+    writeJsonAtomic(this.filePath, this.data);
+  }
+
+  get usdc() {
+    return this.data.usdc;
+  }
+
+  /**
+   * Buy `size` shares of a token for `cost` USDC
+   */
+  recordFill(orderId, market, tokenId, size, cost) {
+    if (cost > this.data.usdc + 1e-9) {
+      throw new Error(`Paper balance $${this.data.usdc.toFixed(2)} cannot cover $${cost.toFixed(2)}`);
+    }
+
+    const position = this.data.positions[tokenId] || {
+      tokenId,
+      marketId: market.marketId,
+      conditionId: market.conditionId,
+      size: 0,
+      cost: 0
+    };
+
+    position.size += size;
+    position.cost += cost;
+    this.data.positions[tokenId] = position;
+    this.data.usdc -= cost;
+    this.data.fills.push({ orderId, tokenId, size, cost, at: new Date().toISOString() });
+  }
+
+  /**
+   * Settle every position of a resolved condition: $1 per winning share,
+   * losing shares are removed at zero value
+   * @returns {number} USDC credited
+   */
+  redeem(conditionId, winningTokenId) {
+    let redeemed = 0;
+
+    for (const [tokenId, position] of Object.entries(this.data.positions)) {
+      if (position.conditionId !== conditionId) continue;
+      if (tokenId === winningTokenId) redeemed += position.size;
+      delete this.data.positions[tokenId];
+    }
+
+    this.data.usdc += redeemed;
+    return redeemed;
+  }
+
+  /**
+   * Add virtual USDC (the challenge restart after a loss). Tracked apart
+   * from trading so the P&L keeps showing the losses it refunds.
+   */
+  topUp(amount) {
+    this.data.usdc += amount;
+    this.data.toppedUp += amount;
+  }
+
+  /**
+   * Paper P&L: balance plus open positions at cost, minus the starting
+   * balance and the top-ups
+   */
+  getSummary() {
+    const openCost = Object.values(this.data.positions).reduce((sum, p) => sum + p.cost, 0);
+
+    return {
+      usdc: this.data.usdc,
+      openPositions: Object.keys(this.data.positions).length,
+      openCost,
+      startingBalance: this.data.startingBalance,
+      toppedUp: this.data.toppedUp,
+      pnl: this.data.usdc + openCost - this.data.startingBalance - this.data.toppedUp,
+      fills: this.data.fills.length
+    };
+  }
+}
+
+export default PaperLedger;
@@ -2,7 +2,7 @@
  * Polymarket Client
  *
  * Interacts with Polymarket's CLOB (Central Limit Order Book) API
- * for trading Bitcoin Up/Down daily markets
+ * for trading crypto Up/Down markets (daily, hourly, 4-hour series)
  *
  * API Documentation: https://docs.polymarket.com
  */
@@ -10,16 +10,61 @@
 import axios from 'axios';
 import { ethers } from 'ethers';
 import { CONFIG } from '../../config/settings.js';
+import { OrderSigner } from './orderSigner.js';
+import { getSeries, getAssetNames, getCandidateSlugs, getMarketPeriod, matchesSeries } from './marketSeries.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('polymarket');
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+const CTF_ABI = [
+  'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)',
+  'event PayoutRedemption(address indexed redeemer, address indexed collateralToken, bytes32 indexed parentCollectionId, bytes32 conditionId, uint256[] indexSets, uint256 payout)'
+];
+
+// Binary market: outcome slots 0b01 and 0b10
+const BINARY_INDEX_SETS = [1, 2];
 
 export class PolymarketClient {
-  constructor(privateKey) {
-    this.baseUrl = CONFIG.POLYMARKET.API_URL;
-    this.gammaUrl = CONFIG.POLYMARKET.GAMMA_URL;
+  constructor(privateKey, options = {}) {
+    this.baseUrl = options.apiUrl || CONFIG.POLYMARKET.API_URL;
+    this.gammaUrl = options.gammaUrl || CONFIG.POLYMARKET.GAMMA_URL;
+    this.dataApiUrl = options.dataApiUrl || CONFIG.POLYMARKET.DATA_API_URL;
     this.privateKey = privateKey;
+    // Rule deciding whether a Gamma event/market belongs to an asset's series
+    this.marketMatcher = options.marketMatcher || matchesSeries;
+    // Clock for market date resolution and expiry math (injectable)
+    this.now = options.now || (() => new Date());
 
     if (privateKey) {
       this.wallet = new ethers.Wallet(privateKey);
       this.address = this.wallet.address;
+      this.signer = new OrderSigner(this.wallet, {
+        funderAddress: options.funderAddress || process.env.POLY_FUNDER_ADDRESS
+      });
+      // Funder holds USDC and positions (differs from signer for proxy wallets)
+      this.funderAddress = this.signer.funder;
+    }
+
+    // Polygon provider for on-chain reads (static network: no detection calls)
+    this.provider = options.provider || new ethers.JsonRpcProvider(
+      options.rpcUrl || process.env.POLYGON_RPC_URL || CONFIG.POLYMARKET.RPC_URL,
+      CONFIG.POLYMARKET.CHAIN_ID,
+      { staticNetwork: true }
+    );
+
+    // API credentials: from env if provided, otherwise derived on first order
+    this.apiCreds = null;
+    if (process.env.POLY_API_KEY && process.env.POLY_API_SECRET && process.env.POLY_PASSPHRASE) {
+      this.apiCreds = {
+        key: process.env.POLY_API_KEY,
+        secret: process.env.POLY_API_SECRET,
+        passphrase: process.env.POLY_PASSPHRASE
+      };
     }
 
     this.httpClient = axios.create({
@@ -31,36 +76,44 @@ export class PolymarketClient {
   }
 
   /**
-   * Search for Bitcoin Up/Down markets
-   * Uses the events endpoint with tag filtering for daily BTC markets
+   * Orders, balances and redemptions are real (a wallet is configured)
    */
-  async findBTCMarkets() {
+  get tradingEnabled() {
+    return !!this.signer;
+  }
+
+  /**
+   * Winnings can be redeemed from here (the signer holds the positions;
+   * a proxy wallet's positions are redeemed through the Polymarket UI)
+   */
+  get canRedeem() {
+    return !!this.wallet && this.funderAddress === this.wallet.address;
+  }
+
+  /**
+   * Search for an asset's Up/Down markets of one series
+   * Uses the events endpoint with the asset tag, then the series matching rule
+   */
+  async findAssetMarkets(asset = CONFIG.STRATEGY.ASSET, seriesName = CONFIG.POLYMARKET.MARKET_SERIES.DEFAULT) {
+    const { NAME } = getAssetNames(asset);
+
     try {
-      // Method 1: Search for BTC daily series events (most reliable)
+      // Method 1: Search the asset's series events (most reliable)
       const eventsResponse = await this.httpClient.get(`${this.gammaUrl}/events`, {
         params: {
           active: true,
           closed: false,
-          tag_slug: 'bitcoin',  // Use tag_slug instead of tag
+          tag_slug: NAME,
           limit: 50
         }
       });
 
-      const events = eventsResponse.data || [];
-
-      // Filter for "Up or Down" daily events
-      const btcDailyEvents = events.filter(event => {
-        const title = event.title?.toLowerCase() || '';
-        const slug = event.slug?.toLowerCase() || '';
-        return (
-          (title.includes('bitcoin') || title.includes('btc')) &&
-          (title.includes('up or down') || slug.includes('up-or-down'))
-        );
-      });
+      const events = (eventsResponse.data || [])
+        .filter(event => this.marketMatcher(event, asset, seriesName));
 
       // Extract markets from events
       const markets = [];
-      for (const event of btcDailyEvents) {
+      for (const event of events) {
         if (event.markets && event.markets.length > 0) {
           for (const market of event.markets) {
             markets.push(this.parseMarket(market));
@@ -78,46 +131,30 @@ export class PolymarketClient {
           }
         });
 
-        const allMarkets = marketsResponse.data || [];
-        const btcMarkets = allMarkets.filter(market => {
-          const question = market.question?.toLowerCase() || '';
-          return (
-            (question.includes('bitcoin') || question.includes('btc')) &&
-            (question.includes('up or down') || question.includes('above') || question.includes('below'))
-          );
-        });
-
-        return btcMarkets.map(market => this.parseMarket(market));
+        return (marketsResponse.data || [])
+          .filter(market => this.marketMatcher(market, asset, seriesName))
+          .map(market => this.parseMarket(market));
       }
 
       return markets;
 
     } catch (error) {
-      console.error('Error fetching markets:', error.message);
+      log.error('Market fetch failed', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Search for Bitcoin Up/Down daily markets
+   */
+  async findBTCMarkets() {
+    return this.findAssetMarkets('BTC', 'DAILY');
+  }
+
   /**
    * Parse market data into standardized format
    */
   parseMarket(rawMarket) {
-    // Parse outcomes and prices (may be JSON strings or arrays)
-    let outcomes = rawMarket.outcomes || ['Yes', 'No'];
-    let prices = rawMarket.outcomePrices || [0.5, 0.5];
-    let tokenIds = rawMarket.clobTokenIds || [];
-
-    // Parse JSON strings if needed
-    if (typeof outcomes === 'string') {
-      try { outcomes = JSON.parse(outcomes); } catch (e) { outcomes = ['Yes', 'No']; }
-    }
-    if (typeof prices === 'string') {
-      try { prices = JSON.parse(prices); } catch (e) { prices = [0.5, 0.5]; }
-    }
-    if (typeof tokenIds === 'string') {
-      try { tokenIds = JSON.parse(tokenIds); } catch (e) { tokenIds = []; }
-    }
-
     return {
       id: rawMarket.id,
       conditionId: rawMarket.conditionId,
@@ -125,20 +162,10 @@ export class PolymarketClient {
       description: rawMarket.description,
       endDate: rawMarket.endDate,
       endDateISO: new Date(rawMarket.endDate).toISOString(),
+      negRisk: rawMarket.negRisk === true,
 
       // Outcomes (map Up/Down to yes/no for consistency)
-      outcomes: {
-        yes: {
-          token: outcomes[0],
-          price: parseFloat(prices[0]),
-          tokenId: tokenIds[0]
-        },
-        no: {
-          token: outcomes[1],
-          price: parseFloat(prices[1]),
-          tokenId: tokenIds[1]
-        }
-      },
+      outcomes: this.parseOutcomes(rawMarket),
 
       // Liquidity info
       volume: parseFloat(rawMarket.volume) || 0,
@@ -152,11 +179,44 @@ export class PolymarketClient {
     };
   }
 
+  /**
+   * Parse outcomes, prices and token ids (may be JSON strings or arrays)
+   */
+  parseOutcomes(rawMarket) {
+    let outcomes = rawMarket.outcomes || ['Yes', 'No'];
+    let prices = rawMarket.outcomePrices || [0.5, 0.5];
+    let tokenIds = rawMarket.clobTokenIds || [];
+
+    // Parse JSON strings if needed
+    if (typeof outcomes === 'string') {
+      try { outcomes = JSON.parse(outcomes); } catch (e) { outcomes = ['Yes', 'No']; }
+    }
+    if (typeof prices === 'string') {
+      try { prices = JSON.parse(prices); } catch (e) { prices = [0.5, 0.5]; }
+    }
+    if (typeof tokenIds === 'string') {
+      try { tokenIds = JSON.parse(tokenIds); } catch (e) { tokenIds = []; }
+    }
+
+    return {
+      yes: {
+        token: outcomes[0],
+        price: parseFloat(prices[0]),
+        tokenId: tokenIds[0]
+      },
+      no: {
+        token: outcomes[1],
+        price: parseFloat(prices[1]),
+        tokenId: tokenIds[1]
+      }
+    };
+  }
+
   /**
    * Calculate hours until market expiry
    */
   calculateHoursUntilExpiry(endDate) {
-    const now = new Date();
+    const now = this.now();
     const end = new Date(endDate);
     return (end - now) / (1000 * 60 * 60);
   }
@@ -176,26 +236,21 @@ export class PolymarketClient {
   }
 
   /**
-   * Find the best BTC market for today
+   * Find the tradeable Up/Down market for an asset at a decision time
+   *
+   * The target period comes from the ET resolution schedule (not the host's
+   * local date), and each found market's own endDate must resolve at that
+   * period's instant.
+   *
+   * @param {string} asset - BTC, ETH, SOL (CONFIG.POLYMARKET.MARKET_SERIES.ASSETS)
+   * @param {Date} date - Decision time (defaults to the client clock)
+   * @param {string} seriesName - DAILY, HOURLY or FOUR_HOUR
    */
-  async findTodaysBTCMarket() {
-    // Method 1: Try direct slug search for today and tomorrow's daily markets
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const formatDate = (d) => {
-      const months = ['january', 'february', 'march', 'april', 'may', 'june',
-                      'july', 'august', 'september', 'october', 'november', 'december'];
-      return `${months[d.getMonth()]}-${d.getDate()}`;
-    };
+  async findDailyMarket(asset = CONFIG.STRATEGY.ASSET, date = this.now(), seriesName = CONFIG.POLYMARKET.MARKET_SERIES.DEFAULT) {
+    const series = getSeries(seriesName);
 
-    const slugsToTry = [
-      `bitcoin-up-or-down-on-${formatDate(tomorrow)}`,
-      `bitcoin-up-or-down-on-${formatDate(today)}`,
-    ];
-
-    for (const slug of slugsToTry) {
+    // Method 1: Try direct slug search for the periods resolving after the decision time
+    for (const { slug, period } of getCandidateSlugs(asset, date, seriesName)) {
       try {
         const response = await this.httpClient.get(`${this.gammaUrl}/events`, {
           params: { slug }
@@ -203,16 +258,22 @@ export class PolymarketClient {
 
         const events = response.data || [];
         if (events.length > 0 && events[0].markets?.length > 0) {
-          const market = this.parseMarket(events[0].markets[0]);
+          const market = this.withMarketPeriod(this.parseMarket(events[0].markets[0]), series);
+
+          if (market.resolvesAt !== period.end.toISOString()) {
+            log.warn('Market period mismatch - skipping', { slug, resolvesAt: market.resolvesAt, expected: period.end.toISOString() });
+            continue;
+          }
+
           // Override isTradeable based on actual market data
           market.isTradeable = events[0].markets[0].acceptingOrders !== false &&
                                !events[0].closed &&
                                events[0].active;
 
-          if (market.isTradeable && market.hoursUntilExpiry > 0) {
+          if (market.isTradeable && period.end > date) {
             return {
               found: true,
-              market,
+              market: { ...market, asset, series: seriesName },
               allMarkets: [market],
               source: 'slug-search'
             };
@@ -223,38 +284,77 @@ export class PolymarketClient {
       }
     }
 
-    // Method 2: Fall back to tag-based search
-    const markets = await this.findBTCMarkets();
+    // Method 2: Fall back to tag-based search with the series matching rule
+    const markets = (await this.findAssetMarkets(asset, seriesName))
+      .map(m => this.withMarketPeriod(m, series));
+
+    const minResolution = date.getTime() + (series.MIN_HOURS_TO_RESOLUTION || 0) * 3600000;
+    const maxResolution = date.getTime() + series.MAX_HOURS_TO_EXPIRY * 3600000;
 
-    // Find daily "Up or Down" market for today/tomorrow
-    const dailyMarkets = markets.filter(m => {
-      const question = m.question.toLowerCase();
-      // Include markets with positive hours until expiry
-      return question.includes('up or down') &&
-             (m.isTradeable || m.hoursUntilExpiry > 0) &&
-             m.hoursUntilExpiry < 48; // Within next 48 hours
+    const seriesMarkets = markets.filter(m => {
+      const resolvesAt = new Date(m.resolvesAt).getTime();
+      return resolvesAt >= minResolution && resolvesAt < maxResolution;
     });
 
-    if (dailyMarkets.length === 0) {
+    if (seriesMarkets.length === 0) {
       return {
         found: false,
-        reason: 'No tradeable BTC daily markets found'
+        reason: `No tradeable ${asset} ${seriesName.toLowerCase()} markets found`
       };
     }
 
-    // Sort by hours until expiry (prefer closer to optimal window: 4-20 hours)
-    dailyMarkets.sort((a, b) => {
-      const aOptimal = Math.abs(a.hoursUntilExpiry - 12);
-      const bOptimal = Math.abs(b.hoursUntilExpiry - 12);
-      return aOptimal - bOptimal;
-    });
-
-    const bestMarket = dailyMarkets[0];
+    // Earliest period that still leaves enough time before resolution
+    seriesMarkets.sort((a, b) => new Date(a.resolvesAt) - new Date(b.resolvesAt));
 
     return {
       found: true,
-      market: bestMarket,
-      allMarkets: dailyMarkets
+      market: { ...seriesMarkets[0], asset, series: seriesName },
+      allMarkets: seriesMarkets,
+      source: 'tag-search'
+    };
+  }
+
+  /**
+   * Attach the ET market date and resolution instant derived from endDate
+   */
+  withMarketPeriod(market, series) {
+    const period = getMarketPeriod(series, market.endDate);
+
+    return {
+      ...market,
+      marketDate: period.marketDate,
+      periodStart: period.start.toISOString(),
+      resolvesAt: period.end.toISOString()
+    };
+  }
+
+  /**
+   * Find the best BTC market for today
+   */
+  async findTodaysBTCMarket() {
+    return this.findDailyMarket('BTC', this.now(), 'DAILY');
+  }
+
+  /**
+   * Get resolution state of a market from Gamma
+   *
+   * A resolved market is closed and its winning outcome is priced at 1.
+   */
+  async getMarketResolution(marketId) {
+    const response = await this.httpClient.get(`${this.gammaUrl}/markets/${marketId}`);
+    const raw = response.data;
+    const outcomes = this.parseOutcomes(raw);
+    const winner = [outcomes.yes, outcomes.no].find(o => o.price >= 0.99);
+    const closed = raw.closed === true;
+
+    return {
+      marketId,
+      closed,
+      resolved: closed && !!winner,
+      umaStatus: raw.umaResolutionStatus || null,
+      winningTokenId: closed && winner ? winner.tokenId : null,
+      winningOutcome: closed && winner ? winner.token : null,
+      outcomes
     };
   }
 
@@ -267,18 +367,66 @@ export class PolymarketClient {
         params: { token_id: tokenId }
       });
 
+      // CLOB returns string levels with best prices last; normalize to
+      // numbers with best price first (bids descending, asks ascending)
+      const parseLevels = (levels) => (levels || []).map(l => ({
+        price: parseFloat(l.price),
+        size: parseFloat(l.size)
+      })).filter(l => l.size > 0);
+
+      const bids = parseLevels(response.data.bids).sort((a, b) => b.price - a.price);
+      const asks = parseLevels(response.data.asks).sort((a, b) => a.price - b.price);
+
       return {
-        bids: response.data.bids || [],
-        asks: response.data.asks || [],
-        spread: this.calculateSpread(response.data)
+        tokenId,
+        bids,
+        asks,
+        spread: this.calculateSpread({ bids, asks })
       };
 
     } catch (error) {
-      console.error('Error fetching order book:', error.message);
+      log.error('Order book fetch failed', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Pre-trade snapshot of both outcomes: Gamma prices, spread and book depth
+   *
+   * effectivePrice is what buying the `direction` outcome costs right now
+   * (best ask), the reference for the drift guard at submission.
+   */
+  async getMarketSnapshot(market, direction) {
+    const [yesBook, noBook] = await Promise.all([
+      this.getOrderBook(market.outcomes.yes.tokenId),
+      this.getOrderBook(market.outcomes.no.tokenId)
+    ]);
+
+    const summarize = (book) => ({
+      bestBid: book.bids[0]?.price ?? null,
+      bestAsk: book.asks[0]?.price ?? null,
+      spread: book.spread,
+      bidDepthUsd: book.bids.reduce((sum, l) => sum + l.price * l.size, 0),
+      askDepthUsd: book.asks.reduce((sum, l) => sum + l.price * l.size, 0)
+    });
+
+    const books = { yes: summarize(yesBook), no: summarize(noBook) };
+    const side = direction === 'UP' ? 'yes' : 'no';
+
+    return {
+      marketId: market.id,
+      conditionId: market.conditionId,
+      direction,
+      takenAt: this.now().toISOString(),
+      prices: {
+        yes: market.outcomes.yes.price,
+        no: market.outcomes.no.price
+      },
+      books,
+      effectivePrice: books[side].bestAsk ?? market.outcomes[side].price
+    };
+  }
+
   /**
    * Calculate bid-ask spread
    */
@@ -332,15 +480,21 @@ export class PolymarketClient {
 
   /**
    * Prepare order for execution
+   *
+   * Without a book plan the Gamma outcome price is used. With a plan from
+   * ExecutionPlanner, the order is signed at the worst level needed
+   * (limitPrice) and payout is estimated from the VWAP.
    */
-  prepareOrder(market, direction, amount) {
+  prepareOrder(market, direction, amount, plan = null) {
     // direction: 'UP' = buy YES, 'DOWN' = buy NO
 
     const outcome = direction === 'UP' ? market.outcomes.yes : market.outcomes.no;
-    const price = outcome.price;
+    const price = plan ? plan.limitPrice : outcome.price;
+    const expectedPrice = plan ? plan.avgPrice : outcome.price;
 
-    // Calculate shares to buy
+    // Shares signed at the limit; expected shares at the average fill price
     const shares = amount / price;
+    const expectedShares = amount / expectedPrice;
 
     return {
       market,
@@ -348,65 +502,370 @@ export class PolymarketClient {
       outcome: direction === 'UP' ? 'YES' : 'NO',
       tokenId: outcome.tokenId,
       price,
+      expectedPrice,
       amount,
       shares,
-      potentialPayout: shares, // Each share pays $1 if correct
-      potentialProfit: shares - amount,
-      breakEvenPrice: amount / shares
+      potentialPayout: expectedShares, // Each share pays $1 if correct
+      potentialProfit: expectedShares - amount,
+      breakEvenPrice: expectedPrice
     };
   }
 
   /**
-   * Execute market order (placeholder - needs Polymarket SDK integration)
+   * Get (or derive) L2 API credentials for the wallet
+   * Tries to derive existing credentials first, creates new ones only when
+   * the CLOB reports that none exist (other errors are rethrown: a retry
+   * must not mint another key)
+   */
+  async getApiCredentials() {
+    if (this.apiCreds) return this.apiCreds;
+
+    if (!this.signer) {
+      throw new Error('Wallet not configured - set PRIVATE_KEY to trade');
+    }
+
+    let data;
+    try {
+      const headers = await this.signer.createL1Headers();
+      const response = await this.httpClient.get(`${this.baseUrl}/auth/derive-api-key`, { headers });
+      data = response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      if (status !== 404 && status !== 400) {
+        throw error;
+      }
+
+      const headers = await this.signer.createL1Headers();
+      const response = await this.httpClient.post(`${this.baseUrl}/auth/api-key`, null, { headers });
+      data = response.data;
+    }
+
+    if (!data?.apiKey || !data?.secret || !data?.passphrase) {
+      throw new Error('Invalid API credentials response from CLOB');
+    }
+
+    this.apiCreds = {
+      key: data.apiKey,
+      secret: data.secret,
+      passphrase: data.passphrase
+    };
+
+    return this.apiCreds;
+  }
+
+  /**
+   * Send authenticated (L2) request to the CLOB
+   */
+  async authenticatedRequest(method, requestPath, body) {
+    const creds = await this.getApiCredentials();
+    const payload = body !== undefined ? JSON.stringify(body) : undefined;
+    const headers = this.signer.createL2Headers(creds, method, requestPath, payload);
+
+    const response = await this.httpClient.request({
+      method,
+      url: `${this.baseUrl}${requestPath}`,
+      data: payload,
+      headers
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Execute order on the CLOB
    *
-   * NOTE: Actual execution requires:
-   * 1. Polymarket SDK / py-clob-client
-   * 2. Wallet signature
-   * 3. USDC approval
+   * Builds an EIP-712 signed BUY order for the outcome token, submits it
+   * to /order and returns a normalized fill result.
    */
   async executeOrder(order) {
-    console.log('═══════════════════════════════════════════════════');
-    console.log('ORDER EXECUTION REQUEST');
-    console.log('═══════════════════════════════════════════════════');
-    console.log(`Market: ${order.market.question}`);
-    console.log(`Direction: ${order.direction} (${order.outcome})`);
-    console.log(`Amount: $${order.amount.toFixed(2)}`);
-    console.log(`Price: ${order.price.toFixed(4)}`);
-    console.log(`Shares: ${order.shares.toFixed(4)}`);
-    console.log(`Potential Payout: $${order.potentialPayout.toFixed(2)}`);
-    console.log('═══════════════════════════════════════════════════');
-
-    // TODO: Integrate with Polymarket SDK for actual execution
-    // This requires:
-    // 1. npm install @polymarket/clob-client
-    // 2. Setting up proper authentication
-    // 3. USDC approval transaction
+    log.info('Order execution request', {
+      marketId: order.market.id,
+      direction: order.direction,
+      outcome: order.outcome,
+      amount: order.amount,
+      price: order.price,
+      shares: order.shares,
+      potentialPayout: order.potentialPayout,
+      orderType: order.orderType
+    });
 
+    if (!this.signer) {
+      return {
+        success: false,
+        executed: false,
+        reason: 'SIMULATION MODE - No wallet configured (PRIVATE_KEY)',
+        order
+      };
+    }
+
+    if (!order.tokenId) {
+      return { success: false, executed: false, reason: 'Missing outcome token id', order };
+    }
+
+    const creds = await this.getApiCredentials();
+
+    const unsigned = this.signer.buildOrder({
+      tokenId: order.tokenId,
+      side: 'BUY',
+      price: order.price,
+      size: order.shares
+    });
+    const signed = await this.signer.signOrder(unsigned, order.market.negRisk);
+    const payload = this.signer.toOrderPayload(signed, creds.key, order.orderType);
+
+    try {
+      const data = await this.authenticatedRequest('POST', '/order', payload);
+      const result = this.normalizeOrderResult(data, signed, order);
+      log.info('Order submitted', { orderId: result.orderId, status: result.status, fillStatus: result.fillStatus, reason: result.reason });
+      return result;
+    } catch (error) {
+      // API rejections (bad balance, invalid price...) come back as 4xx bodies
+      if (error.response) {
+        const reason = error.response.data?.error || error.response.data?.errorMsg || error.message;
+        log.error('Order rejected', { reason });
+        return { success: false, executed: false, reason, order };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get order status from the CLOB
+   * Returns { id, status, original_size, size_matched, price, ... }
+   */
+  async getOrder(orderId) {
+    return this.authenticatedRequest('GET', `/data/order/${orderId}`);
+  }
+
+  /**
+   * Cancel a resting order
+   */
+  async cancelOrder(orderId) {
+    const data = await this.authenticatedRequest('DELETE', '/order', { orderID: orderId });
     return {
-      success: false,
-      reason: 'SIMULATION MODE - Actual execution not implemented',
-      order
+      cancelled: (data.canceled || []).includes(orderId),
+      reason: data.not_canceled?.[orderId] || null
     };
   }
 
   /**
-   * Get account balance (placeholder)
+   * Normalize CLOB /order response
+   *
+   * For a BUY, makingAmount is the USDC spent and takingAmount the shares
+   * received. Status: matched | live | delayed | unmatched.
    */
-  async getBalance() {
-    // TODO: Implement actual balance check
+  normalizeOrderResult(data, signedOrder, order) {
+    const requestedSize = Number(signedOrder.takerAmount) / 1e6;
+    const filledAmount = parseFloat(data.makingAmount) || 0;
+    const filledSize = parseFloat(data.takingAmount) || 0;
+    const accepted = data.success !== false && !data.errorMsg;
+
+    let fillStatus;
+    if (filledSize > 0 && filledSize >= requestedSize - 1e-6) {
+      fillStatus = 'FILLED';
+    } else if (filledSize > 0) {
+      fillStatus = 'PARTIAL';
+    } else if (accepted && (data.status === 'live' || data.status === 'delayed')) {
+      fillStatus = 'OPEN';
+    } else {
+      fillStatus = 'UNFILLED';
+    }
+
     return {
-      usdc: 0,
-      positions: []
+      success: accepted,
+      executed: filledSize > 0,
+      orderId: data.orderID || null,
+      status: data.status || null,
+      fillStatus,
+      requestedSize,
+      filledSize,
+      filledAmount,
+      avgPrice: filledSize > 0 ? filledAmount / filledSize : null,
+      transactionHashes: data.transactionsHashes || [],
+      reason: data.errorMsg || null,
+      order
     };
   }
 
   /**
-   * Get open positions
+   * Get account balance
+   * Reads USDC held by the funder wallet on Polygon, plus open positions
+   */
+  async getBalance() {
+    const [usdc, positions] = await Promise.all([
+      this.getUsdcBalance(),
+      this.getPositions()
+    ]);
+
+    return { usdc, positions };
+  }
+
+  /**
+   * Read USDC balance of the funder wallet
+   */
+  async getUsdcBalance() {
+    if (!this.funderAddress) {
+      throw new Error('Wallet not configured - set PRIVATE_KEY to read balance');
+    }
+
+    const usdcContract = new ethers.Contract(CONFIG.POLYMARKET.USDC_ADDRESS, ERC20_ABI, this.provider);
+    const rawBalance = await usdcContract.balanceOf(this.funderAddress);
+
+    return parseFloat(ethers.formatUnits(rawBalance, 6));
+  }
+
+  /**
+   * Get open positions for the funder wallet
    */
   async getPositions() {
-    // TODO: Implement actual position fetching
-    return [];
+    if (!this.funderAddress) {
+      return [];
+    }
+
+    try {
+      const response = await this.httpClient.get(`${this.dataApiUrl}/positions`, {
+        params: { user: this.funderAddress, sizeThreshold: 0 }
+      });
+
+      return (response.data || [])
+        .filter(p => parseFloat(p.size) > 0)
+        .map(p => ({
+          tokenId: p.asset,
+          conditionId: p.conditionId,
+          title: p.title,
+          outcome: p.outcome,
+          size: parseFloat(p.size),
+          avgPrice: parseFloat(p.avgPrice) || 0,
+          currentPrice: parseFloat(p.curPrice) || 0,
+          currentValue: parseFloat(p.currentValue) || 0,
+          redeemable: p.redeemable === true,
+          endDate: p.endDate
+        }));
+
+    } catch (error) {
+      log.error('Position fetch failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * ConditionalTokens contract, signing with the EOA wallet
+   */
+  getCtfContract() {
+    return new ethers.Contract(CONFIG.POLYMARKET.CTF_ADDRESS, CTF_ABI, this.wallet.connect(this.provider));
   }
+
+  /**
+   * Redeem winning shares of a resolved market for USDC
+   *
+   * Calls ConditionalTokens.redeemPositions from the EOA wallet, waits for
+   * confirmation and returns the USDC paid out. Once a transaction is
+   * broadcast it is never sent again: retries wait for its receipt, and if
+   * it is still pending after the last attempt the error carries its
+   * txHash, to pass back in as options.txHash on the next call.
+   *
+   * @param {string} conditionId
+   * @param {Object} options
+   * @param {string} options.txHash - Redemption already broadcast by an earlier call
+   */
+  async redeemPositions(conditionId, options = {}) {
+    if (!this.wallet) {
+      throw new Error('Wallet not configured - set PRIVATE_KEY to redeem');
+    }
+
+    if (this.funderAddress !== this.wallet.address) {
+      throw new Error('Redemption from proxy wallets is not supported - redeem via the Polymarket UI');
+    }
+
+    const { RETRY_ATTEMPTS, RETRY_DELAY_MS, GAS_MULTIPLIER, REDEEM_CONFIRMATIONS, REDEEM_TIMEOUT_MS } = CONFIG.EXECUTION;
+    const ctf = this.getCtfContract();
+    const args = [CONFIG.POLYMARKET.USDC_ADDRESS, ethers.ZeroHash, conditionId, BINARY_INDEX_SETS];
+
+    let txHash = options.txHash || null;
+    let lastError;
+
+    for (let attempt = 1; attempt <= RETRY_ATTEMPTS; attempt++) {
+      try {
+        let receipt;
+
+        if (txHash) {
+          // Already broadcast: it may still be pending or mined, wait for it
+          log.info('Waiting for submitted redemption', { conditionId, txHash });
+          receipt = await this.provider.waitForTransaction(txHash, REDEEM_CONFIRMATIONS, REDEEM_TIMEOUT_MS);
+        } else {
+          const gasEstimate = await ctf.redeemPositions.estimateGas(...args);
+          const gasLimit = gasEstimate * BigInt(Math.round(GAS_MULTIPLIER * 100)) / 100n;
+
+          const tx = await ctf.redeemPositions(...args, { gasLimit });
+          txHash = tx.hash;
+          log.info('Redemption submitted', { conditionId, txHash });
+
+          receipt = await tx.wait(REDEEM_CONFIRMATIONS, REDEEM_TIMEOUT_MS)
+            .catch(error => {
+              if (error.code === 'CALL_EXCEPTION' && error.receipt) return error.receipt;
+              throw error;
+            });
+        }
+
+        if (!receipt) {
+          throw new Error(`Redemption transaction not found: ${txHash}`);
+        }
+
+        if (receipt.status !== 1) {
+          // Mined and reverted: nothing was redeemed, so sending again is safe
+          const reverted = txHash;
+          txHash = null;
+          throw new Error(`Redemption transaction reverted: ${reverted}`);
+        }
+
+        const balanceAfter = await this.getUsdcBalance();
+        const redeemed = getRedemptionPayout(ctf.interface, receipt);
+
+        return {
+          success: true,
+          conditionId,
+          txHash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          balanceBefore: balanceAfter - redeemed,
+          balanceAfter,
+          redeemed
+        };
+
+      } catch (error) {
+        lastError = error;
+        log.error('Redemption attempt failed', { conditionId, attempt, attempts: RETRY_ATTEMPTS, txHash, error: error.message });
+
+        if (attempt < RETRY_ATTEMPTS) {
+          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+        }
+      }
+    }
+
+    if (txHash) {
+      lastError.txHash = txHash;
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * USDC paid out by a redemption, from its PayoutRedemption event
+ * (the wallet balance also moves with anything else that lands meanwhile)
+ */
+function getRedemptionPayout(ctfInterface, receipt) {
+  let payout = 0n;
+
+  for (const entry of receipt.logs) {
+    if (entry.address.toLowerCase() !== CONFIG.POLYMARKET.CTF_ADDRESS.toLowerCase()) continue;
+
+    const parsed = ctfInterface.parseLog(entry);
+    if (parsed?.name === 'PayoutRedemption') {
+      payout += parsed.args.payout;
+    }
+  }
+
+  return parseFloat(ethers.formatUnits(payout, 6));
 }
 
 export default PolymarketClient;
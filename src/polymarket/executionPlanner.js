@@ -0,0 +1,120 @@
+/**
+ * Execution Planner
+ *
+ * Walks the ask side of an outcome token's order book to price a BUY of a
+ * given USDC amount:
+ * - Volume-weighted average fill price (VWAP)
+ * - Worst level touched (limit price for the signed order)
+ * - Slippage of the VWAP versus the best ask
+ *
+ * At the top of the challenge (2^13 × $12) the all-in size is far larger
+ * than the best level, so the displayed price is not the fill price.
+ */
+
+import { CONFIG } from '../../config/settings.js';
+
+export class ExecutionPlanner {
+  constructor(options = {}) {
+    this.slippageTolerance = options.slippageTolerance ?? CONFIG.EXECUTION.SLIPPAGE_TOLERANCE;
+  }
+
+  /**
+   * Walk asks (best first) to spend `amount` USDC
+   */
+  walkAsks(asks, amount) {
+    let remaining = amount;
+    let spent = 0;
+    let shares = 0;
+    let limitPrice = null;
+    let levelsUsed = 0;
+
+    for (const level of asks) {
+      if (remaining <= 1e-9) break;
+
+      const levelCost = level.price * level.size;
+      const take = Math.min(remaining, levelCost);
+
+      spent += take;
+      shares += take / level.price;
+      remaining -= take;
+      limitPrice = level.price;
+      levelsUsed++;
+    }
+
+    const bestPrice = asks[0]?.price ?? null;
+    const avgPrice = shares > 0 ? spent / shares : null;
+
+    return {
+      amount,
+      fillableAmount: spent,
+      fullyFillable: remaining <= 1e-9,
+      shares,
+      avgPrice,
+      bestPrice,
+      limitPrice,
+      levelsUsed,
+      slippage: avgPrice && bestPrice ? (avgPrice - bestPrice) / bestPrice : null
+    };
+  }
+
+  /**
+   * Largest USDC amount whose VWAP stays within the slippage tolerance
+   */
+  maxAmountWithinTolerance(asks) {
+    if (asks.length === 0) return 0;
+
+    const cap = asks[0].price * (1 + this.slippageTolerance);
+    let spent = 0;
+    let shares = 0;
+
+    for (const level of asks) {
+      const levelCost = level.price * level.size;
+      const avgWithLevel = (spent + levelCost) / (shares + level.size);
+
+      if (avgWithLevel <= cap) {
+        spent += levelCost;
+        shares += level.size;
+        continue;
+      }
+
+      // Partial level: solve (spent + x) / (shares + x / price) = cap
+      if (level.price > cap) {
+        const x = (cap * shares - spent) / (1 - cap / level.price);
+        spent += Math.max(0, Math.min(x, levelCost));
+      }
+      break;
+    }
+
+    return spent;
+  }
+
+  /**
+   * Plan a BUY of `amount` USDC against the book
+   */
+  plan(book, amount) {
+    const walk = this.walkAsks(book.asks || [], amount);
+
+    if (walk.bestPrice === null) {
+      return { ...walk, acceptable: false, reason: 'Empty order book', maxAmount: 0 };
+    }
+
+    const withinTolerance = walk.slippage <= this.slippageTolerance;
+    const acceptable = walk.fullyFillable && withinTolerance;
+
+    let reason = null;
+    if (!walk.fullyFillable) {
+      reason = `Insufficient depth: $${walk.fillableAmount.toFixed(2)} of $${amount.toFixed(2)} available`;
+    } else if (!withinTolerance) {
+      reason = `Slippage ${(walk.slippage * 100).toFixed(2)}% exceeds ${(this.slippageTolerance * 100).toFixed(2)}%`;
+    }
+
+    return {
+      ...walk,
+      acceptable,
+      reason,
+      maxAmount: acceptable ? amount : this.maxAmountWithinTolerance(book.asks)
+    };
+  }
+}
+
+export default ExecutionPlanner;
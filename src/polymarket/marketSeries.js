@@ -0,0 +1,227 @@
+/**
+ * Up/Down Market Series
+ *
+ * Slug templates, matching rules and period/resolution dates for
+ * Polymarket's per-asset Up/Down series (daily, hourly, 4-hour), configured
+ * in CONFIG.POLYMARKET.MARKET_SERIES. Each series defines:
+ * - SLUG: event slug template, filled per asset and period
+ * - SLUG_PATTERN: rule that recognizes the series in search results
+ * - ANCHOR / PERIOD_HOURS: period boundaries on the ET wall clock
+ *   (boundaries are UTC hours, labelled with their ET wall time)
+ *
+ * Markets resolve at fixed ET times, so all dates are derived in
+ * America/New_York (DST-aware), never from the host's local time. Every
+ * function takes the decision time explicitly so callers can inject a clock.
+ */
+
+import { CONFIG } from '../../config/settings.js';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+                'july', 'august', 'september', 'october', 'november', 'december'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Get a series definition by name (DAILY, HOURLY, FOUR_HOUR, ...)
+ */
+export function getSeries(seriesName = CONFIG.POLYMARKET.MARKET_SERIES.DEFAULT) {
+  const series = CONFIG.POLYMARKET.MARKET_SERIES[seriesName];
+  if (!series?.SLUG) {
+    throw new Error(`Unknown market series: ${seriesName}`);
+  }
+  return series;
+}
+
+/**
+ * Get slug names for an asset ({ NAME: 'bitcoin', TICKER: 'btc' })
+ */
+export function getAssetNames(asset) {
+  const names = CONFIG.POLYMARKET.MARKET_SERIES.ASSETS[asset];
+  if (!names) {
+    throw new Error(`No market series configured for asset: ${asset}`);
+  }
+  return names;
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {Object} { year, month (1-12), day, hour (0-23), minute, second }
+ */
+export function getZonedParts(date, timeZone = CONFIG.POLYMARKET.MARKET_SERIES.TIMEZONE) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Wall-clock time of an instant in a time zone, as a UTC epoch (ms)
+ */
+function getWallMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+}
+
+/**
+ * Whether an instant on the series' anchor minute ends a period
+ *
+ * Its ET wall time is on the ANCHOR + n * PERIOD_HOURS grid, or the wall
+ * clock jumped over a grid time in the hour before it (spring-forward).
+ * Both instants of the repeated fall-back hour are on the grid.
+ */
+function isBoundary(series, instant, timeZone) {
+  const [anchorHour, anchorMinute] = series.ANCHOR.split(':').map(Number);
+  const periodMs = series.PERIOD_HOURS * HOUR_MS;
+  const wall = getWallMs(instant, timeZone);
+  const previousWall = getWallMs(new Date(instant.getTime() - HOUR_MS), timeZone);
+
+  const sinceGrid = ((wall - (anchorHour * 60 + anchorMinute) * 60000) % periodMs + periodMs) % periodMs;
+  return sinceGrid === 0 || sinceGrid < wall - previousWall - HOUR_MS;
+}
+
+/**
+ * Offset of the series' anchor minute within the UTC hour (ET offsets are
+ * whole hours, so every boundary is on it)
+ */
+function getAnchorOffsetMs(series) {
+  return Number(series.ANCHOR.split(':')[1]) * 60000;
+}
+
+/**
+ * First period boundary (resolution instant) strictly after `date`
+ *
+ * Steps through UTC hours and checks each one's ET wall time, so DST days
+ * get their short, long and repeated-hour periods.
+ */
+export function getNextBoundary(series, date, timeZone = CONFIG.POLYMARKET.MARKET_SERIES.TIMEZONE) {
+  const offsetMs = getAnchorOffsetMs(series);
+  let t = Math.floor((date.getTime() - offsetMs) / HOUR_MS) * HOUR_MS + offsetMs + HOUR_MS;
+
+  while (!isBoundary(series, new Date(t), timeZone)) t += HOUR_MS;
+  return new Date(t);
+}
+
+/**
+ * Last period boundary strictly before `date`
+ */
+export function getPreviousBoundary(series, date, timeZone = CONFIG.POLYMARKET.MARKET_SERIES.TIMEZONE) {
+  const offsetMs = getAnchorOffsetMs(series);
+  let t = Math.ceil((date.getTime() - offsetMs) / HOUR_MS) * HOUR_MS + offsetMs - HOUR_MS;
+
+  while (!isBoundary(series, new Date(t), timeZone)) t -= HOUR_MS;
+  return new Date(t);
+}
+
+/**
+ * Period ending at a resolution instant
+ * @returns {Object} { start, end, startParts, endParts } (parts on the ET wall clock)
+ */
+export function getPeriodEndingAt(series, end, timeZone = CONFIG.POLYMARKET.MARKET_SERIES.TIMEZONE) {
+  const start = getPreviousBoundary(series, end, timeZone);
+  return { start, end, startParts: getZonedParts(start, timeZone), endParts: getZonedParts(end, timeZone) };
+}
+
+/**
+ * Derive a market's period from its own end date
+ *
+ * Gamma's endDate can sit slightly off the boundary, so the period is the
+ * one whose resolution instant is nearest to it.
+ */
+export function getMarketPeriod(series, endDate, timeZone = CONFIG.POLYMARKET.MARKET_SERIES.TIMEZONE) {
+  const endMs = new Date(endDate).getTime();
+  const after = getNextBoundary(series, new Date(endMs - HOUR_MS * series.PERIOD_HOURS / 2), timeZone);
+  const period = getPeriodEndingAt(series, after, timeZone);
+
+  return {
+    ...period,
+    marketDate: formatDateKey(series.SLUG_DATE === 'END' ? period.endParts : period.startParts),
+    endDateOffsetMs: endMs - after.getTime()
+  };
+}
+
+/**
+ * Candidate periods for a decision time: the first period resolving at
+ * least MIN_HOURS_TO_RESOLUTION later, then the one after it
+ */
+export function getCandidatePeriods(series, now, timeZone = CONFIG.POLYMARKET.MARKET_SERIES.TIMEZONE) {
+  const minLeadMs = (series.MIN_HOURS_TO_RESOLUTION || 0) * HOUR_MS;
+
+  let end = getNextBoundary(series, now, timeZone);
+  while (end.getTime() - now.getTime() < minLeadMs) {
+    end = getNextBoundary(series, end, timeZone);
+  }
+
+  return [
+    getPeriodEndingAt(series, end, timeZone),
+    getPeriodEndingAt(series, getNextBoundary(series, end, timeZone), timeZone)
+  ];
+}
+
+/**
+ * Fill a series slug template for an asset and period
+ */
+export function buildSlug(series, asset, period) {
+  const { NAME, TICKER } = getAssetNames(asset);
+  const parts = series.SLUG_DATE === 'END' ? period.endParts : period.startParts;
+  const hour = parts.hour;
+
+  const tokens = {
+    name: NAME,
+    ticker: TICKER,
+    month: MONTHS[parts.month - 1],
+    day: parts.day,
+    hour: `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`,
+    timestamp: Math.floor(period.start.getTime() / 1000)
+  };
+
+  return series.SLUG.replace(/\{(\w+)\}/g, (match, key) => tokens[key] ?? match);
+}
+
+/**
+ * Slugs (with their periods) to try for a decision time, in order
+ */
+export function getCandidateSlugs(asset, now = new Date(), seriesName) {
+  const series = getSeries(seriesName);
+  return getCandidatePeriods(series, now).map(period => ({
+    slug: buildSlug(series, asset, period),
+    period
+  }));
+}
+
+/**
+ * Default matching rule: the event/market slug belongs to the asset's series
+ *
+ * @param {Object} item - Gamma event or market (uses `slug`)
+ */
+export function matchesSeries(item, asset, seriesName) {
+  const series = getSeries(seriesName);
+  const { NAME, TICKER } = getAssetNames(asset);
+  const slug = item.slug?.toLowerCase() || '';
+
+  return (slug.startsWith(`${NAME}-`) || slug.startsWith(`${TICKER}-`)) &&
+         series.SLUG_PATTERN.test(slug);
+}
+
+function formatDateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
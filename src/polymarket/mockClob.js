@@ -0,0 +1,307 @@
+/**
+ * Mock CLOB Server
+ *
+ * Local HTTP stand-in for the Polymarket CLOB. Verifies the same signatures
+ * the real API does (L1 ClobAuth, L2 HMAC, EIP-712 order) so the signing and
+ * submission path can be exercised without a network.
+ *
+ * Usage:
+ *   const clob = new MockClobServer({ fillRatio: 1 });
+ *   const apiUrl = await clob.start();
+ *   const client = new PolymarketClient(privateKey, { apiUrl, gammaUrl: apiUrl, dataApiUrl: apiUrl });
+ *   await client.executeOrder(order);
+ *   clob.orders    // submitted orders
+ *   clob.requests  // every request with its headers and body
+ *   await clob.stop();
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { CONFIG } from '../../config/settings.js';
+import {
+  CLOB_AUTH_MESSAGE,
+  CLOB_AUTH_TYPES,
+  ORDER_TYPES,
+  SIDES,
+  buildHmacSignature
+} from './orderSigner.js';
+
+export class MockClobServer {
+  constructor(options = {}) {
+    this.fillRatio = options.fillRatio ?? 1;       // Share of the order matched on submission
+    this.status = options.status || null;          // Force response status
+    this.deriveStatus = options.deriveStatus || null;  // Force an HTTP error on derive-api-key
+    this.book = options.book || { bids: [], asks: [] };
+    this.negRisk = options.negRisk || false;
+    this.positions = options.positions || [];      // Served as the data API /positions
+    this.markets = options.markets || {};          // Served as Gamma /markets/:id
+
+    this.credentials = new Map();  // apiKey -> { address, secret, passphrase }
+    this.orders = new Map();       // orderID -> stored order
+    this.requests = [];
+    this.server = null;
+  }
+
+  /**
+   * Start listening on a random local port
+   */
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.reply(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop the server
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Route incoming requests
+   */
+  async handleRequest(req, res) {
+    const body = await this.readBody(req);
+    const url = new URL(req.url, 'http://localhost');
+    this.requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+    if (req.method === 'GET' && url.pathname === '/auth/derive-api-key') {
+      return this.handleAuth(req, res, false);
+    }
+    if (req.method === 'POST' && url.pathname === '/auth/api-key') {
+      return this.handleAuth(req, res, true);
+    }
+    if (req.method === 'POST' && url.pathname === '/order') {
+      return this.handleOrder(req, res, url.pathname, body);
+    }
+    if (req.method === 'GET' && url.pathname.startsWith('/data/order/')) {
+      return this.handleGetOrder(req, res, url.pathname);
+    }
+    if (req.method === 'DELETE' && url.pathname === '/order') {
+      return this.handleCancel(req, res, url.pathname, body);
+    }
+    if (req.method === 'GET' && url.pathname.startsWith('/markets/')) {
+      const market = this.markets[url.pathname.split('/').pop()];
+      return market ? this.reply(res, 200, market) : this.reply(res, 404, { error: 'Market not found' });
+    }
+    if (req.method === 'GET' && url.pathname === '/positions') {
+      return this.reply(res, 200, this.positions);
+    }
+    if (req.method === 'GET' && url.pathname === '/book') {
+      return this.reply(res, 200, { asset_id: url.searchParams.get('token_id'), ...this.book });
+    }
+
+    return this.reply(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * L1: verify ClobAuth signature, return deterministic credentials
+   */
+  handleAuth(req, res, create) {
+    if (!create && this.deriveStatus) {
+      return this.reply(res, this.deriveStatus, { error: 'Forced derive-api-key failure' });
+    }
+
+    const address = req.headers.poly_address;
+    const timestamp = req.headers.poly_timestamp;
+    const nonce = req.headers.poly_nonce || '0';
+
+    const recovered = ethers.verifyTypedData(
+      { name: 'ClobAuthDomain', version: '1', chainId: CONFIG.POLYMARKET.CHAIN_ID },
+      CLOB_AUTH_TYPES,
+      { address, timestamp, nonce, message: CLOB_AUTH_MESSAGE },
+      req.headers.poly_signature
+    );
+
+    if (recovered.toLowerCase() !== address?.toLowerCase()) {
+      return this.reply(res, 401, { error: 'Invalid L1 signature' });
+    }
+
+    let existing = [...this.credentials.entries()].find(([, c]) => c.address === recovered);
+    if (!existing && !create) {
+      return this.reply(res, 400, { error: 'Could not derive api key' });
+    }
+
+    if (!existing) {
+      const creds = {
+        address: recovered,
+        secret: crypto.randomBytes(32).toString('base64'),
+        passphrase: crypto.randomBytes(16).toString('hex')
+      };
+      existing = [crypto.randomUUID(), creds];
+      this.credentials.set(existing[0], creds);
+    }
+
+    const [apiKey, creds] = existing;
+    return this.reply(res, 200, { apiKey, secret: creds.secret, passphrase: creds.passphrase });
+  }
+
+  /**
+   * Verify L2 HMAC headers against issued credentials
+   */
+  verifyL2(req, path, body) {
+    const creds = this.credentials.get(req.headers.poly_api_key);
+    if (!creds || creds.passphrase !== req.headers.poly_passphrase) {
+      return null;
+    }
+
+    const expected = buildHmacSignature(
+      creds.secret,
+      req.headers.poly_timestamp,
+      req.method,
+      path,
+      body || undefined
+    );
+
+    return expected === req.headers.poly_signature ? creds : null;
+  }
+
+  /**
+   * POST /order: verify HMAC + EIP-712 order, simulate matching
+   */
+  handleOrder(req, res, path, body) {
+    const creds = this.verifyL2(req, path, body);
+    if (!creds) {
+      return this.reply(res, 401, { error: 'Unauthorized/Invalid api key' });
+    }
+
+    const { order, owner, orderType } = JSON.parse(body);
+    const { signature, ...fields } = order;
+    const signed = { ...fields, side: SIDES[fields.side] };
+
+    const domain = {
+      name: 'Polymarket CTF Exchange',
+      version: '1',
+      chainId: CONFIG.POLYMARKET.CHAIN_ID,
+      verifyingContract: this.negRisk
+        ? CONFIG.POLYMARKET.NEG_RISK_EXCHANGE_ADDRESS
+        : CONFIG.POLYMARKET.EXCHANGE_ADDRESS
+    };
+    const recovered = ethers.verifyTypedData(domain, ORDER_TYPES, signed, signature);
+
+    if (recovered.toLowerCase() !== order.signer.toLowerCase()) {
+      return this.reply(res, 400, { success: false, errorMsg: 'invalid signature' });
+    }
+
+    const makerAmount = Number(order.makerAmount) / 1e6;
+    const takerAmount = Number(order.takerAmount) / 1e6;
+    const fillRatio = orderType === 'FOK' && this.fillRatio < 1 ? 0 : this.fillRatio;
+
+    const resting = orderType === 'GTC' || orderType === 'GTD';
+
+    let status = this.status;
+    if (!status) {
+      if (fillRatio >= 1) status = 'matched';
+      else if (resting) status = 'live';
+      else status = fillRatio > 0 ? 'matched' : 'unmatched';
+    }
+
+    const orderID = `0x${crypto.randomBytes(32).toString('hex')}`;
+    const result = {
+      success: status !== 'unmatched',
+      errorMsg: status === 'unmatched' ? 'order couldn\'t be fully filled, FOK orders are fully filled/killed' : '',
+      orderID,
+      status,
+      makingAmount: (makerAmount * fillRatio).toFixed(6),
+      takingAmount: (takerAmount * fillRatio).toFixed(6),
+      transactionsHashes: fillRatio > 0 ? [`0x${crypto.randomBytes(32).toString('hex')}`] : []
+    };
+
+    this.orders.set(orderID, {
+      order,
+      owner,
+      orderType,
+      result,
+      price: order.side === 'BUY' ? makerAmount / takerAmount : takerAmount / makerAmount,
+      originalSize: order.side === 'BUY' ? takerAmount : makerAmount,
+      sizeMatched: (order.side === 'BUY' ? takerAmount : makerAmount) * fillRatio,
+      state: status === 'live' ? 'LIVE' : (fillRatio > 0 ? 'MATCHED' : 'CANCELED')
+    });
+
+    return this.reply(res, 200, result);
+  }
+
+  /**
+   * GET /data/order/:id
+   */
+  handleGetOrder(req, res, path) {
+    if (!this.verifyL2(req, path, '')) {
+      return this.reply(res, 401, { error: 'Unauthorized/Invalid api key' });
+    }
+
+    const stored = this.orders.get(path.split('/').pop());
+    if (!stored) {
+      return this.reply(res, 404, { error: 'Order not found' });
+    }
+
+    return this.reply(res, 200, {
+      id: stored.result.orderID,
+      status: stored.state,
+      side: stored.order.side,
+      asset_id: stored.order.tokenId,
+      original_size: stored.originalSize.toFixed(6),
+      size_matched: stored.sizeMatched.toFixed(6),
+      price: stored.price.toString(),
+      order_type: stored.orderType
+    });
+  }
+
+  /**
+   * DELETE /order
+   */
+  handleCancel(req, res, path, body) {
+    if (!this.verifyL2(req, path, body)) {
+      return this.reply(res, 401, { error: 'Unauthorized/Invalid api key' });
+    }
+
+    const { orderID } = JSON.parse(body);
+    const stored = this.orders.get(orderID);
+
+    if (!stored || stored.state !== 'LIVE') {
+      return this.reply(res, 200, { canceled: [], not_canceled: { [orderID]: 'order can\'t be found - already canceled or matched' } });
+    }
+
+    stored.state = 'CANCELED';
+    return this.reply(res, 200, { canceled: [orderID], not_canceled: {} });
+  }
+
+  /**
+   * Simulate a counterparty matching a resting order
+   */
+  fillOrder(orderId, size) {
+    const stored = this.orders.get(orderId);
+    if (!stored || stored.state !== 'LIVE') return false;
+
+    stored.sizeMatched = Math.min(stored.originalSize, stored.sizeMatched + size);
+    if (stored.sizeMatched >= stored.originalSize - 1e-9) {
+      stored.state = 'MATCHED';
+    }
+    return true;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', chunk => data += chunk);
+      req.on('end', () => resolve(data));
+      req.on('error', reject);
+    });
+  }
+
+  reply(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+export default MockClobServer;
@@ -0,0 +1,319 @@
+/**
+ * Order Executor
+ *
+ * Book-aware execution of the all-in BUY:
+ * 1. Fetch the outcome token's order book
+ * 2. Plan the fill (VWAP, limit price, slippage) with ExecutionPlanner
+ * 3. Within tolerance → one order at the planned limit
+ *    Beyond tolerance → reject, or split into child orders that each stay
+ *    within tolerance, re-reading the book between children
+ * 4. Track every child to a final state and aggregate the fills
+ *
+ * Given a pre-trade snapshot (PolymarketClient.getMarketSnapshot), every
+ * submission first re-checks the fresh best ask against it and aborts if the
+ * price drifted beyond MAX_PRICE_DRIFT or left the odds window.
+ *
+ * MAKER entry mode first rests a GTC limit at or inside the best bid,
+ * repricing on an interval (odds re-checked every time), and only crosses
+ * the spread for the unfilled remainder shortly before the deadline.
+ */
+
+import { CONFIG } from '../../config/settings.js';
+import { ExecutionPlanner } from './executionPlanner.js';
+import { OrderTracker } from './orderTracker.js';
+import { createLogger } from '../logger.js';
+import { systemClock } from '../clock.js';
+
+const log = createLogger('executor');
+
+export class OrderExecutor {
+  constructor(client, tracker, options = {}) {
+    this.client = client;
+    this.tracker = tracker;
+    this.planner = options.planner || new ExecutionPlanner();
+    this.slippageAction = options.slippageAction || CONFIG.EXECUTION.SLIPPAGE_ACTION;
+    this.maxChildOrders = options.maxChildOrders ?? CONFIG.EXECUTION.MAX_CHILD_ORDERS;
+    this.childDelayMs = options.childDelayMs ?? CONFIG.EXECUTION.CHILD_ORDER_DELAY_MS;
+    this.minOrderUsd = options.minOrderUsd ?? CONFIG.EXECUTION.MIN_ORDER_USD;
+    this.entryMode = options.entryMode || CONFIG.EXECUTION.ENTRY_MODE;
+    this.repriceIntervalMs = options.repriceIntervalMs ?? CONFIG.EXECUTION.MAKER.REPRICE_INTERVAL_MS;
+    this.crossBeforeDeadlineMs = options.crossBeforeDeadlineMs ?? CONFIG.EXECUTION.MAKER.CROSS_BEFORE_DEADLINE_MS;
+    this.maxMakerDurationMs = options.maxMakerDurationMs ?? CONFIG.EXECUTION.MAKER.MAX_DURATION_MS;
+    this.tickSize = options.tickSize ?? CONFIG.POLYMARKET.TICK_SIZE;
+    this.maxPriceDrift = options.maxPriceDrift ?? CONFIG.EXECUTION.MAX_PRICE_DRIFT;
+    // Drift check times and the maker deadline (killzone end) share the bot's clock
+    this.clock = options.clock || systemClock;
+  }
+
+  /**
+   * Buy `amount` USDC of the outcome for `direction`
+   *
+   * @param {Object} options - { entryMode, deadline (Date) for maker entries, snapshot,
+   *                             onSubmitted(result) called after every accepted order }
+   */
+  async execute(market, direction, amount, options = {}) {
+    const entryMode = options.entryMode || this.entryMode;
+    const context = {
+      deadline: options.deadline || null,
+      snapshot: options.snapshot || null,
+      onSubmitted: options.onSubmitted || null
+    };
+
+    const result = entryMode === 'MAKER'
+      ? await this.executeMaker(market, direction, amount, context)
+      : await this.executeTaker(market, direction, amount, context);
+
+    return { ...result, snapshot: context.snapshot };
+  }
+
+  /**
+   * Cross the spread, walking the book within the slippage tolerance
+   */
+  async executeTaker(market, direction, amount, context = {}) {
+    const tokenId = direction === 'UP' ? market.outcomes.yes.tokenId : market.outcomes.no.tokenId;
+    const children = [];
+    let remaining = amount;
+    let reason = null;
+    let drift = null;
+
+    while (children.length < this.maxChildOrders && remaining >= this.minOrderUsd) {
+      const book = await this.client.getOrderBook(tokenId);
+
+      drift = this.checkDrift(context.snapshot, book, direction) || drift;
+      if (drift && !drift.ok) {
+        reason = drift.reason;
+        log.warn('Aborting: price drifted from snapshot', { reason });
+        break;
+      }
+
+      let plan = this.planner.plan(book, remaining);
+
+      if (!plan.acceptable) {
+        log.warn('Execution plan not acceptable', { reason: plan.reason });
+
+        if (this.slippageAction !== 'SPLIT' || plan.maxAmount < this.minOrderUsd) {
+          reason = plan.reason;
+          break;
+        }
+
+        plan = this.planner.plan(book, plan.maxAmount);
+        log.info('Splitting into child order', { amount: plan.amount, remaining });
+      }
+
+      log.info('Taker order planned', {
+        vwap: plan.avgPrice,
+        bestPrice: plan.bestPrice,
+        limitPrice: plan.limitPrice,
+        levelsUsed: plan.levelsUsed
+      });
+
+      const order = this.client.prepareOrder(market, direction, plan.amount, plan);
+      const result = await this.client.executeOrder(order);
+      await this.notifySubmitted(context, result);
+      const fill = await this.tracker.track(result);
+
+      children.push({ plan, order, result, fill, drift, entryMode: 'TAKER' });
+      remaining -= fill.filledNotional;
+
+      if (fill.filledSize === 0) {
+        reason = result.reason || `Order ${fill.finalStatus.toLowerCase()}`;
+        break;
+      }
+
+      if (children.length < this.maxChildOrders && remaining >= this.minOrderUsd) {
+        await new Promise(resolve => setTimeout(resolve, this.childDelayMs));
+      }
+    }
+
+    return this.aggregate(amount, children, reason, drift);
+  }
+
+  /**
+   * Rest a limit at/inside the best bid until filled or the deadline nears
+   */
+  async executeMaker(market, direction, amount, context = {}) {
+    const tokenId = direction === 'UP' ? market.outcomes.yes.tokenId : market.outcomes.no.tokenId;
+    const maxDeadline = this.clock.now().getTime() + this.maxMakerDurationMs;
+    const deadlineMs = context.deadline ? Math.min(new Date(context.deadline).getTime(), maxDeadline) : maxDeadline;
+    const crossAt = deadlineMs - this.crossBeforeDeadlineMs;
+
+    const children = [];
+    let remaining = amount;
+    let reason = null;
+    let drift = null;
+
+    while (remaining >= this.minOrderUsd && this.clock.now().getTime() < crossAt) {
+      const book = await this.client.getOrderBook(tokenId);
+
+      drift = this.checkDrift(context.snapshot, book, direction) || drift;
+      if (drift && !drift.ok) {
+        log.warn('Aborting: price drifted from snapshot', { reason: drift.reason });
+        return this.aggregate(amount, children, drift.reason, drift);
+      }
+
+      const price = this.makerPrice(book);
+
+      if (price === null) {
+        log.info('Maker entry: empty order book - crossing the spread');
+        break;
+      }
+
+      const oddsCheck = this.checkOdds(price, direction);
+      if (!oddsCheck.acceptable) {
+        reason = `Odds not acceptable at reprice: ${oddsCheck.reason}`;
+        log.warn(reason, { price });
+        return this.aggregate(amount, children, reason, drift);
+      }
+
+      log.info('Maker entry: resting limit order', {
+        amount: remaining,
+        price,
+        bestBid: book.bids[0]?.price,
+        bestAsk: book.asks[0]?.price
+      });
+
+      const order = this.client.prepareOrder(market, direction, remaining, { limitPrice: price, avgPrice: price });
+      order.orderType = 'GTC';
+
+      const result = await this.client.executeOrder(order);
+      if (!result.success) {
+        log.warn('Maker order rejected - crossing the spread', { reason: result.reason });
+        break;
+      }
+      await this.notifySubmitted(context, result);
+
+      // Rest until the next reprice (or the cross deadline), then cancel the remainder
+      const restMs = Math.max(0, Math.min(this.repriceIntervalMs, crossAt - this.clock.now().getTime()));
+      const tracker = new OrderTracker(this.client, {
+        pollIntervalMs: Math.min(this.tracker.pollIntervalMs, restMs),
+        timeoutMs: restMs
+      });
+      const fill = await tracker.track(result);
+
+      children.push({ plan: null, order, result, fill, drift, entryMode: 'MAKER' });
+      remaining -= fill.filledNotional;
+    }
+
+    if (remaining < this.minOrderUsd) {
+      return this.aggregate(amount, children, reason, drift);
+    }
+
+    // Deadline reached: cross the spread for the remainder if odds still hold
+    const book = await this.client.getOrderBook(tokenId);
+    const bestAsk = book.asks[0]?.price;
+
+    if (bestAsk !== undefined) {
+      const oddsCheck = this.checkOdds(bestAsk, direction);
+      if (!oddsCheck.acceptable) {
+        reason = `Odds not acceptable at cross: ${oddsCheck.reason}`;
+        log.warn(reason, { bestAsk });
+        return this.aggregate(amount, children, reason, drift);
+      }
+    }
+
+    log.info('Maker entry: crossing the spread', { remaining });
+    const taker = await this.executeTaker(market, direction, remaining, context);
+
+    return this.aggregate(amount, [...children, ...taker.children], taker.reason, taker.drift || drift);
+  }
+
+  /**
+   * Maker quote: one tick inside the best bid, never at or through the best ask
+   */
+  makerPrice(book) {
+    const bestBid = book.bids[0]?.price;
+    const bestAsk = book.asks[0]?.price;
+    const decimals = Math.max(0, Math.round(-Math.log10(this.tickSize)));
+    const round = (price) => Number(price.toFixed(decimals));
+
+    if (bestBid === undefined && bestAsk === undefined) return null;
+    if (bestBid === undefined) return round(bestAsk - this.tickSize);
+
+    const improved = round(bestBid + this.tickSize);
+    if (bestAsk === undefined || improved < bestAsk) return improved;
+
+    return round(bestBid);
+  }
+
+  /**
+   * Odds check on the outcome token price (checkOddsAcceptable takes the YES price)
+   */
+  checkOdds(price, direction) {
+    return this.client.checkOddsAcceptable(direction === 'UP' ? price : 1 - price, direction);
+  }
+
+  /**
+   * Report an accepted order (write-ahead journal) before waiting on its fill
+   */
+  async notifySubmitted(context, result) {
+    if (context.onSubmitted && result.success && result.orderId) {
+      await context.onSubmitted(result);
+    }
+  }
+
+  /**
+   * Compare the fresh best ask with the pre-trade snapshot
+   * @returns {Object|null} { ok, reason, snapshotPrice, price, drift } (null without snapshot/asks)
+   */
+  checkDrift(snapshot, book, direction) {
+    const price = book.asks[0]?.price;
+    if (!snapshot || price === undefined) return null;
+
+    const drift = price - snapshot.effectivePrice;
+    const check = {
+      checkedAt: this.clock.now().toISOString(),
+      snapshotPrice: snapshot.effectivePrice,
+      price,
+      drift,
+      ok: true,
+      reason: null
+    };
+
+    if (Math.abs(drift) > this.maxPriceDrift) {
+      check.ok = false;
+      check.reason = `Price drifted ${drift > 0 ? '+' : ''}${drift.toFixed(3)} since snapshot (${snapshot.effectivePrice.toFixed(3)} → ${price.toFixed(3)}, max ${this.maxPriceDrift})`;
+      return check;
+    }
+
+    const oddsCheck = this.checkOdds(price, direction);
+    if (!oddsCheck.acceptable) {
+      check.ok = false;
+      check.reason = `Odds out of range at submission: ${oddsCheck.reason}`;
+    }
+
+    return check;
+  }
+
+  /**
+   * Combine child fills into one execution result
+   */
+  aggregate(amount, children, reason, drift = null) {
+    const filledSize = children.reduce((sum, c) => sum + c.fill.filledSize, 0);
+    const filledNotional = children.reduce((sum, c) => sum + c.fill.filledNotional, 0);
+
+    let finalStatus = 'UNFILLED';
+    if (filledSize > 0) {
+      finalStatus = filledNotional >= amount - this.minOrderUsd ? 'FILLED' : 'PARTIAL';
+    }
+
+    return {
+      success: filledSize > 0,
+      executed: filledSize > 0,
+      reason,
+      requestedAmount: amount,
+      fill: {
+        orderId: children[0]?.fill.orderId || null,
+        orderIds: children.map(c => c.fill.orderId).filter(Boolean),
+        finalStatus,
+        filledSize,
+        filledNotional,
+        avgPrice: filledSize > 0 ? filledNotional / filledSize : null
+      },
+      filledNotional,
+      drift,
+      children
+    };
+  }
+}
+
+export default OrderExecutor;
@@ -0,0 +1,225 @@
+/**
+ * Polymarket Order Signer
+ *
+ * Builds and signs CLOB orders and API authentication headers
+ *
+ * Two authentication levels:
+ * - L1: EIP-712 "ClobAuth" signature from the wallet (derive API credentials)
+ * - L2: HMAC-SHA256 over the request using the API secret (trading endpoints)
+ *
+ * Orders are EIP-712 typed data verified by the CTF Exchange contract.
+ * Amounts are in 6-decimal base units (USDC and outcome shares).
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { CONFIG } from '../../config/settings.js';
+
+export const CLOB_AUTH_MESSAGE = 'This message attests that I control the given wallet';
+
+export const CLOB_AUTH_TYPES = {
+  ClobAuth: [
+    { name: 'address', type: 'address' },
+    { name: 'timestamp', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'message', type: 'string' }
+  ]
+};
+
+export const ORDER_TYPES = {
+  Order: [
+    { name: 'salt', type: 'uint256' },
+    { name: 'maker', type: 'address' },
+    { name: 'signer', type: 'address' },
+    { name: 'taker', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'makerAmount', type: 'uint256' },
+    { name: 'takerAmount', type: 'uint256' },
+    { name: 'expiration', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'feeRateBps', type: 'uint256' },
+    { name: 'side', type: 'uint8' },
+    { name: 'signatureType', type: 'uint8' }
+  ]
+};
+
+export const SIDES = { BUY: 0, SELL: 1 };
+
+const USDC_DECIMALS = 6;
+
+export class OrderSigner {
+  constructor(wallet, options = {}) {
+    this.wallet = wallet;
+    this.chainId = options.chainId || CONFIG.POLYMARKET.CHAIN_ID;
+    this.signatureType = options.signatureType ?? CONFIG.POLYMARKET.SIGNATURE_TYPE;
+    // Funder holds the USDC; for EOA signing it is the wallet itself
+    this.funder = options.funderAddress || wallet.address;
+  }
+
+  /**
+   * EIP-712 domain for L1 authentication
+   */
+  getAuthDomain() {
+    return {
+      name: 'ClobAuthDomain',
+      version: '1',
+      chainId: this.chainId
+    };
+  }
+
+  /**
+   * EIP-712 domain for order signing
+   */
+  getOrderDomain(negRisk = false) {
+    return {
+      name: 'Polymarket CTF Exchange',
+      version: '1',
+      chainId: this.chainId,
+      verifyingContract: negRisk
+        ? CONFIG.POLYMARKET.NEG_RISK_EXCHANGE_ADDRESS
+        : CONFIG.POLYMARKET.EXCHANGE_ADDRESS
+    };
+  }
+
+  /**
+   * Build L1 headers (wallet signature) for API key derivation
+   */
+  async createL1Headers(nonce = 0) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = await this.wallet.signTypedData(this.getAuthDomain(), CLOB_AUTH_TYPES, {
+      address: this.wallet.address,
+      timestamp,
+      nonce,
+      message: CLOB_AUTH_MESSAGE
+    });
+
+    return {
+      POLY_ADDRESS: this.wallet.address,
+      POLY_SIGNATURE: signature,
+      POLY_TIMESTAMP: timestamp,
+      POLY_NONCE: nonce.toString()
+    };
+  }
+
+  /**
+   * Build L2 headers (HMAC with API secret) for authenticated requests
+   */
+  createL2Headers(creds, method, requestPath, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = buildHmacSignature(creds.secret, timestamp, method, requestPath, body);
+
+    return {
+      POLY_ADDRESS: this.wallet.address,
+      POLY_SIGNATURE: signature,
+      POLY_TIMESTAMP: timestamp,
+      POLY_API_KEY: creds.key,
+      POLY_PASSPHRASE: creds.passphrase
+    };
+  }
+
+  /**
+   * Convert a prepared order into raw maker/taker amounts
+   *
+   * BUY:  maker gives USDC, taker gives shares → price = maker / taker
+   * SELL: maker gives shares, taker gives USDC
+   */
+  calculateAmounts(side, price, size, tickSize = CONFIG.POLYMARKET.TICK_SIZE) {
+    const priceDecimals = decimalPlaces(tickSize);
+    const roundedPrice = roundNormal(price, priceDecimals);
+    const roundedSize = roundDown(size, 2);
+    const notional = roundDown(roundedSize * roundedPrice, priceDecimals + 2);
+
+    const sharesUnits = toBaseUnits(roundedSize);
+    const usdcUnits = toBaseUnits(notional);
+
+    return side === 'BUY'
+      ? { price: roundedPrice, size: roundedSize, makerAmount: usdcUnits, takerAmount: sharesUnits }
+      : { price: roundedPrice, size: roundedSize, makerAmount: sharesUnits, takerAmount: usdcUnits };
+  }
+
+  /**
+   * Build unsigned order struct
+   */
+  buildOrder({ tokenId, side = 'BUY', price, size, expiration = 0, nonce = 0, tickSize }) {
+    const amounts = this.calculateAmounts(side, price, size, tickSize);
+
+    return {
+      salt: generateSalt(),
+      maker: this.funder,
+      signer: this.wallet.address,
+      taker: ethers.ZeroAddress,
+      tokenId: BigInt(tokenId).toString(),
+      makerAmount: amounts.makerAmount.toString(),
+      takerAmount: amounts.takerAmount.toString(),
+      expiration: expiration.toString(),
+      nonce: nonce.toString(),
+      feeRateBps: CONFIG.POLYMARKET.FEE_RATE_BPS.toString(),
+      side: SIDES[side],
+      signatureType: this.signatureType
+    };
+  }
+
+  /**
+   * Sign order struct with EIP-712
+   */
+  async signOrder(order, negRisk = false) {
+    const signature = await this.wallet.signTypedData(this.getOrderDomain(negRisk), ORDER_TYPES, order);
+    return { ...order, signature };
+  }
+
+  /**
+   * Serialize signed order into the POST /order payload
+   */
+  toOrderPayload(signedOrder, apiKey, orderType = CONFIG.POLYMARKET.ORDER_TYPE) {
+    return {
+      order: {
+        ...signedOrder,
+        salt: Number(signedOrder.salt),
+        side: signedOrder.side === SIDES.BUY ? 'BUY' : 'SELL'
+      },
+      owner: apiKey,
+      orderType
+    };
+  }
+}
+
+/**
+ * HMAC-SHA256 over timestamp + method + path + body, url-safe base64
+ */
+export function buildHmacSignature(secret, timestamp, method, requestPath, body) {
+  let message = `${timestamp}${method}${requestPath}`;
+  if (body !== undefined && body !== null) {
+    message += typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  const key = Buffer.from(secret, 'base64');
+  const digest = crypto.createHmac('sha256', key).update(message).digest('base64');
+
+  return digest.replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function generateSalt() {
+  return Math.round(Math.random() * Date.now()).toString();
+}
+
+function decimalPlaces(value) {
+  const str = value.toString();
+  return str.includes('.') ? str.split('.')[1].length : 0;
+}
+
+function roundNormal(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function roundDown(value, decimals) {
+  const factor = 10 ** decimals;
+  // Epsilon guards against 0.29 * 100 = 28.999999999999996
+  return Math.floor(value * factor + 1e-9) / factor;
+}
+
+function toBaseUnits(value) {
+  return ethers.parseUnits(value.toFixed(USDC_DECIMALS), USDC_DECIMALS);
+}
+
+export default OrderSigner;
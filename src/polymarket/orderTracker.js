@@ -0,0 +1,131 @@
+/**
+ * Order Lifecycle Tracker
+ *
+ * Follows a submitted CLOB order until it reaches a final state:
+ * - Polls order status (size matched vs original size)
+ * - Cancels the resting remainder after a timeout
+ * - Reconciles partial fills into the actual filled notional
+ *
+ * The filled notional (not the requested amount) is what was really
+ * committed, and is what the challenge capital math must use.
+ */
+
+import { CONFIG } from '../../config/settings.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('order-tracker');
+
+const FINAL_ORDER_STATES = ['MATCHED', 'CANCELED', 'CANCELED_MARKET_RESOLVED', 'INVALID'];
+
+export class OrderTracker {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.pollIntervalMs = options.pollIntervalMs ?? CONFIG.EXECUTION.ORDER_POLL_INTERVAL_MS;
+    this.timeoutMs = options.timeoutMs ?? CONFIG.EXECUTION.ORDER_TIMEOUT_MS;
+  }
+
+  /**
+   * Track an executeOrder result to completion
+   *
+   * @param {Object} result - Normalized result from PolymarketClient.executeOrder
+   * @returns {Object} Final fill: { finalStatus, filledSize, filledNotional, avgPrice, ... }
+   */
+  async track(result) {
+    if (!result.success || !result.orderId) {
+      return this.buildFill(result, 'UNFILLED', 0, 0);
+    }
+
+    // Only resting orders need polling; matched/killed orders are already final
+    if (result.status !== 'live' && result.status !== 'delayed') {
+      return this.buildFill(
+        result,
+        result.fillStatus === 'FILLED' ? 'FILLED' : (result.filledSize > 0 ? 'PARTIAL' : 'UNFILLED'),
+        result.filledSize,
+        result.filledAmount
+      );
+    }
+
+    const deadline = Date.now() + this.timeoutMs;
+    let snapshot = null;
+
+    while (Date.now() < deadline) {
+      snapshot = await this.pollOrder(result.orderId);
+
+      if (snapshot && FINAL_ORDER_STATES.includes(snapshot.status)) {
+        return this.reconcile(result, snapshot);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+
+    // Timed out: cancel remainder, then read the final matched size
+    log.warn('Order not filled in time - cancelling remainder', { orderId: result.orderId, timeoutSeconds: this.timeoutMs / 1000 });
+    const cancel = await this.client.cancelOrder(result.orderId);
+    if (!cancel.cancelled && cancel.reason) {
+      log.warn('Cancel not applied', { orderId: result.orderId, reason: cancel.reason });
+    }
+
+    snapshot = await this.pollOrder(result.orderId) || snapshot;
+    return this.reconcile(result, snapshot, true);
+  }
+
+  /**
+   * Fetch order status, tolerating transient API errors
+   */
+  async pollOrder(orderId) {
+    try {
+      const data = await this.client.getOrder(orderId);
+      return {
+        status: (data.status || '').toUpperCase(),
+        originalSize: parseFloat(data.original_size) || 0,
+        sizeMatched: parseFloat(data.size_matched) || 0,
+        price: parseFloat(data.price) || 0
+      };
+    } catch (error) {
+      log.error('Order status fetch failed', { orderId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Combine the immediate (taker) fill with later resting (maker) fills
+   *
+   * The immediate portion is priced from the submission response; anything
+   * matched while resting fills at the order's limit price.
+   */
+  reconcile(result, snapshot, cancelled = false) {
+    if (!snapshot) {
+      return this.buildFill(result, result.filledSize > 0 ? 'PARTIAL' : 'UNFILLED',
+        result.filledSize, result.filledAmount, cancelled);
+    }
+
+    const filledSize = Math.max(snapshot.sizeMatched, result.filledSize);
+    const restingFilled = filledSize - result.filledSize;
+    const filledNotional = result.filledAmount + restingFilled * snapshot.price;
+
+    let finalStatus;
+    if (filledSize >= result.requestedSize - 1e-6) {
+      finalStatus = 'FILLED';
+    } else if (filledSize > 0) {
+      finalStatus = 'PARTIAL';
+    } else {
+      finalStatus = cancelled || snapshot.status.startsWith('CANCELED') ? 'CANCELLED' : 'UNFILLED';
+    }
+
+    return this.buildFill(result, finalStatus, filledSize, filledNotional, cancelled);
+  }
+
+  buildFill(result, finalStatus, filledSize, filledNotional, cancelled = false) {
+    return {
+      orderId: result.orderId || null,
+      finalStatus,
+      requestedSize: result.requestedSize || 0,
+      filledSize,
+      filledNotional,
+      avgPrice: filledSize > 0 ? filledNotional / filledSize : null,
+      cancelled
+    };
+  }
+}
+
+export default OrderTracker;
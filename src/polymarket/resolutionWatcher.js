@@ -0,0 +1,79 @@
+/**
+ * Market Resolution Watcher
+ *
+ * Remembers each open position (market + outcome token) and polls Gamma
+ * until the market is closed with a winning outcome. The win/loss is then
+ * reported through the onResolved callback (BotCasino13.recordResult).
+ */
+
+import { createLogger } from '../logger.js';
+
+const log = createLogger('resolution');
+
+export class ResolutionWatcher {
+  constructor(client, onResolved) {
+    this.client = client;
+    this.onResolved = onResolved;
+    this.positions = new Map(); // marketId -> position
+  }
+
+  /**
+   * Start watching a position
+   * @param {Object} position - { marketId, tokenId, direction, ... }
+   */
+  watch(position) {
+    if (!position?.marketId || !position?.tokenId) {
+      throw new Error('Position needs marketId and tokenId to watch resolution');
+    }
+    this.positions.set(position.marketId, position);
+  }
+
+  unwatch(marketId) {
+    this.positions.delete(marketId);
+  }
+
+  getWatched() {
+    return [...this.positions.values()];
+  }
+
+  /**
+   * Check every watched market once
+   * @returns {Array} Resolutions detected during this check
+   */
+  async checkAll() {
+    const resolved = [];
+
+    for (const position of this.getWatched()) {
+      let resolution;
+      try {
+        resolution = await this.client.getMarketResolution(position.marketId);
+      } catch (error) {
+        log.error('Resolution check failed', { tradeId: position.tradeId, marketId: position.marketId, error: error.message });
+        continue;
+      }
+
+      if (!resolution.resolved) continue;
+
+      const isWin = resolution.winningTokenId === position.tokenId;
+      const result = { position, resolution, isWin };
+
+      // Unwatch first so a failing callback cannot record the result twice
+      this.unwatch(position.marketId);
+      resolved.push(result);
+
+      log.info(`Market resolved: ${resolution.winningOutcome} → ${isWin ? 'WIN' : 'LOSS'}`, {
+        tradeId: position.tradeId,
+        marketId: position.marketId,
+        cycleId: position.cycleId
+      });
+
+      if (this.onResolved) {
+        await this.onResolved(result);
+      }
+    }
+
+    return resolved;
+  }
+}
+
+export default ResolutionWatcher;
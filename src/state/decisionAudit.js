@@ -0,0 +1,190 @@
+/**
+ * Decision Audit Log
+ *
+ * Append-only JSONL record of every decision the engine makes, traded or
+ * not: reasons, confluence breakdown, HTF bias, sweep and entry-model
+ * details, external data, and a fingerprint (sha256 + ranges) of the
+ * candles the decision was computed from.
+ *
+ * Answers "why did it skip Tuesday's setup?" after the fact, and gives a
+ * replay the inputs it needs to recompute a decision and prove it used
+ * the same data. The news and external-data responses are already in the
+ * entry; the candles go to a gzip snapshot next to it (AUDIT.SNAPSHOTS).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../logger.js';
+import { CONFIG } from '../../config/settings.js';
+
+const log = createLogger('audit');
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data/state');
+
+export class DecisionAudit {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.BOT_DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, options.fileName || CONFIG.AUDIT.FILE_NAME);
+    this.snapshots = options.snapshots ?? CONFIG.AUDIT.SNAPSHOTS;
+  }
+
+  /**
+   * Append one decision (never throws: the audit must not stop trading)
+   *
+   * @param {Object} decision - makeDecision() result
+   * @param {Object} context - Extra fields (e.g. { cycleId })
+   * @param {Object} inputs - Engine lastInputs: { tradesToday, lastTradeDate, marketData }
+   * @returns {Object|null} The written entry
+   */
+  record(decision, context = {}, inputs = null) {
+    const analysis = decision.analysis || {};
+
+    const entry = {
+      timestamp: decision.timestamp,
+      recordedAt: new Date().toISOString(),
+      ...context,
+      asset: decision.asset,
+      action: decision.action,
+      direction: decision.direction,
+      confidence: decision.confidence,
+      confluenceScore: decision.confluenceScore,
+      reasons: decision.reasons,
+      error: decision.error?.message ?? null,
+      confluence: analysis.confluence ?? null,
+      htfBias: analysis.htfBias ?? null,
+      liquiditySweep: analysis.liquiditySweep ?? null,
+      entryModels: analysis.entryModels ?? null,
+      externalData: analysis.externalData ?? null,
+      killzone: analysis.killzone ?? null,
+      news: analysis.news ?? null,
+      volatility: analysis.volatility ?? null,
+      price: analysis.price ?? null,
+      data: analysis.data ?? null,
+      replay: null
+    };
+
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+      if (inputs) {
+        entry.replay = {
+          tradesToday: inputs.tradesToday,
+          lastTradeDate: inputs.lastTradeDate,
+          snapshot: this.writeSnapshot(entry, inputs.marketData)
+        };
+      }
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+      return entry;
+    } catch (error) {
+      log.error('Decision audit write failed', { file: this.filePath, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Read recorded decisions (oldest first)
+   *
+   * @param {Object} filter - { from, to } ISO dates/timestamps (inclusive), asset, limit (latest N)
+   */
+  read(filter = {}) {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        log.warn('Skipping unreadable audit line', { line: line.slice(0, 80) });
+        continue;
+      }
+
+      if (filter.from && entry.timestamp < filter.from) continue;
+      // A bare date includes the whole day
+      if (filter.to && entry.timestamp.slice(0, filter.to.length) > filter.to) continue;
+      if (filter.asset && entry.asset !== filter.asset) continue;
+      entries.push(entry);
+    }
+
+    return filter.limit ? entries.slice(-filter.limit) : entries;
+  }
+
+  /**
+   * Store the market data behind a decision
+   * @returns {string|null} Snapshot path relative to the data directory
+   */
+  writeSnapshot(entry, marketData) {
+    if (!this.snapshots || !marketData) return null;
+
+    const dir = path.join(this.dataDir, CONFIG.AUDIT.SNAPSHOT_DIR);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const fileName = `${entry.timestamp.replace(/[:.]/g, '-')}-${entry.asset}.json.gz`;
+    fs.writeFileSync(path.join(dir, fileName), zlib.gzipSync(JSON.stringify({ marketData })));
+    return path.join(CONFIG.AUDIT.SNAPSHOT_DIR, fileName);
+  }
+
+  /**
+   * Load the market data stored for an entry
+   * @returns {Object|null} marketData (null when no snapshot was taken)
+   */
+  readSnapshot(entry) {
+    const snapshot = entry.replay?.snapshot;
+    if (!snapshot) return null;
+
+    const filePath = path.join(this.dataDir, snapshot);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Snapshot missing: ${filePath}`);
+    }
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath))).marketData;
+  }
+}
+
+/**
+ * Fingerprint the candles behind a decision
+ *
+ * @param {Object} marketData - PriceDataFetcher.getAnalysisData() result
+ * @returns {Object} { hash, series: { 'primary.5m': { symbol, timeframe, count, from, to }, ... } }
+ */
+export function describeMarketData(marketData) {
+  const symbol = CONFIG.DATA.SYMBOLS[marketData.asset];
+  const sets = {
+    // SMT-aligned 5m series (sweeps, entry models, SMT)
+    'primary.5m': { symbol, timeframe: '5m', candles: marketData.primary.candles5m },
+    'pair.5m': { symbol: CONFIG.DATA.SYMBOLS[marketData.pair.asset], timeframe: '5m', candles: marketData.pair.candles5m }
+  };
+  // Unaligned series per timeframe (HTF bias)
+  for (const [timeframe, candles] of Object.entries(marketData.primary.multiTimeframe)) {
+    sets[`mtf.${timeframe}`] = { symbol, timeframe, candles };
+  }
+
+  const hash = crypto.createHash('sha256');
+  const series = {};
+
+  for (const key of Object.keys(sets).sort()) {
+    const { candles, ...source } = sets[key];
+    hash.update(key);
+    for (const c of candles) {
+      hash.update(`${c.timestamp},${c.open},${c.high},${c.low},${c.close},${c.volume};`);
+    }
+    series[key] = {
+      ...source,
+      count: candles.length,
+      from: candles[0]?.timestamp ?? null,
+      to: candles[candles.length - 1]?.timestamp ?? null
+    };
+  }
+
+  return { hash: hash.digest('hex'), series };
+}
+
+export default DecisionAudit;
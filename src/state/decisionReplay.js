@@ -0,0 +1,130 @@
+/**
+ * Decision Replay
+ *
+ * Feeds a decision recorded by DecisionAudit back through
+ * TradeDecisionEngine.makeDecision with the recorded inputs (candle
+ * snapshot, news and external-data responses, daily trade count) and the
+ * clock pinned to the original timestamp, then diffs the two decisions.
+ *
+ * A difference means the strategy code or CONFIG changed since the
+ * decision was made (`configChanged` tells which); `dataMatch` proves the
+ * candles were the same.
+ */
+
+import { TradeDecisionEngine } from '../tradeDecision.js';
+import { fixedClock } from '../clock.js';
+import { getConfigInfo } from '../../config/loader.js';
+
+// Compared between the recorded and the replayed decision
+const FIELDS = [
+  ['action', d => d.action],
+  ['direction', d => d.direction],
+  ['confidence', d => d.confidence],
+  ['confluenceScore', d => d.confluenceScore],
+  ['entryModel', d => d.entryModels?.model ?? null],
+  ['presentFactors', d => d.confluence?.presentFactors ?? null],
+  ['reasons', d => d.reasons]
+];
+
+/**
+ * Recompute one recorded decision
+ *
+ * @param {Object} entry - DecisionAudit entry
+ * @param {DecisionAudit} audit - Where the entry (and its snapshot) lives
+ * @returns {Object} { timestamp, asset, replayable, reason, dataMatch, configChanged, decision, differences }
+ */
+export async function replayDecision(entry, audit) {
+  const result = {
+    timestamp: entry.timestamp,
+    asset: entry.asset,
+    replayable: false,
+    reason: null,
+    dataMatch: null,
+    configChanged: entry.configHash ? entry.configHash !== getConfigInfo().hash : null,
+    decision: null,
+    differences: []
+  };
+
+  if (!entry.replay) {
+    result.reason = 'Recorded without replay inputs';
+    return result;
+  }
+  if (entry.data && !entry.replay.snapshot) {
+    result.reason = 'Candle snapshot not stored (AUDIT.SNAPSHOTS off)';
+    return result;
+  }
+
+  let marketData;
+  try {
+    marketData = audit.readSnapshot(entry);
+  } catch (error) {
+    result.reason = error.message;
+    return result;
+  }
+
+  const engine = new TradeDecisionEngine({
+    audit: null,
+    clock: fixedClock(entry.timestamp),
+    ...recordedProviders(entry, marketData)
+  });
+  engine.asset = entry.asset;
+  engine.restoreTradeCount(entry.replay.tradesToday, entry.replay.lastTradeDate);
+
+  const decision = await engine.makeDecision();
+  const replayed = {
+    ...decision,
+    ...decision.analysis,
+    error: decision.error?.message ?? null
+  };
+
+  result.replayable = true;
+  result.decision = {
+    action: replayed.action,
+    direction: replayed.direction,
+    confidence: replayed.confidence,
+    confluenceScore: replayed.confluenceScore,
+    reasons: replayed.reasons,
+    error: replayed.error
+  };
+  // Only comparable when both runs got as far as loading candles
+  result.dataMatch = entry.data && decision.analysis.data
+    ? decision.analysis.data.hash === entry.data.hash
+    : null;
+
+  for (const [field, get] of FIELDS) {
+    const recorded = get(entry);
+    const now = get(replayed);
+    if (JSON.stringify(recorded) !== JSON.stringify(now)) {
+      result.differences.push({ field, recorded, replayed: now });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Providers answering with what the live run received
+ */
+function recordedProviders(entry, marketData) {
+  const external = entry.externalData || {};
+
+  return {
+    priceData: {
+      getAnalysisData: async () => {
+        if (!marketData) throw new Error('No candle snapshot recorded');
+        return marketData;
+      }
+    },
+    newsFilter: {
+      checkNewsBlackout: async () => {
+        if (!entry.news) throw new Error('No news check recorded');
+        return entry.news;
+      }
+    },
+    newsSentiment: { getSentimentSignal: async () => external.sentiment ?? null },
+    etfFlows: { getETFSignal: async () => external.etf ?? null },
+    economicCalendar: { getEconomicSignal: async () => external.economic ?? null }
+  };
+}
+
+export default replayDecision;
@@ -0,0 +1,142 @@
+/**
+ * Challenge State Store
+ *
+ * Persists BotCasino13.state to a JSON file so a restart (pm2, crash,
+ * deploy) resumes the challenge instead of resetting to $12 / 0 wins.
+ *
+ * - Atomic writes: temp file + fsync + rename, never a half-written file
+ * - Schema version on every file; older files are migrated step by step
+ * - Unreadable or newer-than-supported files throw instead of silently
+ *   starting over
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('state');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data/state');
+
+export const STATE_SCHEMA_VERSION = 1;
+
+// Only durable fields are stored (lastAnalysis is transient)
+const PERSISTED_FIELDS = [
+  'currentCapital',
+  'consecutiveWins',
+  'totalTrades',
+  'tradeHistory',
+  'startTime',
+  'challengeActive',
+  'openPosition',
+  'pendingRedemptions',
+  'walletBalance'
+];
+
+/**
+ * Migrations: MIGRATIONS[n] upgrades a version-n state to version n + 1
+ * (bump STATE_SCHEMA_VERSION and add one when the stored shape changes)
+ */
+const MIGRATIONS = {};
+
+export class StateStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.BOT_DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, options.fileName || 'challenge.json');
+    // Operator controls (pause) live apart from the state so another process
+    // (CLI) can set them without racing the running bot's state writes
+    this.controlPath = this.filePath.replace(/\.json$/, '.control.json');
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load persisted state
+   * @returns {Object|null} State fields, or null when nothing was saved yet
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read state file ${this.filePath}: ${error.message}`);
+    }
+
+    const version = file.schemaVersion;
+    let state = file.state;
+
+    if (!Number.isInteger(version) || !state) {
+      throw new Error(`State file ${this.filePath} has no schema version or state`);
+    }
+    if (version > STATE_SCHEMA_VERSION) {
+      throw new Error(`State file ${this.filePath} has schema v${version}, this version supports v${STATE_SCHEMA_VERSION}`);
+    }
+
+    for (let v = version; v < STATE_SCHEMA_VERSION; v++) {
+      state = MIGRATIONS[v](state);
+      log.info('State migrated', { from: v, to: v + 1 });
+    }
+
+    return state;
+  }
+
+  /**
+   * Atomically write the durable fields of `state`
+   */
+  save(state) {
+    this.ensureDataDir();
+
+    const persisted = {};
+    for (const field of PERSISTED_FIELDS) {
+      persisted[field] = state[field];
+    }
+
+    writeJsonAtomic(this.filePath, {
+      schemaVersion: STATE_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      state: persisted
+    });
+  }
+
+  /**
+   * Read operator controls
+   * @returns {Object} { paused, reason, updatedAt }
+   */
+  loadControl() {
+    if (!fs.existsSync(this.controlPath)) {
+      return { paused: false, reason: null, updatedAt: null };
+    }
+    return JSON.parse(fs.readFileSync(this.controlPath, 'utf8'));
+  }
+
+  saveControl(control) {
+    this.ensureDataDir();
+    writeJsonAtomic(this.controlPath, { ...control, updatedAt: new Date().toISOString() });
+  }
+}
+
+/**
+ * Write JSON via temp file + fsync + rename (readers never see a partial file)
+ */
+export function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+export default StateStore;
@@ -0,0 +1,135 @@
+/**
+ * Write-Ahead Trade Journal
+ *
+ * Append-only JSONL log of every trade's lifecycle, fsynced before the
+ * bot acts on each step:
+ *   intent → submitted → filled → resolved → redeemed
+ * (or intent/submitted → aborted when nothing filled)
+ *
+ * On startup the journal is replayed so a trade interrupted by a crash is
+ * resumed (reconciled, watched, redeemed) instead of placed again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('journal');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data/state');
+
+export const JOURNAL_STAGES = ['intent', 'submitted', 'filled', 'resolved', 'redeemed', 'aborted'];
+
+// Stages a trade only reaches once its order filled
+const FILLED_STAGES = ['filled', 'resolved', 'redeemed'];
+
+export class TradeJournal {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.BOT_DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, options.fileName || 'journal.jsonl');
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Record the intent to trade; returns the new trade id
+   */
+  begin(data) {
+    const tradeId = crypto.randomUUID();
+    this.append(tradeId, 'intent', data);
+    return tradeId;
+  }
+
+  /**
+   * Durably append one lifecycle entry
+   */
+  append(tradeId, stage, data = {}) {
+    if (!JOURNAL_STAGES.includes(stage)) {
+      throw new Error(`Unknown journal stage: ${stage}`);
+    }
+
+    this.ensureDataDir();
+
+    const entry = JSON.stringify({ tradeId, stage, at: new Date().toISOString(), ...data });
+    const fd = fs.openSync(this.filePath, 'a+');
+    try {
+      // Terminate a torn line left by a crash so this entry stays readable
+      const { size } = fs.fstatSync(fd);
+      const last = Buffer.alloc(1);
+      const prefix = size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a ? '\n' : '';
+
+      fs.writeSync(fd, `${prefix}${entry}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Replay the journal into one record per trade
+   * @returns {Array} [{ tradeId, stage, startedAt, stages, orderIds, ...merged entry data }]
+   */
+  replay() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const trades = new Map();
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a torn last line
+        log.warn('Skipping unreadable journal line', { line: line.slice(0, 80) });
+        continue;
+      }
+
+      const { tradeId, stage, at, ...data } = entry;
+      const trade = trades.get(tradeId) || { tradeId, startedAt: at, stages: [], orderIds: [] };
+
+      Object.assign(trade, data, { stage, updatedAt: at });
+      trade.stages.push({ stage, at });
+
+      // Each submitted child order is its own entry
+      if (stage === 'submitted' && data.orderId) {
+        trade.orderIds.push(data.orderId);
+      }
+      trades.set(tradeId, trade);
+    }
+
+    return [...trades.values()];
+  }
+
+  /**
+   * Trades that still need work (not aborted, redeemed, or resolved without redemption)
+   */
+  getUnfinished(trades = this.replay()) {
+    return trades.filter(t => !this.isFinished(t));
+  }
+
+  isFinished(trade) {
+    if (trade.stage === 'aborted' || trade.stage === 'redeemed') return true;
+    return trade.stage === 'resolved' && !trade.redeemRequired;
+  }
+
+  /**
+   * Trades started on a UTC date (YYYY-MM-DD) that filled
+   * (intent/submitted trades still in flight and aborted attempts do not count)
+   */
+  countTradesOn(date, trades = this.replay()) {
+    return trades.filter(t => t.startedAt.startsWith(date) && FILLED_STAGES.includes(t.stage)).length;
+  }
+}
+
+export default TradeJournal;
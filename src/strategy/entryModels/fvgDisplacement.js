@@ -0,0 +1,32 @@
+/**
+ * FVG Displacement Entry Model
+ *
+ * Price back at an unfilled fair value gap left by displacement, on the
+ * right side of the range: discount for longs, premium for shorts.
+ */
+
+import { FairValueGap, MarketStructure } from '../../ict/index.js';
+
+export default {
+  id: 'FVG_DISPLACEMENT',
+  priority: 2,
+  winRateEstimate: 0.66,
+
+  evaluate({ candles, direction }) {
+    const fvgEntry = new FairValueGap().isAtFVGEntry(candles, direction);
+    const pdZone = new MarketStructure().getPremiumDiscountZone(candles);
+
+    const correctZone = (direction === 'BULLISH' && pdZone.zone.includes('DISCOUNT')) ||
+                       (direction === 'BEARISH' && pdZone.zone.includes('PREMIUM'));
+
+    let reason = `FVG entry at ${pdZone.zone} zone`;
+    if (!fvgEntry.valid) reason = fvgEntry.reason;
+    else if (!correctZone) reason = `FVG entry in ${pdZone.zone} zone (wrong side for ${direction})`;
+
+    return {
+      valid: fvgEntry.valid && correctZone,
+      reason,
+      details: { fvgEntry, pdZone }
+    };
+  }
+};
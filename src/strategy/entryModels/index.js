@@ -0,0 +1,76 @@
+/**
+ * Entry Model Registry
+ *
+ * An entry model is a module exporting { id, priority, winRateEstimate,
+ * evaluate(context) }. evaluate() gets the closed candles and the expected
+ * direction (see validateEntryModels() in setupEvaluator.js) and returns
+ * { valid, reason, details }.
+ *
+ * ENTRY_MODELS.MODELS[id] overrides a model's ENABLED flag, PRIORITY and
+ * WIN_RATE_ESTIMATE. Every enabled model is evaluated; when several are
+ * valid, the lowest priority is traded. ENTRY_MODELS.ONLY (or backtest
+ * --model) runs a single model, enabled or not, to backtest it in isolation.
+ *
+ * A new model is one module here plus its line in BUILT_IN_MODELS, or a
+ * registerEntryModel() call from anywhere before the first decision.
+ */
+
+import { CONFIG } from '../../../config/settings.js';
+import mmxm from './mmxm.js';
+import fvgDisplacement from './fvgDisplacement.js';
+import judasSwing from './judasSwing.js';
+
+const BUILT_IN_MODELS = [mmxm, fvgDisplacement, judasSwing];
+
+const registry = new Map();
+
+/**
+ * Add an entry model (ids are unique)
+ */
+export function registerEntryModel(model) {
+  if (!model?.id || typeof model.evaluate !== 'function') {
+    throw new Error('Entry model needs an id and an evaluate(context) function');
+  }
+  if (registry.has(model.id)) {
+    throw new Error(`Entry model already registered: ${model.id}`);
+  }
+  registry.set(model.id, model);
+  return model;
+}
+
+/**
+ * Ids of all registered models
+ */
+export function listEntryModels() {
+  return [...registry.keys()];
+}
+
+/**
+ * Models to evaluate with their effective settings, by priority
+ *
+ * @returns {Array} [{ id, model, priority, winRateEstimate }]
+ */
+export function getActiveEntryModels(config = CONFIG.ENTRY_MODELS) {
+  if (config.ONLY && !registry.has(config.ONLY)) {
+    throw new Error(`Unknown entry model: ${config.ONLY} (registered: ${listEntryModels().join(', ')})`);
+  }
+
+  return [...registry.values()]
+    .map(model => {
+      const settings = config.MODELS[model.id] || {};
+      return {
+        id: model.id,
+        model,
+        enabled: config.ONLY ? model.id === config.ONLY : settings.ENABLED ?? model.enabled ?? true,
+        priority: settings.PRIORITY ?? model.priority ?? Infinity,
+        winRateEstimate: settings.WIN_RATE_ESTIMATE ?? model.winRateEstimate ?? 0
+      };
+    })
+    .filter(entry => entry.enabled)
+    .sort((a, b) => a.priority - b.priority)
+    .map(({ enabled, ...entry }) => entry);
+}
+
+BUILT_IN_MODELS.forEach(registerEntryModel);
+
+export default registerEntryModel;
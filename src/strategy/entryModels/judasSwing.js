@@ -0,0 +1,34 @@
+/**
+ * Judas Swing Entry Model
+ *
+ * A false move against the bias in the first 30 minutes of the London or
+ * New York open that sweeps liquidity and reverses.
+ */
+
+import { MMXM } from '../../ict/index.js';
+
+export default {
+  id: 'JUDAS_SWING',
+  priority: 3,
+  winRateEstimate: 0.63,
+
+  evaluate({ candles, direction, killzones, now }) {
+    const sessionOpen = killzones.getSessionOpenInfo(now);
+    if (!sessionOpen.withinSessionOpen) {
+      return { valid: false, reason: 'Not within 30 min of a session open', details: { sessionOpen } };
+    }
+
+    // Session open candle
+    const sessionOpenIndex = candles.length - Math.floor(sessionOpen.minutesSinceOpen / 5) - 1;
+    const judasSwing = new MMXM().detectJudasSwing(candles, sessionOpenIndex, direction);
+    const valid = !!judasSwing.tradeable && judasSwing.expectedReversal === direction;
+
+    return {
+      valid,
+      reason: valid
+        ? `Judas swing at ${sessionOpen.session} open`
+        : judasSwing.reason || `No Judas reversal at ${sessionOpen.session} open`,
+      details: { sessionOpen, judasSwing }
+    };
+  }
+};
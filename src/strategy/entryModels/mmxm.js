@@ -0,0 +1,28 @@
+/**
+ * MMXM Entry Model
+ *
+ * Market Maker Model: accumulation, a liquidity-sweeping manipulation, then
+ * distribution in the expected direction. Tradeable once the manipulation
+ * is complete.
+ */
+
+import { MMXM } from '../../ict/index.js';
+
+export default {
+  id: 'MMXM',
+  priority: 1,
+  winRateEstimate: 0.70,
+
+  evaluate({ candles, direction }) {
+    const analysis = new MMXM().analyzeMMXMCycle(candles, direction);
+    const valid = analysis.tradeable && analysis.direction === direction;
+
+    return {
+      valid,
+      reason: valid || !analysis.tradeable
+        ? analysis.entryReason
+        : `MMXM ${analysis.currentPhase} points ${analysis.direction}`,
+      details: analysis
+    };
+  }
+};
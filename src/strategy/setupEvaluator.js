@@ -0,0 +1,455 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SETUP EVALUATOR
+ * The ICT decision tree, shared by the live engine, replay and the backtests
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * evaluateSetup(context) turns candles, news and external-data inputs, the
+ * clock and CONFIG into a decision. It does no I/O and keeps no state:
+ * TradeDecisionEngine wraps it with data fetching and the daily trade
+ * count, the backtesters with historical candles and the day's outcome.
+ * The same rules therefore decide a live trade and a backtested one.
+ *
+ * Inputs that cost a request are loaded lazily. When the next step needs
+ * one the context does not have yet, evaluation stops and the decision
+ * names it in `needs` ('news', 'marketData' or 'externalData'); the caller
+ * loads it into the context and evaluates again. Backtests pass everything
+ * up front.
+ *
+ * Only candles closed at the decision time are analyzed, so a live run
+ * (which also receives the forming candle) and a backtest agree.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { CONFIG } from '../../config/settings.js';
+import {
+  MarketStructure,
+  FairValueGap,
+  LiquidityAnalysis,
+  SMTDivergence,
+  KillzoneDetector
+} from '../ict/index.js';
+import { calculateATR } from '../data/priceData.js';
+import { getActiveEntryModels } from './entryModels/index.js';
+import { systemClock } from '../clock.js';
+
+const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Decide whether the current setup is worth a trade
+ *
+ * @param {Object} context
+ * @param {string} context.asset - Analyzed asset
+ * @param {Object} context.clock - { now() } decision time (default: system clock)
+ * @param {Object} context.news - NewsFilter.checkNewsBlackout() result
+ * @param {Object} context.marketData - PriceDataFetcher.getAnalysisData() shape
+ * @param {Object} context.externalData - TradeDecisionEngine.analyzeExternalData() result
+ * @param {number} context.tradesToday - Trades taken on lastTradeDate
+ * @param {string} context.lastTradeDate - YYYY-MM-DD of the last trade
+ * @returns {Object} Decision: { action: 'NO_TRADE' | 'LONG' | 'SHORT', ..., needs }
+ */
+export function evaluateSetup(context) {
+  const clock = context.clock || systemClock;
+  const now = clock.now();
+  const decision = createDecision(context.asset, now);
+
+  const marketStructure = new MarketStructure();
+  const liquidity = new LiquidityAnalysis();
+  const killzones = new KillzoneDetector({ clock });
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 1: Trading Day Check
+  // ─────────────────────────────────────────────────────────────────────
+  const dayCheck = killzones.shouldSkipToday();
+  decision.analysis.day = dayCheck;
+
+  if (dayCheck.skip) {
+    decision.reasons.push(`SKIP: ${dayCheck.reason}`);
+    return decision;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 2: News Blackout Check
+  // ─────────────────────────────────────────────────────────────────────
+  if (context.news === undefined) return pending(decision, 'news');
+  decision.analysis.news = context.news;
+
+  if (context.news.blackout) {
+    decision.reasons.push(`NEWS BLACKOUT: ${context.news.event} in ${context.news.minutesUntil}min`);
+    return decision;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 3: Killzone Check
+  // ─────────────────────────────────────────────────────────────────────
+  const killzoneStatus = killzones.getTradingWindowStatus();
+  decision.analysis.killzone = killzoneStatus;
+
+  if (!killzoneStatus.canTrade) {
+    decision.reasons.push(`OUTSIDE KILLZONE: ${killzoneStatus.reason || 'Wait for London/NY session'}`);
+    if (killzoneStatus.quality?.nextKillzone) {
+      decision.reasons.push(`Next: ${killzoneStatus.quality.nextKillzone.name} in ${killzoneStatus.quality.nextKillzone.hoursUntil}h`);
+    }
+    return decision;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 4: Market Data (closed candles only)
+  // ─────────────────────────────────────────────────────────────────────
+  if (!context.marketData) return pending(decision, 'marketData');
+  const { primary, pair } = context.marketData;
+  const candles = closedCandles(primary.candles5m, '5m', now);
+  const pairCandles = closedCandles(pair.candles5m, '5m', now);
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 5: Volatility Filter
+  // ─────────────────────────────────────────────────────────────────────
+  const volatility = calculateATR(candles);
+  decision.analysis.volatility = volatility;
+
+  if (!volatility) {
+    decision.reasons.push(`INSUFFICIENT DATA: ${candles.length} closed 5m candles`);
+    return decision;
+  }
+
+  if (!volatility.isVolatilityOK) {
+    const atrPct = volatility.atrPercent.toFixed(2);
+    if (volatility.atrPercent < CONFIG.FILTERS.VOLATILITY.MIN_ATR_PERCENT) {
+      decision.reasons.push(`LOW VOLATILITY: ATR ${atrPct}% - no edge in quiet market`);
+    } else {
+      decision.reasons.push(`HIGH VOLATILITY: ATR ${atrPct}% - too unpredictable`);
+    }
+    return decision;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 6: HTF Bias Analysis (LTF fallback if ALLOW_NEUTRAL_BIAS)
+  // ─────────────────────────────────────────────────────────────────────
+  const htfCandles = {};
+  for (const timeframe of CONFIG.HTF_BIAS.TIMEFRAMES) {
+    htfCandles[timeframe] = closedCandles(primary.multiTimeframe[timeframe] || [], timeframe, now);
+  }
+  const htfBias = marketStructure.getHTFBiasAlignment(htfCandles);
+  decision.analysis.htfBias = htfBias;
+
+  let expectedDirection = htfBias.aligned ? htfBias.overallBias : 'NEUTRAL';
+
+  if (expectedDirection === 'NEUTRAL' && htfBias.overallBias === 'NEUTRAL' && CONFIG.HTF_BIAS.ALLOW_NEUTRAL_BIAS) {
+    const ltfBias = marketStructure.determineBias(candles);
+    decision.analysis.ltfBias = ltfBias;
+    expectedDirection = ltfBias.bias;
+  }
+
+  if (expectedDirection === 'NEUTRAL') {
+    decision.reasons.push(`NO HTF ALIGNMENT: ${htfBias.bullishCount}B/${htfBias.bearishCount}Be - mixed signals`);
+    return decision;
+  }
+
+  decision.direction = expectedDirection;
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 6.5: External Data (News sentiment, ETF flows, Economic)
+  // ─────────────────────────────────────────────────────────────────────
+  if (context.externalData === undefined) return pending(decision, 'externalData');
+  const externalData = context.externalData;
+  decision.analysis.externalData = externalData;
+
+  if (externalData.economic?.canTrade === false) {
+    decision.reasons.push(`ECONOMIC EVENT BLACKOUT: ${externalData.economic.reason}`);
+    return decision;
+  }
+
+  if (CONFIG.DATA_SOURCES?.ETF_FLOWS?.BLOCK_ON_STRONG_DISAGREEMENT &&
+      externalData.etf?.strongDisagreement) {
+    decision.reasons.push(`ETF FLOW DISAGREEMENT: ${externalData.etf.reason}`);
+    decision.reasons.push(`ETF Signal: ${externalData.etf.bias} vs Trade: ${expectedDirection}`);
+    return decision;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 7: Liquidity Sweep Check (ICT.LIQUIDITY.SWEEP_REQUIRED)
+  // ─────────────────────────────────────────────────────────────────────
+  const liquiditySweep = liquidity.hasRecentLiquiditySweep(candles, expectedDirection);
+  decision.analysis.liquiditySweep = liquiditySweep;
+
+  if (!liquiditySweep.swept && CONFIG.ICT.LIQUIDITY.SWEEP_REQUIRED) {
+    decision.reasons.push(`NO LIQUIDITY SWEEP: ${liquiditySweep.reason}`);
+    decision.reasons.push('MANDATORY: Must sweep liquidity before entry');
+    return decision;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 8: Entry Models (strategy/entryModels/, ENTRY_MODELS.REQUIRE_FVG)
+  // ─────────────────────────────────────────────────────────────────────
+  const entryModels = validateEntryModels({
+    asset: context.asset,
+    now,
+    direction: expectedDirection,
+    candles,
+    pairCandles,
+    htfCandles,
+    killzones
+  });
+  decision.analysis.entryModels = entryModels;
+
+  if (!entryModels.validModel) {
+    decision.reasons.push(`NO VALID ENTRY MODEL: ${entryModels.reason}`);
+    return decision;
+  }
+
+  const fvgEntry = new FairValueGap().isAtFVGEntry(candles, expectedDirection);
+  if (CONFIG.ENTRY_MODELS.REQUIRE_FVG && !fvgEntry.valid) {
+    decision.reasons.push(`NO FVG ENTRY: ${entryModels.model} setup without a fair value gap`);
+    return decision;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 9: Calculate Confluence Score (ICT.SMT.REQUIRED)
+  // ─────────────────────────────────────────────────────────────────────
+  const confluence = calculateConfluence({
+    htfBias,
+    killzoneStatus,
+    liquiditySweep,
+    fvgEntry,
+    newsCheck: context.news,
+    externalData
+  }, candles, pairCandles, expectedDirection);
+
+  decision.confluenceScore = confluence.score;
+  decision.analysis.confluence = confluence;
+
+  if (CONFIG.ICT.SMT.REQUIRED && !confluence.presentFactors.includes('SMT')) {
+    decision.reasons.push(`NO SMT DIVERGENCE: ${CONFIG.DATA.MULTI_ASSET.SMT_PAIRS[context.asset]} confirmation required`);
+    return decision;
+  }
+
+  if (confluence.score < CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE) {
+    decision.reasons.push(`LOW CONFLUENCE: ${confluence.score}/${CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE} required`);
+    decision.reasons.push(`Present: ${confluence.presentFactors.join(', ')}`);
+    decision.reasons.push(`Missing: ${confluence.missingFactors.join(', ')}`);
+    return decision;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 10: Daily Trade Limit Check
+  // ─────────────────────────────────────────────────────────────────────
+  const today = now.toISOString().split('T')[0];
+  const tradesToday = context.lastTradeDate === today ? (context.tradesToday || 0) : 0;
+
+  if (tradesToday >= CONFIG.CHALLENGE.MAX_TRADES_PER_DAY) {
+    if (!confluence.isAPlus || !CONFIG.CHALLENGE.ALLOW_SECOND_TRADE_IF_A_PLUS) {
+      decision.reasons.push(`DAILY LIMIT: Already traded today (${tradesToday})`);
+      return decision;
+    }
+    decision.reasons.push(`A+ SETUP (${confluence.score}/10): Allowing second trade`);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // DECISION: TRADE!
+  // ─────────────────────────────────────────────────────────────────────
+  decision.action = expectedDirection === 'BULLISH' ? 'LONG' : 'SHORT';
+  decision.confidence = entryModels.winRateEstimate;
+  decision.reasons.push(`✓ TRADE SIGNAL: ${decision.action}`);
+  decision.reasons.push(`✓ Model: ${entryModels.model}`);
+  if (entryModels.matched.length > 1) {
+    decision.reasons.push(`✓ Also valid: ${entryModels.matched.slice(1).join(', ')}`);
+  }
+  decision.reasons.push(`✓ Confluence: ${confluence.score}/10`);
+  decision.reasons.push(`✓ Win Rate Est: ${(entryModels.winRateEstimate * 100).toFixed(0)}%`);
+  decision.reasons.push(decision.analysis.ltfBias
+    ? `✓ LTF Bias: ${expectedDirection} (HTF neutral)`
+    : `✓ HTF Bias: ${htfBias.overallBias} (${(htfBias.alignment * 100).toFixed(0)}% aligned)`);
+
+  return decision;
+}
+
+/**
+ * A NO_TRADE decision with nothing analyzed yet
+ */
+export function createDecision(asset, now) {
+  return {
+    timestamp: now.toISOString(),
+    asset,
+    action: 'NO_TRADE',
+    direction: null,
+    confidence: 0,
+    confluenceScore: 0,
+    reasons: [],
+    analysis: {}
+  };
+}
+
+/**
+ * Evaluate every active entry model (strategy/entryModels/) and pick the
+ * valid one with the lowest priority
+ *
+ * @param {Object} context - { asset, now, direction, candles, pairCandles, htfCandles, killzones }
+ * @returns {Object} { validModel, model, winRateEstimate, reason, matched, results }
+ */
+export function validateEntryModels(context) {
+  const results = getActiveEntryModels().map(({ id, model, priority, winRateEstimate }) => {
+    const result = model.evaluate(context);
+    return {
+      model: id,
+      priority,
+      winRateEstimate,
+      valid: !!result.valid,
+      reason: result.reason,
+      details: result.details
+    };
+  });
+
+  const matched = results.filter(result => result.valid);
+  const best = matched[0];
+
+  return {
+    validModel: !!best,
+    model: best?.model ?? null,
+    winRateEstimate: best?.winRateEstimate ?? 0,
+    reason: best?.reason ?? (results.length > 0 ? 'No model conditions met' : 'No entry model enabled'),
+    matched: matched.map(result => result.model),
+    results
+  };
+}
+
+/**
+ * Calculate confluence score
+ */
+export function calculateConfluence(analysis, candles, pairCandles, expectedDirection) {
+  const factors = CONFIG.CONFLUENCE.FACTORS;
+  let score = 0;
+  const presentFactors = [];
+  const missingFactors = [];
+
+  // HTF Bias Aligned (not earned by an LTF fallback)
+  if (analysis.htfBias.aligned && analysis.htfBias.overallBias === expectedDirection) {
+    score += factors.HTF_BIAS_ALIGNED;
+    presentFactors.push('HTF_BIAS');
+  } else {
+    missingFactors.push('HTF_BIAS');
+  }
+
+  // Killzone Active
+  if (analysis.killzoneStatus.canTrade) {
+    score += factors.KILLZONE_ACTIVE;
+    presentFactors.push('KILLZONE');
+
+    // Silver bullet bonus
+    if (analysis.killzoneStatus.quality?.inSilverBullet?.active) {
+      score += 0.5;
+      presentFactors.push('SILVER_BULLET');
+    }
+  } else {
+    missingFactors.push('KILLZONE');
+  }
+
+  // Liquidity Swept
+  if (analysis.liquiditySweep.swept) {
+    score += factors.LIQUIDITY_SWEPT;
+    presentFactors.push('LIQUIDITY_SWEPT');
+  } else {
+    missingFactors.push('LIQUIDITY_SWEPT');
+  }
+
+  // FVG Present
+  if (analysis.fvgEntry.valid) {
+    score += factors.FVG_PRESENT;
+    presentFactors.push('FVG');
+  } else {
+    missingFactors.push('FVG');
+  }
+
+  // Premium/Discount Zone
+  const pdZone = new MarketStructure().getPremiumDiscountZone(candles);
+  const correctZone = (expectedDirection === 'BULLISH' && pdZone.zone.includes('DISCOUNT')) ||
+                     (expectedDirection === 'BEARISH' && pdZone.zone.includes('PREMIUM'));
+  if (correctZone) {
+    score += factors.PREMIUM_DISCOUNT_ZONE;
+    presentFactors.push('PD_ZONE');
+  } else {
+    missingFactors.push('PD_ZONE');
+  }
+
+  // SMT Divergence (bonus, high value)
+  const smtCheck = CONFIG.ICT.SMT.ENABLED
+    ? new SMTDivergence().checkSMTConfirmation(candles, pairCandles, expectedDirection)
+    : { confirmed: false };
+  if (smtCheck.confirmed) {
+    score += factors.SMT_DIVERGENCE;
+    presentFactors.push('SMT');
+  } else {
+    missingFactors.push('SMT');
+  }
+
+  // News Clear
+  if (!analysis.newsCheck.blackout) {
+    score += factors.NEWS_CLEAR;
+    presentFactors.push('NEWS_CLEAR');
+  } else {
+    missingFactors.push('NEWS_CLEAR');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // External Data Factors
+  // ─────────────────────────────────────────────────────────────────────
+
+  // News Sentiment Aligned
+  if (analysis.externalData?.sentiment?.aligned) {
+    score += factors.NEWS_SENTIMENT_ALIGNED || 1.5;
+    presentFactors.push(`SENTIMENT(${analysis.externalData.sentiment.bias})`);
+  } else if (analysis.externalData?.sentiment) {
+    missingFactors.push('NEWS_SENTIMENT');
+  }
+
+  // ETF Flows Aligned
+  if (analysis.externalData?.etf?.aligned) {
+    score += factors.ETF_FLOWS_ALIGNED || 2.0;
+    presentFactors.push(`ETF_FLOWS(${analysis.externalData.etf.bias})`);
+  } else if (analysis.externalData?.etf) {
+    missingFactors.push('ETF_FLOWS');
+  }
+
+  // Economic Bias Aligned
+  if (analysis.externalData?.economic?.aligned) {
+    score += factors.ECONOMIC_BIAS_ALIGNED || 1.0;
+    presentFactors.push(`ECONOMIC(${analysis.externalData.economic.bias})`);
+  } else if (analysis.externalData?.economic) {
+    missingFactors.push('ECONOMIC_BIAS');
+  }
+
+  return {
+    score: Math.round(score * 10) / 10,
+    maxScore: Object.values(factors).reduce((a, b) => a + b, 0),
+    presentFactors,
+    missingFactors,
+    isAPlus: score >= CONFIG.CONFLUENCE.A_PLUS_SCORE
+  };
+}
+
+/**
+ * Candles whose period ended by `now` (drops the one still forming)
+ */
+export function closedCandles(candles, timeframe, now) {
+  const duration = TIMEFRAME_MS[timeframe];
+  if (!duration) {
+    throw new Error(`Unknown timeframe: ${timeframe}`);
+  }
+  const cutoff = now.getTime() - duration;
+  return candles.filter(c => c.timestamp <= cutoff);
+}
+
+function pending(decision, input) {
+  decision.needs = input;
+  return decision;
+}
+
+export default evaluateSetup;
@@ -22,449 +22,177 @@
  *    ├─► Is volatility within range?
  *    │     NO ──► NO TRADE (too quiet or too chaotic)
  *    │
- *    ├─► What is HTF bias? (4H, Daily, Weekly)
- *    │     NEUTRAL ──► NO TRADE
+ *    ├─► What is HTF bias? (HTF_BIAS.TIMEFRAMES)
+ *    │     NEUTRAL ──► LTF bias if ALLOW_NEUTRAL_BIAS, else NO TRADE
  *    │
  *    ├─► Has liquidity been swept?
- *    │     NO ──► NO TRADE (mandatory requirement)
+ *    │     NO ──► NO TRADE (if SWEEP_REQUIRED)
  *    │
  *    ├─► Entry Model Check (FVG, MMXM, or Judas Swing)
- *    │     NO VALID MODEL ──► NO TRADE
+ *    │     NO VALID MODEL (or no FVG with REQUIRE_FVG) ──► NO TRADE
  *    │
  *    ├─► SMT Divergence Confirmation?
- *    │     (Adds confluence, not mandatory)
+ *    │     (Adds confluence, mandatory only if SMT.REQUIRED)
  *    │
  *    ├─► Calculate confluence score
- *    │     SCORE < 7 ──► NO TRADE
+ *    │     SCORE < MIN_SCORE_TO_TRADE ──► NO TRADE
  *    │
  *    └─► EXECUTE TRADE (LONG or SHORT)
  *
+ * The tree itself is evaluateSetup() (strategy/setupEvaluator.js), which the
+ * backtesters run too; this engine feeds it live data.
+ *
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
 import { CONFIG } from '../config/settings.js';
-import {
-  MarketStructure,
-  FairValueGap,
-  LiquidityAnalysis,
-  SMTDivergence,
-  MMXM,
-  KillzoneDetector
-} from './ict/index.js';
 import { PriceDataFetcher } from './data/priceData.js';
 import { NewsFilter } from './filters/newsFilter.js';
 // NEW: External data sources
 import { NewsSentiment } from './data/newsSentiment.js';
 import { ETFFlows } from './data/etfFlows.js';
 import { EconomicCalendar } from './data/economicCalendar.js';
+import { DecisionAudit, describeMarketData } from './state/decisionAudit.js';
+import { evaluateSetup, createDecision } from './strategy/setupEvaluator.js';
+import { createLogger, getCorrelationId } from './logger.js';
+import { systemClock } from './clock.js';
+import { resolveConfig, getConfigInfo } from '../config/loader.js';
+
+const log = createLogger('decision');
 
 export class TradeDecisionEngine {
-  constructor() {
-    // Initialize all ICT analysis modules
-    this.marketStructure = new MarketStructure();
-    this.fvg = new FairValueGap();
-    this.liquidity = new LiquidityAnalysis();
-    this.smt = new SMTDivergence();
-    this.mmxm = new MMXM();
-    this.killzones = new KillzoneDetector();
-    this.priceData = new PriceDataFetcher();
-    this.newsFilter = new NewsFilter();
+  /**
+   * Data providers and the clock are injectable so a replay can feed a
+   * recorded snapshot back through the same decision tree.
+   *
+   * @param {Object} options
+   * @param {DecisionAudit|null} options.audit - Where decisions are recorded (null = not recorded)
+   * @param {Object} options.clock - { now() } time source (default: system clock)
+   * @param {Object} options.priceData - getAnalysisData(asset) provider
+   * @param {Object} options.newsFilter - checkNewsBlackout() provider
+   * @param {Object} options.newsSentiment - getSentimentSignal(direction) provider
+   * @param {Object} options.etfFlows - getETFSignal(direction) provider
+   * @param {Object} options.economicCalendar - getEconomicSignal(direction) provider
+   */
+  constructor(options = {}) {
+    resolveConfig();
+    this.clock = options.clock || systemClock;
+
+    this.priceData = options.priceData || new PriceDataFetcher();
+    this.asset = CONFIG.STRATEGY.ASSET;  // Analyzed asset = traded market asset
+    this.newsFilter = options.newsFilter || new NewsFilter({ clock: this.clock });
 
     // NEW: External data sources
-    this.newsSentiment = new NewsSentiment();
-    this.etfFlows = new ETFFlows();
-    this.economicCalendar = new EconomicCalendar();
+    this.newsSentiment = options.newsSentiment || new NewsSentiment();
+    this.etfFlows = options.etfFlows || new ETFFlows();
+    this.economicCalendar = options.economicCalendar || new EconomicCalendar();
+
+    this.audit = options.audit !== undefined
+      ? options.audit
+      : (CONFIG.AUDIT.ENABLED ? new DecisionAudit() : null);
 
     // State tracking
     this.tradesToday = 0;
     this.lastTradeDate = null;
     this.consecutiveWins = 0;
+
+    // Inputs of the last makeDecision() not already in its analysis (for the audit snapshot)
+    this.lastInputs = null;
+  }
+
+  /**
+   * Restore the daily trade count (rebuilt from the trade journal on startup)
+   */
+  restoreTradeCount(tradesToday, date = this.clock.now().toISOString().split('T')[0]) {
+    this.tradesToday = tradesToday;
+    this.lastTradeDate = date;
+  }
+
+  /**
+   * Count a trade toward the daily limit once it filled
+   * (the same trades the journal counts on restart)
+   */
+  recordTrade(date = this.clock.now().toISOString().split('T')[0]) {
+    if (this.lastTradeDate !== date) {
+      this.tradesToday = 0;
+      this.lastTradeDate = date;
+    }
+    this.tradesToday++;
   }
 
   /**
    * ═══════════════════════════════════════════════════════════════════════════
    * MAIN DECISION FUNCTION
    * Returns: { action: 'NO_TRADE' | 'LONG' | 'SHORT', ... }
+   *
+   * The rules live in evaluateSetup(); this loads the inputs it asks for.
+   * The daily trade count only moves when the bot records a filled trade.
    * ═══════════════════════════════════════════════════════════════════════════
    */
   async makeDecision() {
-    const decision = {
-      timestamp: new Date().toISOString(),
-      action: 'NO_TRADE',
-      direction: null,
-      confidence: 0,
-      confluenceScore: 0,
-      reasons: [],
-      analysis: {}
+    const context = {
+      asset: this.asset,
+      clock: this.clock,
+      tradesToday: this.tradesToday,
+      lastTradeDate: this.lastTradeDate
     };
 
-    try {
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 1: Trading Day Check
-      // ─────────────────────────────────────────────────────────────────────
-      const dayCheck = this.killzones.shouldSkipToday();
-      if (dayCheck.skip) {
-        decision.reasons.push(`SKIP: ${dayCheck.reason}`);
-        return decision;
-      }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 2: News Blackout Check
-      // ─────────────────────────────────────────────────────────────────────
-      const newsCheck = await this.newsFilter.checkNewsBlackout();
-      decision.analysis.news = newsCheck;
-
-      if (newsCheck.blackout) {
-        decision.reasons.push(`NEWS BLACKOUT: ${newsCheck.event} in ${newsCheck.minutesUntil}min`);
-        return decision;
-      }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 3: Killzone Check
-      // ─────────────────────────────────────────────────────────────────────
-      const killzoneStatus = this.killzones.getTradingWindowStatus();
-      decision.analysis.killzone = killzoneStatus;
-
-      if (!killzoneStatus.canTrade) {
-        decision.reasons.push(`OUTSIDE KILLZONE: ${killzoneStatus.reason || 'Wait for London/NY session'}`);
-        if (killzoneStatus.quality?.nextKillzone) {
-          decision.reasons.push(`Next: ${killzoneStatus.quality.nextKillzone.name} in ${killzoneStatus.quality.nextKillzone.hoursUntil}h`);
-        }
-        return decision;
-      }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 4: Fetch Market Data
-      // ─────────────────────────────────────────────────────────────────────
-      const marketData = await this.priceData.getAnalysisData();
-      decision.analysis.price = marketData.btc.ticker;
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 5: Volatility Filter
-      // ─────────────────────────────────────────────────────────────────────
-      decision.analysis.volatility = marketData.volatility;
-
-      if (!marketData.volatility.isVolatilityOK) {
-        const atrPct = marketData.volatility.atrPercent.toFixed(2);
-        if (marketData.volatility.atrPercent < CONFIG.FILTERS.VOLATILITY.MIN_ATR_PERCENT) {
-          decision.reasons.push(`LOW VOLATILITY: ATR ${atrPct}% - no edge in quiet market`);
-        } else {
-          decision.reasons.push(`HIGH VOLATILITY: ATR ${atrPct}% - too unpredictable`);
-        }
-        return decision;
-      }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 6: HTF Bias Analysis
-      // ─────────────────────────────────────────────────────────────────────
-      const htfBias = this.marketStructure.getHTFBiasAlignment(marketData.btc.multiTimeframe);
-      decision.analysis.htfBias = htfBias;
-
-      if (!htfBias.aligned || htfBias.overallBias === 'NEUTRAL') {
-        decision.reasons.push(`NO HTF ALIGNMENT: ${htfBias.bullishCount}B/${htfBias.bearishCount}Be - mixed signals`);
-        return decision;
-      }
-
-      const expectedDirection = htfBias.overallBias;
-      decision.direction = expectedDirection;
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 6.5: EXTERNAL DATA ANALYSIS (News, ETF Flows, Economic)
-      // ─────────────────────────────────────────────────────────────────────
-      const externalData = await this.analyzeExternalData(expectedDirection);
-      decision.analysis.externalData = externalData;
-
-      // Check for economic calendar blackout (high-impact events)
-      if (externalData.economic?.canTrade === false) {
-        decision.reasons.push(`ECONOMIC EVENT BLACKOUT: ${externalData.economic.reason}`);
-        return decision;
-      }
-
-      // Check for ETF flow strong disagreement (optional block)
-      if (CONFIG.DATA_SOURCES?.ETF_FLOWS?.BLOCK_ON_STRONG_DISAGREEMENT &&
-          externalData.etf?.strongDisagreement) {
-        decision.reasons.push(`ETF FLOW DISAGREEMENT: ${externalData.etf.reason}`);
-        decision.reasons.push(`ETF Signal: ${externalData.etf.bias} vs Trade: ${expectedDirection}`);
-        return decision;
-      }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 7: LIQUIDITY SWEEP CHECK (MANDATORY)
-      // ─────────────────────────────────────────────────────────────────────
-      const btcCandles = marketData.btc.candles5m;
-      const liquiditySweep = this.liquidity.hasRecentLiquiditySweep(btcCandles, expectedDirection);
-      decision.analysis.liquiditySweep = liquiditySweep;
-
-      if (!liquiditySweep.swept) {
-        decision.reasons.push(`NO LIQUIDITY SWEEP: ${liquiditySweep.reason}`);
-        decision.reasons.push('MANDATORY: Must sweep liquidity before entry');
-        return decision;
-      }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 8: Entry Model Validation
-      // ─────────────────────────────────────────────────────────────────────
-      const entryModels = this.validateEntryModels(btcCandles, marketData.eth.candles5m, expectedDirection);
-      decision.analysis.entryModels = entryModels;
-
-      if (!entryModels.validModel) {
-        decision.reasons.push(`NO VALID ENTRY MODEL: ${entryModels.reason}`);
-        return decision;
-      }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 9: Calculate Confluence Score (including external data)
-      // ─────────────────────────────────────────────────────────────────────
-      const confluence = this.calculateConfluence({
-        htfBias,
-        killzoneStatus,
-        liquiditySweep,
-        entryModels,
-        newsCheck,
-        volatility: marketData.volatility,
-        externalData  // NEW: Include external data in confluence
-      }, btcCandles, marketData.eth.candles5m, expectedDirection);
-
-      decision.confluenceScore = confluence.score;
-      decision.analysis.confluence = confluence;
-
-      if (confluence.score < CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE) {
-        decision.reasons.push(`LOW CONFLUENCE: ${confluence.score}/${CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE} required`);
-        decision.reasons.push(`Present: ${confluence.presentFactors.join(', ')}`);
-        decision.reasons.push(`Missing: ${confluence.missingFactors.join(', ')}`);
-        return decision;
-      }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // STEP 10: Daily Trade Limit Check
-      // ─────────────────────────────────────────────────────────────────────
-      const today = new Date().toISOString().split('T')[0];
-      if (this.lastTradeDate !== today) {
-        this.tradesToday = 0;
-        this.lastTradeDate = today;
-      }
-
-      const isAPlusSetup = confluence.score >= CONFIG.CONFLUENCE.A_PLUS_SCORE;
+    this.lastInputs = {
+      tradesToday: this.tradesToday,
+      lastTradeDate: this.lastTradeDate,
+      marketData: null
+    };
 
-      if (this.tradesToday >= CONFIG.CHALLENGE.MAX_TRADES_PER_DAY) {
-        if (!isAPlusSetup || !CONFIG.CHALLENGE.ALLOW_SECOND_TRADE_IF_A_PLUS) {
-          decision.reasons.push(`DAILY LIMIT: Already traded today (${this.tradesToday})`);
-          return decision;
-        }
-        decision.reasons.push(`A+ SETUP (${confluence.score}/10): Allowing second trade`);
+    let decision = null;
+    try {
+      decision = evaluateSetup(context);
+      while (decision.needs) {
+        await this.loadInput(decision.needs, context, decision.direction);
+        decision = evaluateSetup(context);
       }
-
-      // ─────────────────────────────────────────────────────────────────────
-      // DECISION: TRADE!
-      // ─────────────────────────────────────────────────────────────────────
-      decision.action = expectedDirection === 'BULLISH' ? 'LONG' : 'SHORT';
-      decision.confidence = entryModels.winRateEstimate;
-      decision.reasons.push(`✓ TRADE SIGNAL: ${decision.action}`);
-      decision.reasons.push(`✓ Model: ${entryModels.model}`);
-      decision.reasons.push(`✓ Confluence: ${confluence.score}/10`);
-      decision.reasons.push(`✓ Win Rate Est: ${(entryModels.winRateEstimate * 100).toFixed(0)}%`);
-      decision.reasons.push(`✓ HTF Bias: ${htfBias.overallBias} (${(htfBias.alignment * 100).toFixed(0)}% aligned)`);
-
-      // Mark trade taken
-      this.tradesToday++;
-
-      return decision;
-
     } catch (error) {
+      log.error('Decision failed', error);
+      decision = decision || createDecision(this.asset, this.clock.now());
+      delete decision.needs;
       decision.reasons.push(`ERROR: ${error.message}`);
       decision.error = error;
-      return decision;
-    }
-  }
-
-  /**
-   * Validate entry models (FVG, MMXM, Judas Swing)
-   */
-  validateEntryModels(btcCandles, ethCandles, expectedDirection) {
-    const models = CONFIG.ENTRY_MODELS;
-    const results = {
-      validModel: false,
-      model: null,
-      winRateEstimate: 0,
-      reason: 'No model conditions met',
-      details: {}
-    };
-
-    // ─────────────────────────────────────────────────────────────────────
-    // Model 1: MMXM (Market Maker Model) - Highest priority
-    // ─────────────────────────────────────────────────────────────────────
-    if (models.MMXM.ENABLED) {
-      const mmxmAnalysis = this.mmxm.analyzeMMXMCycle(btcCandles, expectedDirection);
-      results.details.mmxm = mmxmAnalysis;
-
-      if (mmxmAnalysis.tradeable && mmxmAnalysis.direction === expectedDirection) {
-        results.validModel = true;
-        results.model = 'MMXM';
-        results.winRateEstimate = models.MMXM.WIN_RATE_ESTIMATE;
-        results.reason = mmxmAnalysis.entryReason;
-        return results;
-      }
     }
 
-    // ─────────────────────────────────────────────────────────────────────
-    // Model 2: FVG Entry after Displacement
-    // ─────────────────────────────────────────────────────────────────────
-    if (models.FVG_DISPLACEMENT.ENABLED) {
-      const fvgEntry = this.fvg.isAtFVGEntry(btcCandles, expectedDirection);
-      const pdZone = this.marketStructure.getPremiumDiscountZone(btcCandles);
-
-      results.details.fvg = { fvgEntry, pdZone };
-
-      // For bullish, want to be in discount; for bearish, want to be in premium
-      const correctZone = (expectedDirection === 'BULLISH' && pdZone.zone.includes('DISCOUNT')) ||
-                         (expectedDirection === 'BEARISH' && pdZone.zone.includes('PREMIUM'));
-
-      if (fvgEntry.valid && correctZone) {
-        results.validModel = true;
-        results.model = 'FVG_DISPLACEMENT';
-        results.winRateEstimate = models.FVG_DISPLACEMENT.WIN_RATE_ESTIMATE;
-        results.reason = `FVG entry at ${pdZone.zone} zone`;
-        return results;
-      }
+    if (context.marketData) {
+      decision.analysis.price = context.marketData.primary.ticker;
+      decision.analysis.data = describeMarketData(context.marketData);
     }
 
-    // ─────────────────────────────────────────────────────────────────────
-    // Model 3: Judas Swing
-    // ─────────────────────────────────────────────────────────────────────
-    if (models.JUDAS_SWING.ENABLED) {
-      const sessionOpen = this.killzones.getSessionOpenInfo();
-
-      if (sessionOpen.withinSessionOpen) {
-        // Find session open candle
-        const sessionOpenIndex = btcCandles.length - Math.floor(sessionOpen.minutesSinceOpen / 5) - 1;
-        const judasSwing = this.mmxm.detectJudasSwing(btcCandles, sessionOpenIndex, expectedDirection);
-
-        results.details.judasSwing = judasSwing;
-
-        if (judasSwing.tradeable && judasSwing.expectedReversal === expectedDirection) {
-          results.validModel = true;
-          results.model = 'JUDAS_SWING';
-          results.winRateEstimate = models.JUDAS_SWING.WIN_RATE_ESTIMATE;
-          results.reason = `Judas swing at ${sessionOpen.session} open`;
-          return results;
-        }
-      }
-    }
-
-    return results;
+    return decision;
   }
 
   /**
-   * Calculate confluence score
+   * Fetch an input evaluateSetup() asked for into its context
    */
-  calculateConfluence(analysis, btcCandles, ethCandles, expectedDirection) {
-    const factors = CONFIG.CONFLUENCE.FACTORS;
-    let score = 0;
-    const presentFactors = [];
-    const missingFactors = [];
-
-    // HTF Bias Aligned
-    if (analysis.htfBias.aligned) {
-      score += factors.HTF_BIAS_ALIGNED;
-      presentFactors.push('HTF_BIAS');
-    } else {
-      missingFactors.push('HTF_BIAS');
-    }
-
-    // Killzone Active
-    if (analysis.killzoneStatus.canTrade) {
-      score += factors.KILLZONE_ACTIVE;
-      presentFactors.push('KILLZONE');
-
-      // Silver bullet bonus
-      if (analysis.killzoneStatus.quality?.inSilverBullet?.active) {
-        score += 0.5;
-        presentFactors.push('SILVER_BULLET');
-      }
-    } else {
-      missingFactors.push('KILLZONE');
-    }
-
-    // Liquidity Swept
-    if (analysis.liquiditySweep.swept) {
-      score += factors.LIQUIDITY_SWEPT;
-      presentFactors.push('LIQUIDITY_SWEPT');
-    } else {
-      missingFactors.push('LIQUIDITY_SWEPT');
-    }
-
-    // FVG Present
-    const fvgEntry = this.fvg.isAtFVGEntry(btcCandles, expectedDirection);
-    if (fvgEntry.valid) {
-      score += factors.FVG_PRESENT;
-      presentFactors.push('FVG');
-    } else {
-      missingFactors.push('FVG');
-    }
-
-    // Premium/Discount Zone
-    const pdZone = this.marketStructure.getPremiumDiscountZone(btcCandles);
-    const correctZone = (expectedDirection === 'BULLISH' && pdZone.zone.includes('DISCOUNT')) ||
-                       (expectedDirection === 'BEARISH' && pdZone.zone.includes('PREMIUM'));
-    if (correctZone) {
-      score += factors.PREMIUM_DISCOUNT_ZONE;
-      presentFactors.push('PD_ZONE');
-    } else {
-      missingFactors.push('PD_ZONE');
-    }
-
-    // SMT Divergence (bonus, high value)
-    const smtCheck = this.smt.checkSMTConfirmation(btcCandles, ethCandles, expectedDirection);
-    if (smtCheck.confirmed) {
-      score += factors.SMT_DIVERGENCE;
-      presentFactors.push('SMT');
-    } else {
-      missingFactors.push('SMT');
-    }
-
-    // News Clear
-    if (!analysis.newsCheck.blackout) {
-      score += factors.NEWS_CLEAR;
-      presentFactors.push('NEWS_CLEAR');
-    } else {
-      missingFactors.push('NEWS_CLEAR');
+  async loadInput(input, context, direction) {
+    switch (input) {
+      case 'news':
+        context.news = await this.newsFilter.checkNewsBlackout();
+        break;
+
+      case 'marketData':
+        context.marketData = await this.priceData.getAnalysisData(this.asset);
+        this.lastInputs.marketData = context.marketData;
+        log.debug('Market data loaded', {
+          asset: this.asset,
+          price: context.marketData.primary.ticker?.price,
+          candles5m: context.marketData.primary.candles5m.length
+        });
+        break;
+
+      case 'externalData':
+        log.debug('Bias set', { direction });
+        context.externalData = await this.analyzeExternalData(direction);
+        break;
+
+      default:
+        throw new Error(`Unknown decision input: ${input}`);
     }
-
-    // ─────────────────────────────────────────────────────────────────────
-    // NEW: External Data Factors
-    // ─────────────────────────────────────────────────────────────────────
-
-    // News Sentiment Aligned
-    if (analysis.externalData?.sentiment?.aligned) {
-      score += factors.NEWS_SENTIMENT_ALIGNED || 1.5;
-      presentFactors.push(`SENTIMENT(${analysis.externalData.sentiment.bias})`);
-    } else if (analysis.externalData?.sentiment) {
-      missingFactors.push('NEWS_SENTIMENT');
-    }
-
-    // ETF Flows Aligned
-    if (analysis.externalData?.etf?.aligned) {
-      score += factors.ETF_FLOWS_ALIGNED || 2.0;
-      presentFactors.push(`ETF_FLOWS(${analysis.externalData.etf.bias})`);
-    } else if (analysis.externalData?.etf) {
-      missingFactors.push('ETF_FLOWS');
-    }
-
-    // Economic Bias Aligned
-    if (analysis.externalData?.economic?.aligned) {
-      score += factors.ECONOMIC_BIAS_ALIGNED || 1.0;
-      presentFactors.push(`ECONOMIC(${analysis.externalData.economic.bias})`);
-    } else if (analysis.externalData?.economic) {
-      missingFactors.push('ECONOMIC_BIAS');
-    }
-
-    return {
-      score: Math.round(score * 10) / 10,
-      maxScore: Object.values(factors).reduce((a, b) => a + b, 0),
-      presentFactors,
-      missingFactors,
-      isAPlus: score >= CONFIG.CONFLUENCE.A_PLUS_SCORE
-    };
   }
 
   /**
@@ -531,6 +259,16 @@ export class TradeDecisionEngine {
   async getAnalysis() {
     const decision = await this.makeDecision();
 
+    log.info(`Decision: ${decision.action}${decision.reasons[0] ? ` - ${decision.reasons[0]}` : ''}`, {
+      asset: decision.asset,
+      direction: decision.direction,
+      confluenceScore: decision.confluenceScore,
+      confidence: decision.confidence,
+      model: decision.analysis.entryModels?.model,
+      reasons: decision.reasons
+    });
+    this.audit?.record(decision, { cycleId: getCorrelationId(), configHash: getConfigInfo().hash }, this.lastInputs);
+
     return {
       decision,
       summary: this.generateSummary(decision),
@@ -0,0 +1,117 @@
+/**
+ * Backtest reports: the backtesters return them and print nothing
+ *
+ * Runs on synthetic candles (seeded random walk), with the strategy
+ * filters relaxed so the period has trades.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config/settings.js';
+import { Backtester } from '../src/backtest/runner.js';
+import { MultiAssetBacktester } from '../src/backtest/multiAssetRunner.js';
+import { printBacktestReport, printMultiAssetReport } from '../src/backtest/report.js';
+
+const START = Date.parse('2025-09-01T00:00:00Z');
+const END = Date.parse('2025-10-31T00:00:00Z');
+
+function createRandom(seed) {
+  return () => {
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+function candles(random, stepMs, price, drift) {
+  const out = [];
+  for (let timestamp = START; timestamp < END; timestamp += stepMs) {
+    const open = price;
+    price = price * (1 + (random() - drift) * 0.006);
+    out.push({
+      timestamp,
+      open,
+      high: Math.max(open, price) * (1 + random() * 0.002),
+      low: Math.min(open, price) * (1 - random() * 0.002),
+      close: price,
+      volume: 100
+    });
+  }
+  return out;
+}
+
+function marketData(seed) {
+  const random = createRandom(seed);
+  return {
+    '5m': candles(random, 5 * 60 * 1000, 3000, 0.49),
+    pair5m: candles(random, 5 * 60 * 1000, 60000, 0.49),
+    '4h': candles(random, 4 * 60 * 60 * 1000, 3000, 0.45),
+    '1d': candles(random, 24 * 60 * 60 * 1000, 3000, 0.45)
+  };
+}
+
+let consoleLog;
+let printed;
+
+before(() => {
+  CONFIG.LOGGING.CONSOLE = false;
+  CONFIG.LOGGING.FILE_PATH = null;
+  CONFIG.ICT.LIQUIDITY.SWEEP_REQUIRED = false;
+  CONFIG.ENTRY_MODELS.REQUIRE_FVG = false;
+  CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE = 0;
+  CONFIG.FILTERS.VOLATILITY.MIN_ATR_PERCENT = 0;
+  CONFIG.FILTERS.VOLATILITY.MAX_ATR_PERCENT = 50;
+
+  consoleLog = console.log;
+  console.log = (...args) => printed.push(args.join(' '));
+});
+
+after(() => {
+  console.log = consoleLog;
+});
+
+test('Backtester.runBacktest returns the report without printing it', async () => {
+  const data = marketData(11);
+  const backtester = new Backtester();
+  backtester.dataManager = {
+    getETH13Data: async () => ({ eth5m: data['5m'], eth4h: data['4h'], eth1d: data['1d'], btc5m: data.pair5m })
+  };
+
+  printed = [];
+  const report = await backtester.runBacktest('2025-09-01', '2025-10-30');
+  assert.deepEqual(printed, []);
+
+  assert.ok(report.tradedDays > 0);
+  assert.equal(report.wins + report.losses, report.tradedDays);
+  assert.equal(report.tradeFrequency, report.tradedDays / report.totalDays);
+
+  const byModel = Object.values(report.byModel);
+  assert.equal(byModel.reduce((sum, stats) => sum + stats.trades, 0), report.tradedDays);
+  assert.equal(byModel.reduce((sum, stats) => sum + stats.wins, 0), report.wins);
+
+  // The report survives --json
+  assert.deepEqual(Object.keys(JSON.parse(JSON.stringify(report))).sort(), Object.keys(report).sort());
+
+  printBacktestReport(report);
+  assert.ok(printed.some(line => line.includes('WIN RATE BY MODEL:')));
+  assert.ok(printed.some(line => line.startsWith(`  Days Traded:             ${report.tradedDays}`)));
+});
+
+test('MultiAssetBacktester.runBacktest returns per-asset and combined stats without printing', async () => {
+  const data = { [CONFIG.DATA.SYMBOLS.BTC]: marketData(5), [CONFIG.DATA.SYMBOLS.ETH]: marketData(7) };
+  const backtester = new MultiAssetBacktester();
+  backtester.assets = ['BTC', 'ETH'];
+  backtester.fetchHistoricalData = async (symbol, timeframe) => data[symbol][timeframe];
+
+  printed = [];
+  const report = await backtester.runBacktest('2025-09-01', '2025-10-30');
+  assert.deepEqual(printed, []);
+
+  assert.deepEqual(Object.keys(report.assets), ['BTC', 'ETH']);
+  assert.equal(report.combined.totalTrades, report.assets.BTC.tradedDays + report.assets.ETH.tradedDays);
+  assert.equal(report.combined.totalWins, report.assets.BTC.wins + report.assets.ETH.wins);
+
+  printMultiAssetReport(report);
+  assert.ok(printed.includes(`Total Trades (all assets): ${report.combined.totalTrades}`));
+});
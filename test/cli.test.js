@@ -0,0 +1,48 @@
+/**
+ * CLI --json: stdout carries exactly one JSON document
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ENTRY = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+let dataDir;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcasino13-cli-'));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function runJson(...args) {
+  const stdout = execFileSync(process.execPath, [ENTRY, ...args, '--json'], {
+    env: { ...process.env, BOT_DATA_DIR: dataDir },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  return JSON.parse(stdout);
+}
+
+test('config --json prints only the settings document', () => {
+  const result = runJson('config', '--profile', 'eth13');
+
+  assert.equal(result.profile, 'eth13');
+  assert.equal(result.config.STRATEGY.ASSET, 'ETH');
+  assert.match(result.hash, /^[0-9a-f]{12}$/);
+});
+
+test('status --json keeps log lines off stdout', () => {
+  const status = runJson('status', '--paper');
+
+  assert.equal(status.mode, 'paper');
+  assert.equal(status.consecutiveWins, 0);
+});
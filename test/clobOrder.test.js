@@ -0,0 +1,116 @@
+/**
+ * CLOB order submission against MockClobServer
+ *
+ * Runs PolymarketClient.executeOrder end to end on a local mock CLOB:
+ * API key derivation, the EIP-712 signed order payload and the L2 headers.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { CONFIG } from '../config/settings.js';
+import { PolymarketClient } from '../src/polymarket/client.js';
+import { MockClobServer } from '../src/polymarket/mockClob.js';
+import { ORDER_TYPES, SIDES, buildHmacSignature } from '../src/polymarket/orderSigner.js';
+
+// Throwaway key: only ever signs for the local mock
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const TOKEN_ID = '71321045679252212594626385532706912750332728571942532289631379312455583992563';
+
+for (const name of ['POLY_API_KEY', 'POLY_API_SECRET', 'POLY_PASSPHRASE', 'POLY_FUNDER_ADDRESS']) {
+  delete process.env[name];
+}
+
+let clob;
+let apiUrl;
+
+before(async () => {
+  clob = new MockClobServer({ fillRatio: 1 });
+  apiUrl = await clob.start();
+});
+
+after(async () => {
+  await clob.stop();
+});
+
+function createClient() {
+  return new PolymarketClient(PRIVATE_KEY, { apiUrl, gammaUrl: apiUrl, dataApiUrl: apiUrl });
+}
+
+function createOrder() {
+  return {
+    market: { id: 'mock-market', negRisk: false },
+    direction: 'UP',
+    outcome: 'YES',
+    tokenId: TOKEN_ID,
+    price: 0.6,
+    amount: 6,
+    shares: 10,
+    orderType: 'FOK'
+  };
+}
+
+test('executeOrder submits a signed order with L2 headers', async () => {
+  const client = createClient();
+  const wallet = new ethers.Wallet(PRIVATE_KEY);
+
+  const result = await client.executeOrder(createOrder());
+
+  assert.equal(result.success, true);
+  assert.equal(result.fillStatus, 'FILLED');
+
+  // No key yet: derive fails, one key is created
+  const auth = clob.requests.filter(r => r.path.startsWith('/auth/'));
+  assert.deepEqual(auth.map(r => `${r.method} ${r.path}`), ['GET /auth/derive-api-key', 'POST /auth/api-key']);
+
+  const request = clob.requests.find(r => r.method === 'POST' && r.path === '/order');
+  const { order, owner, orderType } = JSON.parse(request.body);
+
+  assert.equal(owner, client.apiCreds.key);
+  assert.equal(orderType, 'FOK');
+  assert.equal(order.side, 'BUY');
+  assert.equal(order.tokenId, TOKEN_ID);
+  assert.equal(order.maker, wallet.address);
+  assert.equal(order.signer, wallet.address);
+  assert.equal(order.makerAmount, '6000000');   // 10 shares x $0.60
+  assert.equal(order.takerAmount, '10000000');
+
+  const { signature, ...fields } = order;
+  const domain = {
+    name: 'Polymarket CTF Exchange',
+    version: '1',
+    chainId: CONFIG.POLYMARKET.CHAIN_ID,
+    verifyingContract: CONFIG.POLYMARKET.EXCHANGE_ADDRESS
+  };
+  assert.equal(ethers.verifyTypedData(domain, ORDER_TYPES, { ...fields, side: SIDES.BUY }, signature), wallet.address);
+
+  const headers = request.headers;
+  assert.equal(headers.poly_address, wallet.address);
+  assert.equal(headers.poly_api_key, client.apiCreds.key);
+  assert.equal(headers.poly_passphrase, client.apiCreds.passphrase);
+  assert.equal(
+    headers.poly_signature,
+    buildHmacSignature(client.apiCreds.secret, headers.poly_timestamp, 'POST', '/order', request.body)
+  );
+});
+
+test('getApiCredentials reuses the derived key', async () => {
+  const created = clob.requests.filter(r => r.path === '/auth/api-key').length;
+
+  await createClient().getApiCredentials();
+
+  assert.equal(clob.requests.filter(r => r.path === '/auth/api-key').length, created);
+});
+
+test('getApiCredentials does not create a key when derive fails otherwise', async () => {
+  const created = clob.requests.filter(r => r.path === '/auth/api-key').length;
+  clob.deriveStatus = 503;
+
+  try {
+    await assert.rejects(createClient().getApiCredentials(), error => error.response?.status === 503);
+  } finally {
+    clob.deriveStatus = null;
+  }
+
+  assert.equal(clob.requests.filter(r => r.path === '/auth/api-key').length, created);
+});
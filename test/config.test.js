@@ -0,0 +1,86 @@
+/**
+ * Layered settings: JSON/YAML profiles and files, and the live day filter
+ *
+ * resolveConfig() applies once per process, so the defaults are checked
+ * before the layered test resolves.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../config/settings.js';
+import { resolveConfig, listProfiles } from '../config/loader.js';
+import { KillzoneDetector } from '../src/ict/killzones.js';
+import { fixedClock } from '../src/clock.js';
+
+// Mon 2025-10-20 .. Fri 2025-10-24 (no market holidays), mid London killzone
+const WEEK = {
+  Mon: '2025-10-20T08:00:00Z',
+  Tue: '2025-10-21T08:00:00Z',
+  Wed: '2025-10-22T08:00:00Z',
+  Thu: '2025-10-23T08:00:00Z',
+  Fri: '2025-10-24T08:00:00Z'
+};
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcasino13-config-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function skippedDays() {
+  return Object.entries(WEEK)
+    .filter(([, time]) => new KillzoneDetector({ clock: fixedClock(time) }).shouldSkipToday().skip)
+    .map(([day]) => day);
+}
+
+test('live trading skips the days outside KILLZONES.DAY_FILTER (default Mon/Tue/Wed)', () => {
+  assert.deepEqual(CONFIG.KILLZONES.DAY_FILTER.TRADING_DAYS, [1, 2, 3]);
+  assert.deepEqual(skippedDays(), ['Thu', 'Fri']);
+
+  const friday = new KillzoneDetector({ clock: fixedClock(WEEK.Fri) }).shouldSkipToday();
+  assert.equal(friday.reason, 'Fri - strategy trades Mon/Tue/Wed only');
+});
+
+test('live trading takes every weekday with the day filter disabled', () => {
+  CONFIG.KILLZONES.DAY_FILTER.ENABLED = false;
+  try {
+    assert.deepEqual(skippedDays(), []);
+  } finally {
+    CONFIG.KILLZONES.DAY_FILTER.ENABLED = true;
+  }
+});
+
+test('YAML profiles and config files layer like JSON ones', () => {
+  const profile = path.join(dir, 'custom.yaml');
+  fs.writeFileSync(profile, [
+    'extends: eth13',
+    'CONFLUENCE:',
+    '  MIN_SCORE_TO_TRADE: 5'
+  ].join('\n'));
+
+  const file = path.join(dir, 'overrides.yml');
+  fs.writeFileSync(file, [
+    '# Trade Monday, Tuesday and Friday',
+    'KILLZONES:',
+    '  DAY_FILTER:',
+    '    TRADING_DAYS: [1, 2, 5]'
+  ].join('\n'));
+
+  const info = resolveConfig({ profile, file, env: {} });
+
+  assert.deepEqual(info.sources, ['defaults', 'profile:eth13', `profile:${profile}`, `file:${file}`]);
+  assert.equal(CONFIG.STRATEGY.ASSET, 'ETH');
+  assert.equal(CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE, 5);
+  assert.deepEqual(skippedDays(), ['Wed', 'Thu']);
+});
+
+test('listProfiles names each profile once', () => {
+  assert.deepEqual(listProfiles(), ['btc-daily', 'eth13', 'paper']);
+});
@@ -0,0 +1,171 @@
+/**
+ * Decision replay: recorded decisions recompute to the same result
+ *
+ * Decisions are recorded through the live path (getAnalysis → DecisionAudit)
+ * on synthetic candles (seeded random walk ending at the decision time),
+ * with the strategy filters relaxed so the seed below is a LONG.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../config/settings.js';
+import { TradeDecisionEngine } from '../src/tradeDecision.js';
+import { DecisionAudit } from '../src/state/decisionAudit.js';
+import { replayDecision } from '../src/state/decisionReplay.js';
+import { fixedClock } from '../src/clock.js';
+
+// Tuesday, London killzone
+const NOW = Date.parse('2025-10-21T08:00:00Z');
+const SEED = 17;
+
+let dataDir;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcasino13-replay-'));
+
+  CONFIG.LOGGING.CONSOLE = false;
+  CONFIG.LOGGING.FILE_PATH = null;
+  CONFIG.ICT.LIQUIDITY.SWEEP_REQUIRED = false;
+  CONFIG.ENTRY_MODELS.REQUIRE_FVG = false;
+  CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE = 0;
+  CONFIG.FILTERS.VOLATILITY.MIN_ATR_PERCENT = 0;
+  CONFIG.FILTERS.VOLATILITY.MAX_ATR_PERCENT = 50;
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function createRandom(seed) {
+  return () => {
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+function candles(random, stepMs, count, price, drift) {
+  const out = [];
+  for (let i = count; i > 0; i--) {
+    const open = price;
+    price = price * (1 + (random() - drift) * 0.006);
+    out.push({
+      timestamp: NOW - i * stepMs,
+      open,
+      high: Math.max(open, price) * (1 + random() * 0.002),
+      low: Math.min(open, price) * (1 - random() * 0.002),
+      close: price,
+      volume: 100
+    });
+  }
+  return out;
+}
+
+function marketData(seed) {
+  const random = createRandom(seed);
+  return {
+    asset: 'ETH',
+    primary: {
+      candles5m: candles(random, 5 * 60 * 1000, 300, 3000, 0.49),
+      multiTimeframe: {
+        '4h': candles(random, 4 * 60 * 60 * 1000, 100, 3000, 0.45),
+        '1d': candles(random, 24 * 60 * 60 * 1000, 100, 3000, 0.45)
+      },
+      ticker: { price: 3000 }
+    },
+    pair: {
+      asset: 'BTC',
+      candles5m: candles(random, 5 * 60 * 1000, 300, 60000, 0.49)
+    },
+    volatility: null,
+    timestamp: NOW
+  };
+}
+
+/**
+ * Make and audit one decision the way the bot does
+ */
+async function recordDecision(fileName, tradesToday = 0) {
+  const audit = new DecisionAudit({ dataDir, fileName, snapshots: true });
+  const data = marketData(SEED);
+  const engine = new TradeDecisionEngine({
+    audit,
+    clock: fixedClock(NOW),
+    priceData: { getAnalysisData: async () => data },
+    newsSentiment: { getSentimentSignal: async () => null },
+    etfFlows: { getETFSignal: async () => null },
+    economicCalendar: { getEconomicSignal: async () => null }
+  });
+  engine.restoreTradeCount(tradesToday);
+
+  await engine.getAnalysis();
+  return { audit, entry: audit.read().at(-1) };
+}
+
+test('an unchanged strategy replays to the recorded decision', async () => {
+  const { audit, entry } = await recordDecision('same.jsonl');
+  assert.equal(entry.action, 'LONG');
+  assert.ok(entry.replay.snapshot);
+
+  const result = await replayDecision(entry, audit);
+
+  assert.equal(result.replayable, true);
+  assert.equal(result.dataMatch, true);
+  assert.equal(result.configChanged, false);
+  assert.equal(result.decision.action, 'LONG');
+  assert.deepEqual(result.differences, []);
+});
+
+test('a changed setting shows up in the diff', async () => {
+  const { audit, entry } = await recordDecision('changed.jsonl');
+
+  const minScore = CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE;
+  CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE = entry.confluenceScore + 1;
+  let result;
+  try {
+    result = await replayDecision(entry, audit);
+  } finally {
+    CONFIG.CONFLUENCE.MIN_SCORE_TO_TRADE = minScore;
+  }
+
+  assert.equal(result.replayable, true);
+  assert.equal(result.dataMatch, true);
+  assert.equal(result.configChanged, true);
+  assert.deepEqual(result.differences.find(d => d.field === 'action'), {
+    field: 'action',
+    recorded: 'LONG',
+    replayed: 'NO_TRADE'
+  });
+});
+
+test('the recorded daily trade count is restored for the replay', async () => {
+  const { audit, entry } = await recordDecision('limit.jsonl', CONFIG.CHALLENGE.MAX_TRADES_PER_DAY);
+  assert.equal(entry.action, 'NO_TRADE');
+  assert.ok(entry.reasons.some(r => r.startsWith('DAILY LIMIT')));
+
+  const result = await replayDecision(entry, audit);
+
+  assert.equal(result.decision.action, 'NO_TRADE');
+  assert.deepEqual(result.differences, []);
+});
+
+test('entries without replay inputs or snapshot are not replayable', async () => {
+  const { audit, entry } = await recordDecision('missing.jsonl');
+
+  const legacy = await replayDecision({ ...entry, replay: null }, audit);
+  assert.equal(legacy.replayable, false);
+  assert.equal(legacy.reason, 'Recorded without replay inputs');
+
+  const noSnapshot = await replayDecision({ ...entry, replay: { ...entry.replay, snapshot: null } }, audit);
+  assert.equal(noSnapshot.replayable, false);
+  assert.equal(noSnapshot.reason, 'Candle snapshot not stored (AUDIT.SNAPSHOTS off)');
+
+  fs.rmSync(path.join(dataDir, entry.replay.snapshot));
+  const deleted = await replayDecision(entry, audit);
+  assert.equal(deleted.replayable, false);
+  assert.match(deleted.reason, /^Snapshot missing: /);
+});
@@ -0,0 +1,110 @@
+/**
+ * Up/Down market periods around DST changes and the midnight-ET boundary
+ *
+ * Every case injects the decision time, so results do not depend on the
+ * host clock or time zone.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCandidateSlugs, getMarketPeriod, getSeries } from '../src/polymarket/marketSeries.js';
+
+function candidates(now, seriesName) {
+  return getCandidateSlugs('BTC', new Date(now), seriesName).map(({ slug, period }) => ({
+    slug,
+    start: period.start.toISOString(),
+    end: period.end.toISOString()
+  }));
+}
+
+// ─── DST spring-forward (2025-03-09, 02:00 EST → 03:00 EDT) ──────────────────
+
+test('daily: spring-forward day resolves at noon EDT', () => {
+  assert.deepEqual(candidates('2025-03-08T20:00:00Z', 'DAILY'), [
+    { slug: 'bitcoin-up-or-down-on-march-9', start: '2025-03-08T17:00:00.000Z', end: '2025-03-09T16:00:00.000Z' },
+    { slug: 'bitcoin-up-or-down-on-march-10', start: '2025-03-09T16:00:00.000Z', end: '2025-03-10T16:00:00.000Z' }
+  ]);
+});
+
+test('hourly: spring-forward skips the 2am hour', () => {
+  assert.deepEqual(candidates('2025-03-09T06:30:00Z', 'HOURLY'), [
+    { slug: 'bitcoin-up-or-down-march-9-1am-et', start: '2025-03-09T06:00:00.000Z', end: '2025-03-09T07:00:00.000Z' },
+    { slug: 'bitcoin-up-or-down-march-9-3am-et', start: '2025-03-09T07:00:00.000Z', end: '2025-03-09T08:00:00.000Z' }
+  ]);
+});
+
+test('4h: spring-forward period 00:00-04:00 ET lasts 3 hours', () => {
+  assert.deepEqual(candidates('2025-03-09T06:00:00Z', 'FOUR_HOUR'), [
+    { slug: 'btc-updown-4h-1741496400', start: '2025-03-09T05:00:00.000Z', end: '2025-03-09T08:00:00.000Z' },
+    { slug: 'btc-updown-4h-1741507200', start: '2025-03-09T08:00:00.000Z', end: '2025-03-09T12:00:00.000Z' }
+  ]);
+});
+
+// ─── DST fall-back (2025-11-02, 02:00 EDT → 01:00 EST) ──────────────────────
+
+test('daily: fall-back day resolves at noon EST', () => {
+  assert.deepEqual(candidates('2025-11-01T20:00:00Z', 'DAILY'), [
+    { slug: 'bitcoin-up-or-down-on-november-2', start: '2025-11-01T16:00:00.000Z', end: '2025-11-02T17:00:00.000Z' },
+    { slug: 'bitcoin-up-or-down-on-november-3', start: '2025-11-02T17:00:00.000Z', end: '2025-11-03T17:00:00.000Z' }
+  ]);
+});
+
+test('hourly: fall-back offers the repeated 1am hour', () => {
+  assert.deepEqual(candidates('2025-11-02T05:10:00Z', 'HOURLY'), [
+    { slug: 'bitcoin-up-or-down-november-2-1am-et', start: '2025-11-02T05:00:00.000Z', end: '2025-11-02T06:00:00.000Z' },
+    { slug: 'bitcoin-up-or-down-november-2-1am-et', start: '2025-11-02T06:00:00.000Z', end: '2025-11-02T07:00:00.000Z' }
+  ]);
+
+  assert.deepEqual(candidates('2025-11-02T06:10:00Z', 'HOURLY'), [
+    { slug: 'bitcoin-up-or-down-november-2-1am-et', start: '2025-11-02T06:00:00.000Z', end: '2025-11-02T07:00:00.000Z' },
+    { slug: 'bitcoin-up-or-down-november-2-2am-et', start: '2025-11-02T07:00:00.000Z', end: '2025-11-02T08:00:00.000Z' }
+  ]);
+});
+
+test('hourly: market periods from end dates in the repeated hour', () => {
+  const hourly = getSeries('HOURLY');
+
+  const edt = getMarketPeriod(hourly, '2025-11-02T06:00:00Z');
+  assert.equal(edt.start.toISOString(), '2025-11-02T05:00:00.000Z');
+  assert.equal(edt.end.toISOString(), '2025-11-02T06:00:00.000Z');
+  assert.equal(edt.endDateOffsetMs, 0);
+
+  const est = getMarketPeriod(hourly, '2025-11-02T07:00:00Z');
+  assert.equal(est.start.toISOString(), '2025-11-02T06:00:00.000Z');
+  assert.equal(est.end.toISOString(), '2025-11-02T07:00:00.000Z');
+  assert.equal(est.endDateOffsetMs, 0);
+});
+
+test('4h: fall-back period 00:00-04:00 ET lasts 5 hours', () => {
+  assert.deepEqual(candidates('2025-11-02T05:00:00Z', 'FOUR_HOUR'), [
+    { slug: 'btc-updown-4h-1762056000', start: '2025-11-02T04:00:00.000Z', end: '2025-11-02T09:00:00.000Z' },
+    { slug: 'btc-updown-4h-1762074000', start: '2025-11-02T09:00:00.000Z', end: '2025-11-02T13:00:00.000Z' }
+  ]);
+});
+
+// ─── Midnight ET (UTC date already the next day) ─────────────────────────────
+
+test('daily: evening ET trades the next day\'s noon market', () => {
+  // 22:00 ET Oct 19 = 02:00 UTC Oct 20
+  assert.equal(candidates('2025-10-20T02:00:00Z', 'DAILY')[0].slug, 'bitcoin-up-or-down-on-october-20');
+  // 10:00 ET Oct 19: noon Oct 19 is under MIN_HOURS_TO_RESOLUTION away
+  assert.equal(candidates('2025-10-19T14:00:00Z', 'DAILY')[0].slug, 'bitcoin-up-or-down-on-october-20');
+});
+
+test('hourly: labels stay on the ET date across midnight', () => {
+  assert.deepEqual(candidates('2025-10-20T03:40:00Z', 'HOURLY').map(c => c.slug), [
+    'bitcoin-up-or-down-october-19-11pm-et',
+    'bitcoin-up-or-down-october-20-12am-et'
+  ]);
+  assert.deepEqual(candidates('2025-10-20T03:50:00Z', 'HOURLY').map(c => c.slug), [
+    'bitcoin-up-or-down-october-20-12am-et',
+    'bitcoin-up-or-down-october-20-1am-et'
+  ]);
+});
+
+test('4h: periods align on midnight ET, not midnight UTC', () => {
+  assert.deepEqual(candidates('2025-10-20T03:00:00Z', 'FOUR_HOUR'), [
+    { slug: 'btc-updown-4h-1760918400', start: '2025-10-20T00:00:00.000Z', end: '2025-10-20T04:00:00.000Z' },
+    { slug: 'btc-updown-4h-1760932800', start: '2025-10-20T04:00:00.000Z', end: '2025-10-20T08:00:00.000Z' }
+  ]);
+});
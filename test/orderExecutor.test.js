@@ -0,0 +1,320 @@
+/**
+ * Book-aware execution against an in-memory order book
+ *
+ * The client keeps PolymarketClient's order preparation and odds check but
+ * trades against a local book: FOK orders take asks up to their limit
+ * price, GTC orders rest and fill `restingFill` of their size.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config/settings.js';
+import { PolymarketClient } from '../src/polymarket/client.js';
+import { ExecutionPlanner } from '../src/polymarket/executionPlanner.js';
+import { OrderExecutor } from '../src/polymarket/orderExecutor.js';
+import { OrderTracker } from '../src/polymarket/orderTracker.js';
+import { fixedClock } from '../src/clock.js';
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const MARKET = {
+  id: 'test-market',
+  negRisk: false,
+  outcomes: {
+    yes: { tokenId: 'yes-token', price: 0.5 },
+    no: { tokenId: 'no-token', price: 0.5 }
+  }
+};
+
+// Best ask 0.50; the first two levels together average exactly +2%
+const ASKS = [
+  { price: 0.50, size: 100 },
+  { price: 0.52, size: 100 },
+  { price: 0.60, size: 1000 }
+];
+
+before(() => {
+  CONFIG.LOGGING.CONSOLE = false;
+  CONFIG.LOGGING.FILE_PATH = null;
+});
+
+function createClient({ asks = ASKS, bids = [], restingFill = 0 } = {}) {
+  const client = new PolymarketClient(PRIVATE_KEY, {});
+  const book = {
+    asks: asks.map(level => ({ ...level })),
+    bids: bids.map(level => ({ ...level }))
+  };
+  const orders = [];
+
+  client.book = book;
+  client.orders = orders;
+
+  client.getOrderBook = async (tokenId) => ({
+    tokenId,
+    bids: book.bids.map(level => ({ ...level })),
+    asks: book.asks.filter(level => level.size > 1e-9).map(level => ({ ...level }))
+  });
+
+  client.executeOrder = async (order) => {
+    const orderId = `order-${orders.length + 1}`;
+    orders.push({ ...order, orderId });
+
+    if (order.orderType === 'GTC') {
+      return { success: true, orderId, status: 'live', fillStatus: 'OPEN', filledSize: 0, filledAmount: 0, requestedSize: order.shares };
+    }
+
+    let remaining = order.amount;
+    let filledSize = 0;
+    for (const level of book.asks) {
+      if (remaining <= 1e-9 || level.price > order.price + 1e-9) break;
+      const take = Math.min(remaining, level.price * level.size);
+      level.size -= take / level.price;
+      filledSize += take / level.price;
+      remaining -= take;
+    }
+
+    return {
+      success: true,
+      orderId,
+      status: 'matched',
+      fillStatus: 'FILLED',
+      filledSize,
+      filledAmount: order.amount - remaining,
+      requestedSize: order.shares
+    };
+  };
+
+  client.getOrder = async (orderId) => {
+    const order = orders.find(o => o.orderId === orderId);
+    return {
+      status: 'LIVE',
+      original_size: String(order.shares),
+      size_matched: String(order.shares * restingFill),
+      price: String(order.price)
+    };
+  };
+
+  client.cancelOrder = async () => ({ cancelled: true });
+
+  return client;
+}
+
+function createExecutor(client, options = {}) {
+  const tracker = new OrderTracker(client, { pollIntervalMs: 1, timeoutMs: 50 });
+  return new OrderExecutor(client, tracker, { childDelayMs: 0, ...options });
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, message || `${actual} != ${expected}`);
+}
+
+// ─── Planner ────────────────────────────────────────────────────────────────
+
+test('planner: VWAP, limit price and slippage across levels', () => {
+  const planner = new ExecutionPlanner({ slippageTolerance: 0.02 });
+
+  const top = planner.plan({ asks: ASKS }, 50);
+  assert.equal(top.acceptable, true);
+  assert.equal(top.levelsUsed, 1);
+  assert.equal(top.limitPrice, 0.50);
+  assert.equal(top.slippage, 0);
+
+  const twoLevels = planner.plan({ asks: ASKS }, 100);
+  assert.equal(twoLevels.acceptable, true);
+  assert.equal(twoLevels.levelsUsed, 2);
+  assert.equal(twoLevels.limitPrice, 0.52);
+  assertClose(twoLevels.avgPrice, 100 / (100 + 50 / 0.52));
+});
+
+test('planner: beyond tolerance reports the largest amount within it', () => {
+  const planner = new ExecutionPlanner({ slippageTolerance: 0.02 });
+
+  const plan = planner.plan({ asks: ASKS }, 150);
+  assert.equal(plan.acceptable, false);
+  assert.match(plan.reason, /^Slippage \d+\.\d+% exceeds 2\.00%$/);
+  assertClose(plan.maxAmount, 102);
+
+  const shallow = planner.plan({ asks: [{ price: 0.5, size: 10 }] }, 20);
+  assert.equal(shallow.acceptable, false);
+  assert.equal(shallow.reason, 'Insufficient depth: $5.00 of $20.00 available');
+
+  const empty = planner.plan({ asks: [] }, 20);
+  assert.equal(empty.reason, 'Empty order book');
+  assert.equal(empty.maxAmount, 0);
+});
+
+// ─── Taker execution ────────────────────────────────────────────────────────
+
+test('taker: SPLIT sends child orders that each stay within tolerance', async () => {
+  const client = createClient();
+  const executor = createExecutor(client, { slippageAction: 'SPLIT' });
+
+  const result = await executor.execute(MARKET, 'UP', 150, { entryMode: 'TAKER' });
+
+  assert.deepEqual(client.orders.map(o => o.price), [0.52, 0.60]);
+  assertClose(client.orders[0].amount, 102);
+  assertClose(client.orders[1].amount, 48);
+  for (const child of result.children) {
+    assert.ok(child.plan.slippage <= 0.02 + 1e-9);
+  }
+
+  assert.equal(result.success, true);
+  assert.equal(result.fill.finalStatus, 'FILLED');
+  assert.deepEqual(result.fill.orderIds, ['order-1', 'order-2']);
+  assertClose(result.filledNotional, 150);
+});
+
+test('taker: REJECT submits nothing beyond tolerance', async () => {
+  const client = createClient();
+  const executor = createExecutor(client, { slippageAction: 'REJECT' });
+
+  const result = await executor.execute(MARKET, 'UP', 150, { entryMode: 'TAKER' });
+
+  assert.equal(client.orders.length, 0);
+  assert.equal(result.success, false);
+  assert.equal(result.fill.finalStatus, 'UNFILLED');
+  assert.match(result.reason, /^Slippage/);
+});
+
+test('taker: SPLIT stops at MAX_CHILD_ORDERS with a partial fill', async () => {
+  // Zero tolerance: one child order per price level
+  const client = createClient({ asks: [{ price: 0.5, size: 20 }, { price: 0.6, size: 20 }, { price: 0.7, size: 20 }] });
+  const executor = createExecutor(client, {
+    planner: new ExecutionPlanner({ slippageTolerance: 0 }),
+    slippageAction: 'SPLIT',
+    maxChildOrders: 2
+  });
+
+  const result = await executor.execute(MARKET, 'UP', 30, { entryMode: 'TAKER' });
+
+  assert.deepEqual(client.orders.map(o => o.price), [0.5, 0.6]);
+  assert.equal(result.fill.finalStatus, 'PARTIAL');
+  assertClose(result.filledNotional, 22);
+});
+
+// ─── Maker entry ────────────────────────────────────────────────────────────
+
+/**
+ * Clock the fake CLOB moves forward on every cancel (one reprice interval)
+ */
+function steppingClock(time, stepMs) {
+  const clock = {
+    ms: new Date(time).getTime(),
+    now: () => new Date(clock.ms),
+    step: () => { clock.ms += stepMs; }
+  };
+  return clock;
+}
+
+test('maker: quotes one tick inside the bid, never at the ask', () => {
+  const executor = createExecutor(createClient(), { tickSize: 0.01 });
+
+  assert.equal(executor.makerPrice({ bids: [{ price: 0.50 }], asks: [{ price: 0.55 }] }), 0.51);
+  assert.equal(executor.makerPrice({ bids: [{ price: 0.50 }], asks: [{ price: 0.51 }] }), 0.50);
+  assert.equal(executor.makerPrice({ bids: [{ price: 0.50 }], asks: [] }), 0.51);
+  assert.equal(executor.makerPrice({ bids: [], asks: [{ price: 0.55 }] }), 0.54);
+  assert.equal(executor.makerPrice({ bids: [], asks: [] }), null);
+});
+
+test('maker: rests and reprices, then crosses for the remainder before the deadline', async () => {
+  const client = createClient({
+    asks: [{ price: 0.55, size: 1000 }],
+    bids: [{ price: 0.50, size: 1000 }],
+    restingFill: 0.5
+  });
+  const clock = steppingClock('2025-10-21T08:00:00Z', 3 * 60 * 1000);
+  client.cancelOrder = async () => {
+    clock.step();
+    return { cancelled: true };
+  };
+
+  const executor = createExecutor(client, {
+    repriceIntervalMs: 10,
+    crossBeforeDeadlineMs: 5 * 60 * 1000,
+    tickSize: 0.01,
+    clock
+  });
+
+  // Cross at 08:05; each resting order is cancelled 3 minutes later
+  const result = await executor.execute(MARKET, 'UP', 20, {
+    entryMode: 'MAKER',
+    deadline: new Date('2025-10-21T08:10:00Z')
+  });
+
+  assert.deepEqual(client.orders.map(o => [o.orderType || 'FOK', o.price]), [
+    ['GTC', 0.51],
+    ['GTC', 0.51],
+    ['FOK', 0.55]
+  ]);
+  assert.deepEqual(result.children.map(c => c.entryMode), ['MAKER', 'MAKER', 'TAKER']);
+  assertClose(result.children[0].fill.filledNotional, 10);
+  assertClose(result.children[1].fill.filledNotional, 5);
+  assertClose(client.orders[2].amount, 5);
+
+  assert.equal(result.fill.finalStatus, 'FILLED');
+  assertClose(result.filledNotional, 20);
+});
+
+test('maker: stops without crossing when the odds leave the window', async () => {
+  // Best bid 0.30: a quote at 0.31 is below MIN_ODDS_PRICE
+  const client = createClient({
+    asks: [{ price: 0.33, size: 1000 }],
+    bids: [{ price: 0.30, size: 1000 }]
+  });
+  const executor = createExecutor(client, { tickSize: 0.01 });
+
+  const result = await executor.execute(MARKET, 'UP', 20, { entryMode: 'MAKER' });
+
+  assert.equal(client.orders.length, 0);
+  assert.equal(result.success, false);
+  assert.match(result.reason, /^Odds not acceptable at reprice: Price too low \(0\.310\)/);
+});
+
+// ─── Drift guard ────────────────────────────────────────────────────────────
+
+const CHECKED_AT = '2025-10-21T08:00:00.000Z';
+
+test('drift: the fresh best ask is compared with the snapshot price', () => {
+  const executor = createExecutor(createClient(), { maxPriceDrift: 0.03, clock: fixedClock(CHECKED_AT) });
+  const snapshot = { effectivePrice: 0.50 };
+
+  const within = executor.checkDrift(snapshot, { asks: [{ price: 0.52 }] }, 'UP');
+  assert.equal(within.ok, true);
+  assert.equal(within.reason, null);
+  assert.equal(within.checkedAt, CHECKED_AT);
+  assertClose(within.drift, 0.02);
+
+  const drifted = executor.checkDrift(snapshot, { asks: [{ price: 0.54 }] }, 'UP');
+  assert.equal(drifted.ok, false);
+  assert.equal(drifted.reason, 'Price drifted +0.040 since snapshot (0.500 → 0.540, max 0.03)');
+
+  assert.equal(executor.checkDrift(null, { asks: [{ price: 0.54 }] }, 'UP'), null);
+  assert.equal(executor.checkDrift(snapshot, { asks: [] }, 'UP'), null);
+});
+
+test('drift: a price within the drift limit still has to pass the odds check', () => {
+  const executor = createExecutor(createClient(), { maxPriceDrift: 0.03, clock: fixedClock(CHECKED_AT) });
+
+  // NO token at 0.67: within 0.03 of the snapshot, above MAX_ODDS_PRICE
+  const check = executor.checkDrift({ effectivePrice: 0.65 }, { asks: [{ price: 0.67 }] }, 'DOWN');
+
+  assert.equal(check.ok, false);
+  assert.match(check.reason, /^Odds out of range at submission: Price too high \(0\.670\)/);
+});
+
+test('drift: execution aborts before submitting when the price moved', async () => {
+  const client = createClient({ asks: [{ price: 0.55, size: 1000 }], bids: [{ price: 0.53, size: 1000 }] });
+  const executor = createExecutor(client, { maxPriceDrift: 0.03, clock: fixedClock(CHECKED_AT) });
+  const snapshot = { effectivePrice: 0.50 };
+
+  for (const entryMode of ['TAKER', 'MAKER']) {
+    const result = await executor.execute(MARKET, 'UP', 20, { entryMode, snapshot });
+
+    assert.equal(result.success, false);
+    assert.match(result.reason, /^Price drifted \+0\.050 since snapshot/);
+    assert.equal(result.drift.checkedAt, CHECKED_AT);
+    assert.equal(result.snapshot, snapshot);
+  }
+
+  assert.equal(client.orders.length, 0);
+});
@@ -0,0 +1,120 @@
+/**
+ * Order lifecycle: polling, cancel on timeout and partial-fill reconciliation
+ *
+ * The client answers getOrder from a script of CLOB order states, one per
+ * poll (the last one repeats), and with `cancelled` once cancelOrder ran.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config/settings.js';
+import { OrderTracker } from '../src/polymarket/orderTracker.js';
+
+before(() => {
+  CONFIG.LOGGING.CONSOLE = false;
+  CONFIG.LOGGING.FILE_PATH = null;
+});
+
+function createClient(states, cancelled = null) {
+  const calls = { polled: 0, cancelled: [] };
+  const client = {
+    getOrder: async () => {
+      const state = calls.cancelled.length > 0
+        ? cancelled
+        : states[Math.min(calls.polled, states.length - 1)];
+      calls.polled++;
+      if (state instanceof Error) throw state;
+      return state;
+    },
+    cancelOrder: async (orderId) => {
+      calls.cancelled.push(orderId);
+      return { cancelled: true };
+    }
+  };
+  return { client, calls };
+}
+
+function order(status, sizeMatched) {
+  return { status, original_size: '20', size_matched: String(sizeMatched), price: '0.5' };
+}
+
+// Resting GTC: 4 of 20 shares matched on submission for $2.00
+const RESTING = {
+  success: true,
+  orderId: 'order-1',
+  status: 'live',
+  fillStatus: 'PARTIAL',
+  filledSize: 4,
+  filledAmount: 2,
+  requestedSize: 20
+};
+
+test('a matched order is final without polling', async () => {
+  const { client, calls } = createClient([]);
+  const tracker = new OrderTracker(client, { pollIntervalMs: 1, timeoutMs: 50 });
+
+  const fill = await tracker.track({
+    success: true, orderId: 'order-1', status: 'matched', fillStatus: 'FILLED',
+    filledSize: 20, filledAmount: 10.4, requestedSize: 20
+  });
+
+  assert.equal(calls.polled, 0);
+  assert.equal(fill.finalStatus, 'FILLED');
+  assert.equal(fill.filledNotional, 10.4);
+  assert.equal(fill.avgPrice, 0.52);
+});
+
+test('a rejected order is unfilled', async () => {
+  const { client, calls } = createClient([]);
+  const tracker = new OrderTracker(client, { pollIntervalMs: 1, timeoutMs: 50 });
+
+  const fill = await tracker.track({ success: false, reason: 'not enough balance' });
+
+  assert.equal(calls.polled, 0);
+  assert.equal(fill.finalStatus, 'UNFILLED');
+  assert.equal(fill.filledNotional, 0);
+});
+
+test('a resting order is polled until it matches', async () => {
+  const { client, calls } = createClient([
+    order('LIVE', 4),
+    new Error('socket hang up'),
+    order('MATCHED', 20)
+  ]);
+  const tracker = new OrderTracker(client, { pollIntervalMs: 1, timeoutMs: 5000 });
+
+  const fill = await tracker.track(RESTING);
+
+  assert.equal(calls.polled, 3);
+  assert.deepEqual(calls.cancelled, []);
+  assert.equal(fill.finalStatus, 'FILLED');
+  assert.equal(fill.filledSize, 20);
+  // $2.00 on submission + 16 resting shares at the 0.5 limit
+  assert.equal(fill.filledNotional, 10);
+  assert.equal(fill.cancelled, false);
+});
+
+test('the remainder is cancelled on timeout and the partial fill kept', async () => {
+  const { client, calls } = createClient([order('LIVE', 4), order('LIVE', 10)], order('CANCELED', 12));
+  const tracker = new OrderTracker(client, { pollIntervalMs: 5, timeoutMs: 20 });
+
+  const fill = await tracker.track(RESTING);
+
+  assert.deepEqual(calls.cancelled, ['order-1']);
+  assert.equal(fill.finalStatus, 'PARTIAL');
+  assert.equal(fill.filledSize, 12);
+  assert.equal(fill.filledNotional, 6);
+  assert.equal(fill.cancelled, true);
+});
+
+test('a cancelled order with nothing matched is CANCELLED', async () => {
+  const { client, calls } = createClient([order('LIVE', 0)], order('CANCELED', 0));
+  const tracker = new OrderTracker(client, { pollIntervalMs: 5, timeoutMs: 20 });
+
+  const fill = await tracker.track({ ...RESTING, fillStatus: 'OPEN', filledSize: 0, filledAmount: 0 });
+
+  assert.deepEqual(calls.cancelled, ['order-1']);
+  assert.equal(fill.finalStatus, 'CANCELLED');
+  assert.equal(fill.filledNotional, 0);
+  assert.equal(fill.avgPrice, null);
+});
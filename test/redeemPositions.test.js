@@ -0,0 +1,117 @@
+/**
+ * Redemption retries never broadcast a second transaction
+ *
+ * The ConditionalTokens contract and the provider are replaced with fakes:
+ * a confirmation timeout must be followed by waiting on the same txHash.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { CONFIG } from '../config/settings.js';
+import { PolymarketClient } from '../src/polymarket/client.js';
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const CONDITION_ID = '0x' + 'ab'.repeat(32);
+
+let retryDelay;
+
+before(() => {
+  retryDelay = CONFIG.EXECUTION.RETRY_DELAY_MS;
+  CONFIG.EXECUTION.RETRY_DELAY_MS = 1;
+});
+
+after(() => {
+  CONFIG.EXECUTION.RETRY_DELAY_MS = retryDelay;
+});
+
+const ctfInterface = new PolymarketClient(PRIVATE_KEY, {}).getCtfContract().interface;
+
+/**
+ * Client whose CTF contract and provider follow the given scripts
+ * @param {Array} sends - Per broadcast: receipt returned or error thrown by tx.wait()
+ * @param {Array} waits - Per provider.waitForTransaction(): receipt or error
+ */
+function createClient({ sends = [], waits = [] }) {
+  const client = new PolymarketClient(PRIVATE_KEY, {});
+  const calls = { sent: [], waited: [] };
+
+  const redeemPositions = async () => {
+    const hash = ethers.id(`tx-${calls.sent.length}`);
+    const outcome = sends[calls.sent.length];
+    calls.sent.push(hash);
+    return { hash, wait: async () => settle(outcome) };
+  };
+  redeemPositions.estimateGas = async () => 100000n;
+
+  client.getCtfContract = () => ({ interface: ctfInterface, redeemPositions });
+  client.provider = {
+    waitForTransaction: async (hash) => {
+      calls.waited.push(hash);
+      return settle(waits[calls.waited.length - 1]);
+    }
+  };
+  client.getUsdcBalance = async () => 100;
+
+  return { client, calls };
+}
+
+function settle(outcome) {
+  if (outcome instanceof Error) throw outcome;
+  return outcome;
+}
+
+function timeout() {
+  return Object.assign(new Error('wait for transaction timeout'), { code: 'TIMEOUT' });
+}
+
+function receipt(status, payout = 0n) {
+  const logs = payout > 0n
+    ? [{
+        address: CONFIG.POLYMARKET.CTF_ADDRESS,
+        ...ctfInterface.encodeEventLog('PayoutRedemption', [
+          new ethers.Wallet(PRIVATE_KEY).address, CONFIG.POLYMARKET.USDC_ADDRESS, ethers.ZeroHash, CONDITION_ID, [1, 2], payout
+        ])
+      }]
+    : [];
+  return { status, blockNumber: 1, gasUsed: 50000n, logs };
+}
+
+test('a confirmation timeout waits for the same transaction', async () => {
+  const { client, calls } = createClient({ sends: [timeout()], waits: [receipt(1, 25000000n)] });
+
+  const result = await client.redeemPositions(CONDITION_ID);
+
+  assert.equal(calls.sent.length, 1);
+  assert.deepEqual(calls.waited, calls.sent);
+  assert.equal(result.txHash, calls.sent[0]);
+  assert.equal(result.redeemed, 25);
+  assert.equal(result.balanceBefore, 75);
+});
+
+test('a transaction still pending is handed back and never resent', async () => {
+  const { client, calls } = createClient({ sends: [timeout()], waits: [timeout(), timeout()] });
+
+  const error = await client.redeemPositions(CONDITION_ID).catch(e => e);
+
+  assert.equal(calls.sent.length, 1);
+  assert.equal(error.txHash, calls.sent[0]);
+
+  // Next check: waits on the handed-back hash first
+  const next = createClient({ waits: [receipt(1, 25000000n)] });
+  const result = await next.client.redeemPositions(CONDITION_ID, { txHash: error.txHash });
+
+  assert.equal(next.calls.sent.length, 0);
+  assert.deepEqual(next.calls.waited, [error.txHash]);
+  assert.equal(result.txHash, error.txHash);
+});
+
+test('a reverted transaction is sent again', async () => {
+  const { client, calls } = createClient({ sends: [receipt(0), receipt(1, 10000000n)] });
+
+  const result = await client.redeemPositions(CONDITION_ID);
+
+  assert.equal(calls.sent.length, 2);
+  assert.equal(result.txHash, calls.sent[1]);
+  assert.equal(result.redeemed, 10);
+});
@@ -0,0 +1,70 @@
+/**
+ * Trade journal: daily trade count across restarts
+ *
+ * Only trades that filled use up MAX_TRADES_PER_DAY; trades recovery
+ * aborts after a crash must not.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TradeJournal } from '../src/state/tradeJournal.js';
+
+let dataDir;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcasino13-journal-'));
+  process.env.BOT_DATA_DIR = dataDir;
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+test('countTradesOn counts only trades that filled', () => {
+  const journal = new TradeJournal({ fileName: 'count.jsonl' });
+
+  journal.begin({ direction: 'UP' });                        // intent only
+
+  const submitted = journal.begin({ direction: 'UP' });
+  journal.append(submitted, 'submitted', { orderId: 'o-1' });
+
+  const aborted = journal.begin({ direction: 'UP' });
+  journal.append(aborted, 'aborted', { reason: 'test' });
+
+  const filled = journal.begin({ direction: 'UP' });
+  journal.append(filled, 'filled', { position: {} });
+
+  const resolved = journal.begin({ direction: 'DOWN' });
+  journal.append(resolved, 'filled', { position: {} });
+  journal.append(resolved, 'resolved', { isWin: false, redeemRequired: false });
+
+  const redeemed = journal.begin({ direction: 'UP' });
+  journal.append(redeemed, 'filled', { position: {} });
+  journal.append(redeemed, 'resolved', { isWin: true, redeemRequired: true });
+  journal.append(redeemed, 'redeemed', {});
+
+  assert.equal(journal.countTradesOn(today()), 3);
+  assert.equal(journal.countTradesOn('2000-01-01'), 0);
+});
+
+test('recoverTrades does not count an in-flight trade it aborts', async () => {
+  const { BotCasino13 } = await import('../src/index.js');
+  const bot = new BotCasino13({ paper: true });
+
+  const tradeId = bot.journal.begin({ direction: 'UP', tokenId: 'token-1' });
+  bot.journal.append(tradeId, 'submitted', { orderId: 'o-unfilled' });
+
+  bot.orderTracker.pollOrder = async () => ({ status: 'CANCELED', sizeMatched: 0, price: 0.6 });
+
+  await bot.recoverTrades();
+
+  assert.equal(bot.journal.replay().find(t => t.tradeId === tradeId).stage, 'aborted');
+  assert.equal(bot.decisionEngine.tradesToday, 0);
+});